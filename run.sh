@@ -7,7 +7,7 @@
  # sleep 5 # Give ChromaDB time to start
 
  echo "Starting Node.js server..."
- node server.js
+ node server.js "$@"
 
  # Optional: Stop ChromaDB when server exits
  # echo "Stopping ChromaDB..."
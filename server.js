@@ -3,8 +3,9 @@
  import fs from 'fs/promises';
  import path from 'path';
  import { fileURLToPath } from 'url';
- import { ToolCreationManager } from "./tool_creation_tool.js";
+ import { ToolCreationManager, formatValidationErrors, normalizeToolResult, formatToolResult } from "./tool_creation_tool.js";
  import { v4 as uuidv4 } from 'uuid'; // For generating IDs
+ import crypto from 'crypto';
 
 
 import express from 'express'; // Add this line
@@ -15,6 +16,26 @@ import express from 'express'; // Add this line
 
  const PORT = process.env.PORT || 3001;
  const INITIAL_PROMPT_FILE = 'initial_prompt.txt';
+ const GAME_MASTER_INTERVAL_MS = parseInt(process.env.GAME_MASTER_INTERVAL_MS || "60000", 10); // Periodic game master cycle
+ const GAME_MASTER_EVENT_DELAY_MS = parseInt(process.env.GAME_MASTER_EVENT_DELAY_MS || "5000", 10); // Batch notable events before reacting
+ const GAME_MASTER_MAX_CALLS = parseInt(process.env.GAME_MASTER_MAX_CALLS || "3", 10); // Tool call budget per cycle
+ const WORLD_STATE_FILE = process.env.WORLD_STATE_FILE || './data/world_state.json';
+ const WORLD_SNAPSHOT_DIR = process.env.WORLD_SNAPSHOT_DIR || './data/snapshots';
+ const WORLD_AUTOSAVE_INTERVAL_MS = parseInt(process.env.WORLD_AUTOSAVE_INTERVAL_MS || "30000", 10); // 0 disables autosave
+ const WORLD_SCHEMA_VERSION = 5; // Bump together with a new entry in WORLD_MIGRATIONS
+ const PLAYER_SESSION_GRACE_MS = parseInt(process.env.PLAYER_SESSION_GRACE_MS || "300000", 10); // How long a disconnected player's soul waits for them
+ const ABANDONED_SOUL_POLICY = process.env.ABANDONED_SOUL_POLICY || "npc"; // npc | despawn, once the grace period is over
+ const ADMIN_SECRET = process.env.ADMIN_SECRET || ""; // Empty disables the admin console
+ const ADMIN_AUDIT_LOG = process.env.ADMIN_AUDIT_LOG || './data/admin_audit.jsonl';
+ const FINE_TUNING_EXPORT_DIR = process.env.FINE_TUNING_EXPORT_DIR || './data/fine_tuning'; // Where admin dataset exports are written
+ const LOCATION_LOG_LIMIT = 50; // Entries kept per location log
+ const WORLD_TICK_MS = parseInt(process.env.WORLD_TICK_MS || "1000", 10); // Wall-clock length of one game tick
+ const WORLD_SEED = process.env.WORLD_SEED || ""; // Seeds the randomness of a new world; empty picks a random seed
+ const NPC_TURN_TICKS = parseInt(process.env.NPC_TURN_TICKS || "10", 10); // NPCs decide what to do every this many ticks
+ const WORLD_TICK_INPUT_BUDGET_MS = parseInt(process.env.WORLD_TICK_INPUT_BUDGET_MS || String(WORLD_TICK_MS), 10); // Inputs left when a tick has run this long wait for the next one
+ const ACTION_LOG_DIR = process.env.ACTION_LOG_DIR || './data/action_logs'; // Empty disables the action log
+ const WORLD_OPEN_MODE = process.env.WORLD_OPEN_MODE === '1'; // Let tools run before they are approved, see Tool Trust
+ const STARTING_ARTIFACT_NAMES = ['Boots of Walking', 'Amulet of Observation', "Traveler's Satchel", "Merchant's Seal", 'Handshake Ring']; // Copied for every new player
  
  
  // Create Express app and HTTP server
@@ -27,13 +48,25 @@ app.use(express.static(path.join(__dirname, 'public')));
 
 
  // --- Game State ---
- // Simple in-memory storage. For a real MMO, use a database.
- const gameState = {
-     souls: {}, // { soulId: { id, name, locationId, inventory: [artifactId1, artifactId2] } }
-     locations: {}, // { locationId: { id, name, description, exits: {north: locationId2, ...} } }
-     artifacts: {}, // { artifactId: { id, name, description, linkedToolName } }
-     worldLog: ["Welcome to the Infinite MMORPG!"],
- };
+ const WORLD_LOG_KEY = '*'; // logs bucket for events not tied to one location (new places, artifacts, tool logs)
+
+ // Kept in memory and persisted to WORLD_STATE_FILE (see Persistence below).
+ function createEmptyWorld() {
+     return {
+         souls: {}, // { soulId: { id, name, locationId, inventory: [artifactId1, artifactId2] } }
+         locations: {}, // { locationId: { id, name, description, exits: {north: locationId2, ...}, items: [artifactIds on the ground] } }
+         artifacts: {}, // { artifactId: { id, name, description, linkedToolName, ...optional usage limits (see Artifact Usage) } }
+         // Event history per location, plus WORLD_LOG_KEY for world-wide events: { key: [{ seq, tick, type, locationId, message, at }] }
+         logs: { [WORLD_LOG_KEY]: [{ seq: 0, type: 'message', locationId: null, message: "Welcome to the Infinite MMORPG!", at: null }] },
+         eventSeq: 1, // Next event sequence number; orders entries across logs
+         sessions: {}, // { sessionToken: { soulId, createdAt, lastSeenAt } }
+         trades: {}, // { tradeId: { id, fromSoulId, toSoulId, offered: [artifactIds], requested: [artifactIds], createdAt } }
+         clock: createClock(), // { tick, seed, rngState }, see Simulation Clock
+         scheduled: [], // [{ id, atTick, toolName, args, description }] tool calls waiting for their tick
+     };
+ }
+
+ const gameState = createEmptyWorld();
 
  // --- Server Setup ---
 // const httpServer = createServer();
@@ -43,226 +76,1673 @@ app.use(express.static(path.join(__dirname, 'public')));
          methods: ["GET", "POST"]
      }
  });
+ const adminNamespace = io.of('/admin'); // Operator console, see Admin Console below
 
  const toolManager = new ToolCreationManager();
 
  // --- Game Logic Functions ---
  // These are examples of functions the LLM *could* create via tools.
- // They interact directly with the gameState. They should return descriptive strings.
+ // They interact directly with the gameState and return structured tool results
+ // ({ status, message, created, affected, data }, see normalizeToolResult) built with the helpers below.
+
+ function toolSuccess(message, details = {}) {
+     return { status: 'success', message: message, created: [], affected: [], data: null, ...details };
+ }
+
+ function toolWarning(message, details = {}) {
+     return { status: 'warning', message: message, created: [], affected: [], data: null, ...details };
+ }
+
+ function toolError(message) {
+     return { status: 'error', message: message, created: [], affected: [], data: null };
+ }
 
  function _internal_create_soul(params) {
-      const { name, locationId, type = 'generic' } = params;
-      if (!name || !locationId) return "Error: Missing name or locationId for create_soul.";
-      if (!gameState.locations[locationId]) return `Error: Location '${locationId}' not found.`;
-      const soulId = uuidv4();
+      const { name, locationId, type = 'generic', behavior, behaviorTarget } = params;
+      if (!name || !locationId) return toolError("Error: Missing name or locationId for create_soul.");
+      if (!gameState.locations[locationId]) return toolError(`Error: Location '${locationId}' not found.`);
+      const profile = behavior === undefined ? null : readSoulBehavior(behavior, behaviorTarget, locationId);
+      if (profile?.error) return toolError(profile.error);
+      const soulId = newId();
       gameState.souls[soulId] = {
           id: soulId,
           name: name,
           locationId: locationId,
           inventory: [], // List of artifact IDs
-          type: type // 'player', 'npc', 'generic'
+          type: type, // 'player', 'npc', 'generic'
+          ...(profile ? { behavior: profile.behavior, behaviorTarget: profile.target } : {}), // See NPC Behaviour
       };
-      logToWorld(`A new soul named '${name}' appeared in ${gameState.locations[locationId].name}.`);
-      return `Soul '${name}' (ID: ${soulId}) created successfully at location ${locationId}.`;
+      emitWorldEvent('soul_created', {
+          locationId: locationId,
+          message: `A new soul named '${name}' appeared in ${gameState.locations[locationId].name}.`,
+          data: { soulId: soulId },
+          patches: [{ op: 'add', path: 'visibleSouls', value: describeVisibleSoul(gameState.souls[soulId]) }],
+          notable: true,
+      });
+      return toolSuccess(`Soul '${name}' (ID: ${soulId}) created successfully at location ${locationId}.`, {
+          created: [soulId],
+          affected: [locationId],
+          data: { soulId: soulId, locationId: locationId },
+      });
  }
 
  function _internal_create_location(params) {
       const { name, description } = params;
-      if (!name || !description) return "Error: Missing name or description for create_location.";
+      if (!name || !description) return toolError("Error: Missing name or description for create_location.");
       const locationId = name.toLowerCase().replace(/\s+/g, '_'); // Simple ID generation
-       if(gameState.locations[locationId]) return `Error: Location with ID '${locationId}' already exists.`
+       if(gameState.locations[locationId]) return toolError(`Error: Location with ID '${locationId}' already exists.`);
       gameState.locations[locationId] = {
           id: locationId,
           name: name,
           description: description,
-          exits: {} // { direction: targetLocationId }
+          exits: {}, // { direction: targetLocationId }
+          items: [] // Artifacts lying on the ground
       };
-      logToWorld(`A new location called '${name}' was discovered.`);
-      return `Location '${name}' (ID: ${locationId}) created successfully.`;
+      emitWorldEvent('location_created', {
+          message: `A new location called '${name}' was discovered.`,
+          data: { locationId: locationId },
+          notable: true,
+      });
+      return toolSuccess(`Location '${name}' (ID: ${locationId}) created successfully.`, {
+          created: [locationId],
+          data: { locationId: locationId },
+      });
  }
 
  function _internal_link_exit(params) {
      const { fromLocationId, direction, toLocationId } = params;
-      if (!fromLocationId || !direction || !toLocationId) return "Error: Missing parameters for link_exit.";
-      if (!gameState.locations[fromLocationId]) return `Error: Origin location '${fromLocationId}' not found.`;
-      if (!gameState.locations[toLocationId]) return `Error: Destination location '${toLocationId}' not found.`;
+      if (!fromLocationId || !direction || !toLocationId) return toolError("Error: Missing parameters for link_exit.");
+      if (!gameState.locations[fromLocationId]) return toolError(`Error: Origin location '${fromLocationId}' not found.`);
+      if (!gameState.locations[toLocationId]) return toolError(`Error: Destination location '${toLocationId}' not found.`);
 
       gameState.locations[fromLocationId].exits[direction.toLowerCase()] = toLocationId;
-      logToWorld(`A path opened from ${gameState.locations[fromLocationId].name} ${direction} to ${gameState.locations[toLocationId].name}.`);
-      return `Exit '${direction}' added from ${fromLocationId} to ${toLocationId}.`;
+      emitWorldEvent('exit_opened', {
+          locationId: fromLocationId,
+          message: `A path opened from ${gameState.locations[fromLocationId].name} ${direction} to ${gameState.locations[toLocationId].name}.`,
+          data: { direction: direction.toLowerCase(), toLocationId: toLocationId },
+          patches: [{ op: 'set', path: 'currentLocation.exits', key: direction.toLowerCase(), value: toLocationId }],
+          notable: true,
+      });
+      return toolSuccess(`Exit '${direction}' added from ${fromLocationId} to ${toLocationId}.`, {
+          affected: [fromLocationId],
+          data: { fromLocationId: fromLocationId, direction: direction.toLowerCase(), toLocationId: toLocationId },
+      });
  }
 
 
- function _internal_create_artifact(params) {
+ async function _internal_create_artifact(params) {
       const { name, description, linkedToolName } = params;
-      if (!name || !description || !linkedToolName) return "Error: Missing name, description, or linkedToolName for create_artifact.";
-      // Optional: Check if linkedToolName exists in toolManager?
-      const artifactId = uuidv4();
+      if (!name || !description || !linkedToolName) return toolError("Error: Missing name, description, or linkedToolName for create_artifact.");
+      const limits = readArtifactLimits(params);
+      if (limits.error) return toolError(limits.error);
+      const unrunnable = describeUnrunnableTool(linkedToolName, await toolManager.getToolDefinition(linkedToolName));
+      if (unrunnable) return toolError(`Error: Cannot link artifact '${name}' to its tool. ${unrunnable}`);
+      const artifactId = newId();
       gameState.artifacts[artifactId] = {
           id: artifactId,
           name: name,
           description: description,
-          linkedToolName: linkedToolName
+          linkedToolName: linkedToolName,
+          ...limits.value,
       };
-      logToWorld(`A powerful artifact known as '${name}' has materialized.`);
-      return `Artifact '${name}' (ID: ${artifactId}) created, linked to tool '${linkedToolName}'.`;
+      emitWorldEvent('artifact_created', {
+          message: `A powerful artifact known as '${name}' has materialized.`,
+          data: { artifactId: artifactId },
+          notable: true,
+      });
+      return toolSuccess(`Artifact '${name}' (ID: ${artifactId}) created, linked to tool '${linkedToolName}'.`, {
+          created: [artifactId],
+          data: { artifactId: artifactId, linkedToolName: linkedToolName },
+      });
  }
 
  function _internal_give_artifact_to_soul(params) {
      const { soulId, artifactId } = params;
-      if (!soulId || !artifactId) return "Error: Missing soulId or artifactId for give_artifact.";
-      if (!gameState.souls[soulId]) return `Error: Soul '${soulId}' not found.`;
-      if (!gameState.artifacts[artifactId]) return `Error: Artifact '${artifactId}' not found.`;
+      if (!soulId || !artifactId) return toolError("Error: Missing soulId or artifactId for give_artifact.");
+      if (!gameState.souls[soulId]) return toolError(`Error: Soul '${soulId}' not found.`);
+      if (!gameState.artifacts[artifactId]) return toolError(`Error: Artifact '${artifactId}' not found.`);
 
       if (!gameState.souls[soulId].inventory.includes(artifactId)) {
-          gameState.souls[soulId].inventory.push(artifactId);
-          logToWorld(`${gameState.souls[soulId].name} obtained the artifact '${gameState.artifacts[artifactId].name}'.`);
-          return `Artifact '${gameState.artifacts[artifactId].name}' given to soul '${gameState.souls[soulId].name}'.`;
+          moveArtifact(artifactId, { soulId: soulId }); // Taken from whoever or wherever had it
+          emitWorldEvent('artifact_obtained', {
+              locationId: gameState.souls[soulId].locationId,
+              message: `${gameState.souls[soulId].name} obtained the artifact '${gameState.artifacts[artifactId].name}'.`,
+              data: { soulId: soulId, artifactId: artifactId },
+          });
+          return toolSuccess(`Artifact '${gameState.artifacts[artifactId].name}' given to soul '${gameState.souls[soulId].name}'.`, {
+              affected: [soulId, artifactId],
+          });
       } else {
-          return `Warning: Soul '${gameState.souls[soulId].name}' already possesses artifact '${gameState.artifacts[artifactId].name}'.`;
+          return toolWarning(`Warning: Soul '${gameState.souls[soulId].name}' already possesses artifact '${gameState.artifacts[artifactId].name}'.`, {
+              affected: [],
+          });
       }
  }
 
- function _internal_move_soul(params) {
-     const { soulId, targetLocationId } = params;
-     if (!soulId || !targetLocationId) return "Error: Missing soulId or targetLocationId for move_soul.";
-     const soul = gameState.souls[soulId];
-     if (!soul) return `Error: Soul '${soulId}' not found.`;
-     const currentLocation = gameState.locations[soul.locationId];
-     const targetLocation = gameState.locations[targetLocationId];
-     if (!targetLocation) return `Error: Target location '${targetLocationId}' not found.`;
+ function _internal_move_soul(params) {
+     const { soulId, targetLocationId } = params;
+     if (!soulId || !targetLocationId) return toolError("Error: Missing soulId or targetLocationId for move_soul.");
+     const soul = gameState.souls[soulId];
+     if (!soul) return toolError(`Error: Soul '${soulId}' not found.`);
+     const currentLocation = gameState.locations[soul.locationId];
+     const targetLocation = gameState.locations[targetLocationId];
+     if (!targetLocation) return toolError(`Error: Target location '${targetLocationId}' not found.`);
+
+     // Basic check: Is the target location directly reachable? (Could be enhanced by tool logic)
+     let reachable = false;
+     if (currentLocation && currentLocation.exits) {
+         reachable = Object.values(currentLocation.exits).includes(targetLocationId);
+     }
+     // Allow moving even if not directly connected for flexibility / initial setup
+     // A real game might have the 'move' tool check exits itself.
+     // if (!reachable) return `Error: Cannot move from ${currentLocation?.name || 'unknown'} to ${targetLocation.name}. No direct path.`;
+
+
+     const oldLocationName = currentLocation?.name || 'an unknown place';
+     const fromLocationId = soul.locationId;
+     soul.locationId = targetLocationId;
+     emitWorldEvent('soul_left', {
+         locationId: fromLocationId,
+         message: `${soul.name} left ${oldLocationName} for ${targetLocation.name}.`,
+         data: { soulId: soulId, toLocationId: targetLocationId },
+         patches: [{ op: 'remove', path: 'visibleSouls', key: soulId }],
+     });
+     moveSoulSockets(soulId, fromLocationId, targetLocationId);
+     emitWorldEvent('soul_entered', {
+         locationId: targetLocationId,
+         message: `${soul.name} arrived from ${oldLocationName}.`,
+         data: { soulId: soulId, fromLocationId: fromLocationId },
+         patches: [{ op: 'add', path: 'visibleSouls', value: describeVisibleSoul(soul) }],
+     });
+     sendFullState(soulId); // Everything the mover sees has changed
+     return toolSuccess(`${soul.name} moved successfully to ${targetLocation.name}.`, {
+         affected: [soulId],
+         data: { fromLocationId: currentLocation?.id || null, toLocationId: targetLocationId },
+     });
+ }
+
+ // Removal is only offered to admins and session cleanup, never to generated tools.
+ function _internal_delete_soul(params) {
+     const { soulId, message } = params;
+     const soul = gameState.souls[soulId];
+     if (!soul) return toolError(`Error: Soul '${soulId}' not found.`);
+     // What it carried stays behind, for someone else to find
+     cancelTradesWhere(trade => trade.fromSoulId === soulId || trade.toSoulId === soulId, `${soul.name} is gone`);
+     if (gameState.locations[soul.locationId]) {
+         [...soul.inventory].filter(id => gameState.artifacts[id]).forEach(id => moveArtifact(id, { locationId: soul.locationId }));
+     }
+     delete gameState.souls[soulId];
+     for (const [token, session] of Object.entries(gameState.sessions)) {
+         if (session.soulId === soulId) delete gameState.sessions[token];
+     }
+     emitWorldEvent('soul_despawned', {
+         locationId: soul.locationId,
+         message: message || `${soul.name} fades away.`,
+         data: { soulId: soulId },
+         patches: [{ op: 'remove', path: 'visibleSouls', key: soulId }],
+     });
+     sendFullState(soulId); // Tells a still-connected player that their soul is gone
+     return toolSuccess(`Soul '${soul.name}' (ID: ${soulId}) removed.`, { affected: [soul.locationId] });
+ }
+
+ function _internal_delete_location(params) {
+     const { locationId } = params;
+     const location = gameState.locations[locationId];
+     if (!location) return toolError(`Error: Location '${locationId}' not found.`);
+     const present = Object.values(gameState.souls).filter(soul => soul.locationId === locationId);
+     if (present.length > 0) {
+         return toolError(`Error: Location '${location.name}' still holds ${present.map(soul => soul.name).join(', ')}. Move them first.`);
+     }
+     (location.items || []).forEach(artifactId => _internal_delete_artifact({ artifactId: artifactId }));
+     delete gameState.locations[locationId];
+     delete gameState.logs[locationId];
+     const affected = [];
+     for (const other of Object.values(gameState.locations)) {
+         for (const [direction, targetId] of Object.entries(other.exits)) {
+             if (targetId !== locationId) continue;
+             delete other.exits[direction];
+             affected.push(other.id);
+             emitWorldEvent('exit_closed', {
+                 locationId: other.id,
+                 message: `The path ${direction} from ${other.name} is gone.`,
+                 data: { direction: direction, toLocationId: locationId },
+                 patches: [{ op: 'remove', path: 'currentLocation.exits', key: direction }],
+             });
+         }
+     }
+     emitWorldEvent('location_deleted', {
+         message: `${location.name} has vanished from the world.`,
+         data: { locationId: locationId },
+     });
+     return toolSuccess(`Location '${location.name}' (ID: ${locationId}) removed.`, { affected: affected });
+ }
+
+ function _internal_delete_artifact(params) {
+     const { artifactId, message } = params;
+     const artifact = gameState.artifacts[artifactId];
+     if (!artifact) return toolError(`Error: Artifact '${artifactId}' not found.`);
+     const place = detachArtifact(artifactId);
+     delete gameState.artifacts[artifactId];
+     emitWorldEvent('artifact_deleted', {
+         message: message || `The artifact '${artifact.name}' crumbles to dust.`,
+         data: { artifactId: artifactId },
+     });
+     return toolSuccess(`Artifact '${artifact.name}' (ID: ${artifactId}) removed from the world.`, {
+         affected: place ? [place.soulId || place.locationId] : [],
+     });
+ }
+
+ // --- Items and Trades ---
+ // An artifact is in exactly one place: a soul's inventory, the ground of a location (its
+ // `items`), or nowhere yet (freshly created). moveArtifact is the only way to change that
+ // place, so every operation below moves ownership as a whole. Checks come first and nothing
+ // is changed before all of them passed.
+ // Trades are offers between two souls at the same location, kept in gameState.trades until
+ // the receiver accepts or either side cancels; moving an artifact cancels the offers it is in.
+
+ // { soulId } for an inventory, { locationId } for the ground, or null.
+ function findArtifactPlace(artifactId) {
+     const holder = Object.values(gameState.souls).find(soul => soul.inventory.includes(artifactId));
+     if (holder) return { soulId: holder.id };
+     const location = Object.values(gameState.locations).find(l => (l.items || []).includes(artifactId));
+     return location ? { locationId: location.id } : null;
+ }
+
+ // Takes an artifact out of wherever it is; returns the place it was in.
+ function detachArtifact(artifactId) {
+     const place = findArtifactPlace(artifactId);
+     if (place?.soulId) {
+         const soul = gameState.souls[place.soulId];
+         soul.inventory = soul.inventory.filter(id => id !== artifactId);
+         emitSoulPatch(soul.id, [{ op: 'remove', path: 'inventory', key: artifactId }]);
+     } else if (place?.locationId) {
+         const location = gameState.locations[place.locationId];
+         location.items = location.items.filter(id => id !== artifactId);
+         emitLocationPatch(location.id, [{ op: 'remove', path: 'currentLocation.items', key: artifactId }]);
+     }
+     cancelTradesWhere(trade => trade.offered.includes(artifactId) || trade.requested.includes(artifactId),
+         `'${gameState.artifacts[artifactId]?.name || artifactId}' changed hands`);
+     return place;
+ }
+
+ // Moves an artifact to `to` ({ soulId } or { locationId }); returns the place it came from.
+ function moveArtifact(artifactId, to) {
+     const from = detachArtifact(artifactId);
+     if (to.soulId) {
+         gameState.souls[to.soulId].inventory.push(artifactId);
+         emitSoulPatch(to.soulId, [{ op: 'add', path: 'inventory', value: gameState.artifacts[artifactId] }]);
+     } else {
+         const location = gameState.locations[to.locationId];
+         location.items = [...(location.items || []), artifactId];
+         emitLocationPatch(location.id, [{ op: 'add', path: 'currentLocation.items', value: gameState.artifacts[artifactId] }]);
+     }
+     return from;
+ }
+
+ // A fresh artifact with the same definition and limits as an existing one (not its usage state).
+ function copyArtifact(artifactId) {
+     const { rechargedAt, cooldowns, ...definition } = gameState.artifacts[artifactId];
+     const copy = { ...definition, id: newId() };
+     if (typeof copy.maxCharges === 'number') copy.charges = copy.maxCharges;
+     if (typeof copy.maxDurability === 'number') copy.durability = copy.maxDurability;
+     gameState.artifacts[copy.id] = copy;
+     return copy.id;
+ }
+
+ function _internal_place_artifact(params) {
+     const { artifactId, locationId } = params;
+     if (!artifactId || !locationId) return toolError("Error: Missing artifactId or locationId for place_artifact.");
+     const artifact = gameState.artifacts[artifactId];
+     if (!artifact) return toolError(`Error: Artifact '${artifactId}' not found.`);
+     const location = gameState.locations[locationId];
+     if (!location) return toolError(`Error: Location '${locationId}' not found.`);
+     if (location.items?.includes(artifactId)) {
+         return toolWarning(`Warning: Artifact '${artifact.name}' already lies in ${location.name}.`);
+     }
+
+     const from = moveArtifact(artifactId, { locationId: locationId });
+     emitWorldEvent('artifact_placed', {
+         locationId: locationId,
+         message: `${artifact.name} now lies on the ground of ${location.name}.`,
+         data: { artifactId: artifactId },
+     });
+     return toolSuccess(`Artifact '${artifact.name}' placed in ${location.name}.`, {
+         affected: [artifactId, locationId, ...(from?.soulId ? [from.soulId] : [])],
+     });
+ }
+
+ function _internal_drop_artifact(params) {
+     const { soulId, artifactId } = params;
+     if (!soulId || !artifactId) return toolError("Error: Missing soulId or artifactId for drop_artifact.");
+     const soul = gameState.souls[soulId];
+     if (!soul) return toolError(`Error: Soul '${soulId}' not found.`);
+     const artifact = gameState.artifacts[artifactId];
+     if (!artifact || !soul.inventory.includes(artifactId)) {
+         return toolError(`Error: ${soul.name} does not carry artifact '${artifact?.name || artifactId}'.`);
+     }
+     if (!gameState.locations[soul.locationId]) return toolError(`Error: ${soul.name} is nowhere to drop anything.`);
+
+     moveArtifact(artifactId, { locationId: soul.locationId });
+     emitWorldEvent('artifact_dropped', {
+         locationId: soul.locationId,
+         message: `${soul.name} dropped ${artifact.name}.`,
+         data: { soulId: soulId, artifactId: artifactId },
+     });
+     return toolSuccess(`${soul.name} dropped ${artifact.name}.`, { affected: [soulId, artifactId, soul.locationId] });
+ }
+
+ function _internal_pick_up_artifact(params) {
+     const { soulId, artifactId } = params;
+     if (!soulId || !artifactId) return toolError("Error: Missing soulId or artifactId for pick_up_artifact.");
+     const soul = gameState.souls[soulId];
+     if (!soul) return toolError(`Error: Soul '${soulId}' not found.`);
+     const artifact = gameState.artifacts[artifactId];
+     if (!artifact || !gameState.locations[soul.locationId]?.items?.includes(artifactId)) {
+         return toolError(`Error: There is no '${artifact?.name || artifactId}' lying around here.`);
+     }
+
+     moveArtifact(artifactId, { soulId: soulId });
+     emitWorldEvent('artifact_picked_up', {
+         locationId: soul.locationId,
+         message: `${soul.name} picked up ${artifact.name}.`,
+         data: { soulId: soulId, artifactId: artifactId },
+     });
+     return toolSuccess(`${soul.name} picked up ${artifact.name}.`, { affected: [soulId, artifactId, soul.locationId] });
+ }
+
+ function _internal_hand_over_artifact(params) {
+     const { soulId, targetSoulId, artifactId } = params;
+     if (!soulId || !targetSoulId || !artifactId) return toolError("Error: Missing soulId, targetSoulId or artifactId for hand_over_artifact.");
+     const soul = gameState.souls[soulId];
+     const target = gameState.souls[targetSoulId];
+     if (!soul) return toolError(`Error: Soul '${soulId}' not found.`);
+     if (!target) return toolError(`Error: Soul '${targetSoulId}' not found.`);
+     if (soulId === targetSoulId) return toolError(`Error: ${soul.name} already has it.`);
+     if (target.locationId !== soul.locationId) return toolError(`Error: ${target.name} is not here.`);
+     const artifact = gameState.artifacts[artifactId];
+     if (!artifact || !soul.inventory.includes(artifactId)) {
+         return toolError(`Error: ${soul.name} does not carry artifact '${artifact?.name || artifactId}'.`);
+     }
+
+     moveArtifact(artifactId, { soulId: targetSoulId });
+     emitWorldEvent('artifact_handed_over', {
+         locationId: soul.locationId,
+         message: `${soul.name} handed ${artifact.name} to ${target.name}.`,
+         data: { soulId: soulId, targetSoulId: targetSoulId, artifactId: artifactId },
+     });
+     return toolSuccess(`${soul.name} handed ${artifact.name} to ${target.name}.`, { affected: [soulId, targetSoulId, artifactId] });
+ }
+
+ // What the two parties see of a trade (gameState.trades holds { id, fromSoulId, toSoulId, offered, requested, createdAt }).
+ function describeTrade(trade) {
+     const describeItems = ids => ids.map(id => ({ id: id, name: gameState.artifacts[id]?.name || id }));
+     return {
+         id: trade.id,
+         fromSoulId: trade.fromSoulId,
+         fromName: gameState.souls[trade.fromSoulId]?.name || trade.fromSoulId,
+         toSoulId: trade.toSoulId,
+         toName: gameState.souls[trade.toSoulId]?.name || trade.toSoulId,
+         offered: describeItems(trade.offered),
+         requested: describeItems(trade.requested),
+     };
+ }
+
+ function getTradesForSoul(soulId) {
+     return Object.values(gameState.trades)
+         .filter(trade => trade.fromSoulId === soulId || trade.toSoulId === soulId)
+         .map(describeTrade);
+ }
+
+ // Checks that both parties are still together and still hold what the trade moves.
+ function checkTrade(fromSoulId, toSoulId, offered, requested) {
+     const from = gameState.souls[fromSoulId];
+     const to = gameState.souls[toSoulId];
+     if (!from) return `Error: Soul '${fromSoulId}' not found.`;
+     if (!to) return `Error: Soul '${toSoulId}' not found.`;
+     if (fromSoulId === toSoulId) return `Error: ${from.name} cannot trade with themselves.`;
+     if (from.locationId !== to.locationId) return `Error: ${from.name} and ${to.name} are not in the same place.`;
+     if (offered.length === 0 && requested.length === 0) return "Error: A trade needs at least one artifact.";
+     const missingOffered = offered.find(id => !from.inventory.includes(id));
+     if (missingOffered) return `Error: ${from.name} does not carry '${gameState.artifacts[missingOffered]?.name || missingOffered}'.`;
+     const missingRequested = requested.find(id => !to.inventory.includes(id));
+     if (missingRequested) return `Error: ${to.name} does not carry '${gameState.artifacts[missingRequested]?.name || missingRequested}'.`;
+     return null;
+ }
+
+ function removeTrade(trade) {
+     delete gameState.trades[trade.id];
+     [trade.fromSoulId, trade.toSoulId]
+         .filter(soulId => gameState.souls[soulId])
+         .forEach(soulId => emitSoulPatch(soulId, [{ op: 'remove', path: 'trades', key: trade.id }]));
+ }
+
+ function cancelTradesWhere(predicate, reason) {
+     Object.values(gameState.trades).filter(predicate).forEach(trade => {
+         const described = describeTrade(trade);
+         removeTrade(trade);
+         emitWorldEvent('trade_cancelled', {
+             locationId: gameState.souls[trade.fromSoulId]?.locationId || null,
+             message: `The trade between ${described.fromName} and ${described.toName} is off: ${reason}.`,
+             data: { tradeId: trade.id },
+         });
+     });
+ }
+
+ function _internal_offer_trade(params) {
+     const { soulId, targetSoulId } = params;
+     const offered = [...new Set(params.offeredArtifactIds || [])];
+     const requested = [...new Set(params.requestedArtifactIds || [])];
+     if (!soulId || !targetSoulId) return toolError("Error: Missing soulId or targetSoulId for offer_trade.");
+     const problem = checkTrade(soulId, targetSoulId, offered, requested);
+     if (problem) return toolError(problem);
+
+     const trade = { id: newId(), fromSoulId: soulId, toSoulId: targetSoulId, offered: offered, requested: requested, createdAt: worldTime() };
+     gameState.trades[trade.id] = trade;
+     const described = describeTrade(trade);
+     [soulId, targetSoulId].forEach(id => emitSoulPatch(id, [{ op: 'add', path: 'trades', value: described }]));
+     const offeredNames = described.offered.map(item => item.name).join(', ') || 'nothing';
+     const requestedNames = described.requested.map(item => item.name).join(', ') || 'nothing';
+     emitWorldEvent('trade_offered', {
+         locationId: gameState.souls[soulId].locationId,
+         message: `${described.fromName} offers ${offeredNames} to ${described.toName} for ${requestedNames}.`,
+         data: { tradeId: trade.id, fromSoulId: soulId, toSoulId: targetSoulId },
+     });
+     return toolSuccess(`Trade offered to ${described.toName}: ${offeredNames} for ${requestedNames}.`, {
+         created: [trade.id],
+         affected: [soulId, targetSoulId],
+         data: described,
+     });
+ }
+
+ function _internal_accept_trade(params) {
+     const { soulId, tradeId } = params;
+     if (!soulId || !tradeId) return toolError("Error: Missing soulId or tradeId for accept_trade.");
+     const trade = gameState.trades[tradeId];
+     if (!trade) return toolError(`Error: Trade '${tradeId}' not found.`);
+     if (trade.toSoulId !== soulId) return toolError("Error: Only the soul a trade was offered to can accept it.");
+     const problem = checkTrade(trade.fromSoulId, trade.toSoulId, trade.offered, trade.requested);
+     if (problem) {
+         cancelTradesWhere(other => other.id === trade.id, 'it can no longer be carried out');
+         return toolError(problem);
+     }
+
+     const described = describeTrade(trade);
+     removeTrade(trade);
+     trade.offered.forEach(artifactId => moveArtifact(artifactId, { soulId: trade.toSoulId }));
+     trade.requested.forEach(artifactId => moveArtifact(artifactId, { soulId: trade.fromSoulId }));
+     emitWorldEvent('trade_completed', {
+         locationId: gameState.souls[soulId].locationId,
+         message: `${described.fromName} and ${described.toName} completed a trade.`,
+         data: { tradeId: tradeId },
+     });
+     return toolSuccess(`Trade with ${described.fromName} completed.`, {
+         affected: [trade.fromSoulId, trade.toSoulId, ...trade.offered, ...trade.requested],
+         data: described,
+     });
+ }
+
+ function _internal_cancel_trade(params) {
+     const { soulId, tradeId } = params;
+     if (!soulId || !tradeId) return toolError("Error: Missing soulId or tradeId for cancel_trade.");
+     const trade = gameState.trades[tradeId];
+     if (!trade) return toolError(`Error: Trade '${tradeId}' not found.`);
+     if (trade.fromSoulId !== soulId && trade.toSoulId !== soulId) return toolError("Error: Only the two parties can cancel a trade.");
+
+     cancelTradesWhere(other => other.id === tradeId, `${gameState.souls[soulId].name} called it off`);
+     return toolSuccess("Trade cancelled.", { affected: [trade.fromSoulId, trade.toSoulId] });
+ }
+
+ // More potential internal functions: describe_location, look_around, etc.
+
+
+ // --- Artifact Usage ---
+ // Artifacts may carry optional limits, set when they are created. Without any of them an
+ // artifact can be used any number of times, instantly, as before.
+ //   charges      uses left (maxCharges remembers the starting amount); at 0 the artifact is inert
+ //   rechargeMs   one spent charge comes back every rechargeMs
+ //   onDepleted   'inert' (default) or 'break': what happens when the last charge is spent
+ //   cooldownMs   per soul, how long after a use the same soul has to wait
+ //   durability   wears down by wearPerUse (default 1) with every use; the artifact breaks at 0
+ // Usage state lives on the artifact as well: rechargedAt and cooldowns { soulId: readyAt }, in game
+ // time (worldTime(), see Simulation Clock), so replays see the same cooldowns.
+ // Every use goes through useArtifact, which checks the limits before running the linked tool
+ // and spends them only when the tool did not fail.
+ const ARTIFACT_DEPLETION_POLICIES = ['inert', 'break'];
+ const ARTIFACT_LIMIT_MINIMUMS = { charges: 1, rechargeMs: 1, cooldownMs: 0, durability: 1, wearPerUse: 1 };
+
+ // Validates the optional limits of create_artifact; returns { value } or { error }.
+ function readArtifactLimits(params) {
+     const value = {};
+     for (const [key, minimum] of Object.entries(ARTIFACT_LIMIT_MINIMUMS)) {
+         if (params[key] === undefined || params[key] === null) continue;
+         const number = Number(params[key]);
+         if (!Number.isInteger(number) || number < minimum) {
+             return { error: `Error: '${key}' must be an integer of at least ${minimum}.` };
+         }
+         value[key] = number;
+     }
+     if (params.onDepleted !== undefined && !ARTIFACT_DEPLETION_POLICIES.includes(params.onDepleted)) {
+         return { error: `Error: 'onDepleted' must be one of ${ARTIFACT_DEPLETION_POLICIES.join(', ')}.` };
+     }
+     if ((value.rechargeMs !== undefined || params.onDepleted !== undefined) && value.charges === undefined) {
+         return { error: "Error: 'rechargeMs' and 'onDepleted' only apply to artifacts with 'charges'." };
+     }
+     if (value.charges !== undefined) {
+         value.maxCharges = value.charges;
+         value.onDepleted = params.onDepleted || 'inert';
+     }
+     if (value.durability !== undefined) {
+         value.maxDurability = value.durability;
+     }
+     return { value: value };
+ }
+
+ function rechargeArtifact(artifact, now) {
+     if (!artifact.rechargeMs || typeof artifact.charges !== 'number' || artifact.charges >= artifact.maxCharges) return;
+     const regained = Math.floor((now - (artifact.rechargedAt ?? now)) / artifact.rechargeMs);
+     if (regained <= 0) return;
+     artifact.charges = Math.min(artifact.maxCharges, artifact.charges + regained);
+     artifact.rechargedAt += regained * artifact.rechargeMs;
+ }
+
+ // What `soulId` can do with the artifact right now:
+ // { usable, reason, charges, maxCharges, durability, maxDurability, cooldownRemainingMs, rechargeInMs }
+ // (limits the artifact does not have are null).
+ function getArtifactUsage(artifact, soulId, now = worldTime()) {
+     rechargeArtifact(artifact, now);
+     const hasCharges = typeof artifact.charges === 'number';
+     const cooldownRemainingMs = Math.max(0, (artifact.cooldowns?.[soulId] ?? 0) - now);
+     const recharging = hasCharges && artifact.rechargeMs && artifact.charges < artifact.maxCharges;
+     let reason = null;
+     if (hasCharges && artifact.charges === 0) {
+         reason = `'${artifact.name}' has no charges left.`;
+     } else if (cooldownRemainingMs > 0) {
+         reason = `'${artifact.name}' is not ready yet (${Math.ceil(cooldownRemainingMs / 1000)}s).`;
+     }
+     return {
+         usable: reason === null,
+         reason: reason,
+         charges: hasCharges ? artifact.charges : null,
+         maxCharges: hasCharges ? artifact.maxCharges : null,
+         durability: typeof artifact.durability === 'number' ? artifact.durability : null,
+         maxDurability: typeof artifact.durability === 'number' ? artifact.maxDurability : null,
+         cooldownRemainingMs: cooldownRemainingMs,
+         rechargeInMs: recharging ? Math.max(0, artifact.rechargedAt + artifact.rechargeMs - now) : null,
+     };
+ }
+
+ // Spends one use of the artifact by `soulId`: a charge, durability and the soul's cooldown.
+ // Breaks the artifact when it is worn out (or out of charges with onDepleted 'break');
+ // otherwise holders get the updated artifact and actions, and the user gets fresh actions
+ // on the first tick after a cooldown or recharge is over (see runTick).
+ function consumeArtifactUse(artifactId, soulId, now = worldTime()) {
+     const artifact = gameState.artifacts[artifactId];
+     if (!artifact) return; // The linked tool may have removed it itself
+     if (typeof artifact.charges !== 'number' && typeof artifact.durability !== 'number' && !artifact.cooldownMs) return;
+
+     if (typeof artifact.charges === 'number') {
+         if (artifact.charges >= artifact.maxCharges) artifact.rechargedAt = now;
+         artifact.charges = Math.max(0, artifact.charges - 1);
+     }
+     if (typeof artifact.durability === 'number') {
+         artifact.durability = Math.max(0, artifact.durability - (artifact.wearPerUse || 1));
+     }
+     if (artifact.cooldownMs) {
+         const cooldowns = Object.entries(artifact.cooldowns || {}).filter(([, readyAt]) => readyAt > now);
+         artifact.cooldowns = { ...Object.fromEntries(cooldowns), [soulId]: now + artifact.cooldownMs };
+     }
+
+     if (artifact.durability === 0) {
+         _internal_delete_artifact({ artifactId: artifactId, message: `The artifact '${artifact.name}' is worn out and falls apart.` });
+         return;
+     }
+     if (artifact.charges === 0 && artifact.onDepleted === 'break') {
+         _internal_delete_artifact({ artifactId: artifactId, message: `The artifact '${artifact.name}' spends its last charge and shatters.` });
+         return;
+     }
+
+     Object.values(gameState.souls)
+         .filter(soul => soul.inventory.includes(artifactId))
+         .forEach(soul => emitSoulPatch(soul.id, [{ op: 'add', path: 'inventory', value: artifact }]));
+     const usage = getArtifactUsage(artifact, soulId, now);
+     const readyInMs = Math.min(usage.cooldownRemainingMs || Infinity, usage.charges === 0 ? usage.rechargeInMs ?? Infinity : Infinity);
+     if (readyInMs !== Infinity) {
+         scheduler.actionRefreshes.push({ soulId: soulId, readyAt: now + readyInMs });
+     }
+ }
+
+ // Runs the tool linked to an artifact on behalf of a soul, within the artifact's limits.
+ // Returns a normalized tool result; problems before the tool runs are error results too.
+ async function useArtifact(soulId, artifactId, args = {}) {
+     const soul = gameState.souls[soulId];
+     if (!soul) return toolError(`Error: Soul '${soulId}' not found.`);
+     const artifact = gameState.artifacts[artifactId];
+     if (!artifact || !soul.inventory.includes(artifactId)) {
+         return toolError(`Error: You don't have the required artifact '${artifact?.name || artifactId}'.`);
+     }
+     const toolName = artifact.linkedToolName;
+     if (!toolName) return toolError(`Error: Artifact '${artifact.name}' seems inert.`);
+
+     const usage = getArtifactUsage(artifact, soulId);
+     if (!usage.usable) return toolError(`Error: ${usage.reason}`);
+
+     // Args chosen by the user (e.g., target ID, direction), plus the injected context.
+     // Injected arguments go last so a client cannot act as another soul.
+     const toolArgs = {
+         ...(args || {}),
+         soulId: soulId, // Let the tool know who is acting
+         locationId: soul.locationId, // Let the tool know where the action happens
+     };
+     const result = await toolManager.executeToolStructured(toolName, toolArgs, {
+         worldFor: createWorldApi, // Tools called through invokeTool get their own grants
+         seed: nextToolSeed(),
+         now: worldTime(),
+         allowedTrust: RUNNABLE_TOOL_TRUST,
+         caller: { soul: soulId, artifact: artifactId, source: soul.type, purpose: `${soul.name} uses ${artifact.name}: ${artifact.description}` },
+     });
+     if (result.status !== 'error') {
+         consumeArtifactUse(artifactId, soulId);
+     }
+     return result;
+ }
+
+
+ // --- World API for Tools ---
+ // Generated tools never see gameState. Instead every tool call receives a `world` object built
+ // here, and the engine decides per tool which capabilities (groups of world methods) it gets.
+ // Methods from capabilities a tool was not granted are still present but throw, so the tool
+ // gets a clear error instead of "is not a function".
+
+ const WORLD_API_DESCRIPTION = `Reading (capability "read"):
+     - world.getLocation(locationId) -> { id, name, description, exits: { direction: locationId } } or null
+     - world.listLocations() -> [{ id, name }]
+     - world.getSoul(soulId) -> { id, name, type, locationId, inventory: [artifactId] } or null
+     - world.getSoulsAt(locationId) -> [{ id, name, type }]
+     - world.getArtifact(artifactId) -> { id, name, description, linkedToolName } or null
+     - world.getInventory(soulId) -> [{ id, name, description, linkedToolName }]
+     - world.getItemsAt(locationId) -> [{ id, name, description, linkedToolName }] lying on the ground there
+     - world.getTrades(soulId) -> [{ id, fromSoulId, fromName, toSoulId, toName, offered: [{ id, name }], requested: [{ id, name }] }] open trades the soul is part of
+     - world.getTick() -> the current game tick (the world advances one tick every few moments)
+     Logging (capability "log"):
+     - world.log(message) -> null. Adds a line to the world log that players can see.
+     Changing the world (each returns a result object { status: "success" | "warning" | "error", message, created: [new IDs], affected: [changed IDs], data }; you can return it from the tool as-is):
+     - world.moveSoul(soulId, targetLocationId) (capability "move")
+     - world.createLocation(name, description) (capability "build"; the new location ID is the lowercase name with underscores)
+     - world.linkExit(fromLocationId, direction, toLocationId) (capability "build")
+     - world.createSoul(name, locationId, type) (capability "spawn")
+     - world.createArtifact(name, description, linkedToolName, limits) (capability "spawn"; limits is optional: { charges, rechargeMs, onDepleted: "inert" | "break", cooldownMs, durability, wearPerUse })
+     - world.giveArtifact(soulId, artifactId) (capability "give"; takes the artifact from wherever it was)
+     - world.placeArtifact(artifactId, locationId) (capability "spawn"; puts an artifact on the ground)
+     - world.dropArtifact(soulId, artifactId), world.pickUpArtifact(soulId, artifactId), world.handOverArtifact(soulId, targetSoulId, artifactId) (capability "items"; souls must be at the same location)
+     - world.offerTrade(soulId, targetSoulId, offeredArtifactIds, requestedArtifactIds), world.acceptTrade(soulId, tradeId), world.cancelTrade(soulId, tradeId) (capability "trade"; only the target accepts, either side cancels)
+     - world.setSoulBehavior(soulId, behavior, target) (capability "direct"; behavior is one of wander, guard, trade, follow, idle; target is the location to guard or the soul ID to follow)
+     - world.scheduleEvent(inTicks, toolName, args, description) (capability "schedule"; runs the tool toolName with args inTicks ticks from now, e.g. to open an exit later; data.eventId identifies it)
+     - world.cancelScheduledEvent(eventId) (capability "schedule")`;
+
+ const WORLD_CAPABILITIES = {
+     read: {
+         getLocation: (locationId) => {
+             const location = gameState.locations[locationId];
+             return location ? { id: location.id, name: location.name, description: location.description, exits: { ...location.exits } } : null;
+         },
+         listLocations: () => Object.values(gameState.locations).map(l => ({ id: l.id, name: l.name })),
+         getSoul: (soulId) => {
+             const soul = gameState.souls[soulId];
+             return soul ? { id: soul.id, name: soul.name, type: soul.type, locationId: soul.locationId, inventory: [...soul.inventory] } : null;
+         },
+         getSoulsAt: (locationId) => Object.values(gameState.souls)
+             .filter(s => s.locationId === locationId)
+             .map(s => ({ id: s.id, name: s.name, type: s.type })),
+         getArtifact: (artifactId) => {
+             const artifact = gameState.artifacts[artifactId];
+             return artifact ? { ...artifact } : null;
+         },
+         getInventory: (soulId) => (gameState.souls[soulId]?.inventory || [])
+             .map(id => gameState.artifacts[id])
+             .filter(Boolean)
+             .map(a => ({ ...a })),
+         getItemsAt: (locationId) => (gameState.locations[locationId]?.items || [])
+             .map(id => gameState.artifacts[id])
+             .filter(Boolean)
+             .map(a => ({ ...a })),
+         getTrades: (soulId) => getTradesForSoul(soulId),
+         getTick: () => gameState.clock.tick,
+     },
+     log: {
+         log: (message) => { logToWorld(String(message).slice(0, 500)); return null; },
+     },
+     move: {
+         moveSoul: (soulId, targetLocationId) => _internal_move_soul({ soulId, targetLocationId }),
+     },
+     build: {
+         createLocation: (name, description) => _internal_create_location({ name, description }),
+         linkExit: (fromLocationId, direction, toLocationId) => _internal_link_exit({ fromLocationId, direction, toLocationId }),
+     },
+     spawn: {
+         createSoul: (name, locationId, type) => _internal_create_soul({ name, locationId, type }),
+         createArtifact: (name, description, linkedToolName, limits) => _internal_create_artifact({ ...(limits || {}), name, description, linkedToolName }),
+         placeArtifact: (artifactId, locationId) => _internal_place_artifact({ artifactId, locationId }),
+     },
+     give: {
+         giveArtifact: (soulId, artifactId) => _internal_give_artifact_to_soul({ soulId, artifactId }),
+     },
+     items: {
+         dropArtifact: (soulId, artifactId) => _internal_drop_artifact({ soulId, artifactId }),
+         pickUpArtifact: (soulId, artifactId) => _internal_pick_up_artifact({ soulId, artifactId }),
+         handOverArtifact: (soulId, targetSoulId, artifactId) => _internal_hand_over_artifact({ soulId, targetSoulId, artifactId }),
+     },
+     direct: {
+         setSoulBehavior: (soulId, behavior, target) => _internal_set_soul_behavior({ soulId, behavior, target }),
+     },
+     schedule: {
+         scheduleEvent: (inTicks, toolName, args, description) => _internal_schedule_event({ inTicks, toolName, args, description }),
+         cancelScheduledEvent: (eventId) => _internal_cancel_scheduled_event({ eventId }),
+     },
+     trade: {
+         offerTrade: (soulId, targetSoulId, offeredArtifactIds, requestedArtifactIds) => _internal_offer_trade({ soulId, targetSoulId, offeredArtifactIds, requestedArtifactIds }),
+         acceptTrade: (soulId, tradeId) => _internal_accept_trade({ soulId, tradeId }),
+         cancelTrade: (soulId, tradeId) => _internal_cancel_trade({ soulId, tradeId }),
+     },
+ };
+
+ // Every tool may look around and write to the log; anything that changes state is granted by name.
+ const DEFAULT_TOOL_CAPABILITIES = ['read', 'log'];
+ const TOOL_CAPABILITY_GRANTS = {
+     move_soul: ['move'],
+     create_location: ['build'],
+     link_exit: ['build'],
+     create_soul: ['spawn'],
+     create_artifact: ['spawn'],
+     give_artifact_to_soul: ['give'],
+     place_artifact: ['spawn'],
+     drop_artifact: ['items'],
+     pick_up_artifact: ['items'],
+     hand_over_artifact: ['items'],
+     offer_trade: ['trade'],
+     accept_trade: ['trade'],
+     cancel_trade: ['trade'],
+     set_soul_behavior: ['direct'],
+     schedule_event: ['schedule'],
+     cancel_scheduled_event: ['schedule'],
+ };
+
+ function getToolCapabilities(toolName) {
+     return [...DEFAULT_TOOL_CAPABILITIES, ...(TOOL_CAPABILITY_GRANTS[toolName] || [])];
+ }
+
+ // options.dryRun: reads hit the real world, but nothing is logged or changed. Used by the tool
+ // manager to try out freshly generated code before storing it.
+ function createWorldApi(toolName, options = {}) {
+     const granted = getToolCapabilities(toolName);
+     const world = {};
+     for (const [capability, methods] of Object.entries(WORLD_CAPABILITIES)) {
+         for (const [methodName, method] of Object.entries(methods)) {
+             if (!granted.includes(capability)) {
+                 world[methodName] = () => { throw new Error(`Tool '${toolName}' is not allowed to use world.${methodName} (missing capability '${capability}').`); };
+             } else if (options.dryRun && capability === 'log') {
+                 world[methodName] = () => null;
+             } else if (options.dryRun && capability !== 'read') {
+                 world[methodName] = () => toolSuccess(`Dry run: world.${methodName} accepted.`, { created: [`dry_run_${methodName}`] });
+             } else {
+                 world[methodName] = method;
+             }
+         }
+     }
+     return world;
+ }
+
+
+ // --- Tool Trust ---
+ // Generated code only runs once an operator approved it (trust levels are kept by the tool
+ // registry, see Tool Trust in tool_creation_tool.js). Artifacts can only be linked to tools that
+ // may run, and every tool call the engine makes passes RUNNABLE_TOOL_TRUST. WORLD_OPEN_MODE=1
+ // lets pending tools run as well, e.g. while building a world; quarantined tools never run.
+ // Operators review tools in the admin console, or approve them in scripts with APPROVE TOOL.
+ // initial_prompt.txt does not approve the core tools it generates on a reseed, so a new world is
+ // built in open mode and its tools are reviewed before open mode is turned off.
+ const RUNNABLE_TOOL_TRUST = WORLD_OPEN_MODE ? ['internal', 'approved', 'pending'] : ['internal', 'approved'];
+
+ // Why the tool cannot run in this world, or null when it can.
+ function describeUnrunnableTool(toolName, definition) {
+     if (!definition) return `Tool '${toolName}' not found.`;
+     if (RUNNABLE_TOOL_TRUST.includes(definition.trust)) return null;
+     if (definition.trust === 'pending') return `Tool '${toolName}' is waiting for approval.`;
+     return `Tool '${toolName}' is ${definition.trust}${definition.trust_reason ? ` (${definition.trust_reason})` : ''}.`;
+ }
+
+ // Approving or rejecting a tool changes which artifacts work.
+ function refreshAllActions() {
+     Object.keys(gameState.locations).forEach(refreshActionsAt);
+ }
+
+
+ // --- World Events ---
+ // Every change to the world is announced as a typed event: soul_created, soul_entered, soul_left,
+ // soul_disconnected, soul_reconnected, soul_abandoned, soul_despawned, location_created,
+ // location_deleted, exit_opened, exit_closed, artifact_created, artifact_obtained,
+ // artifact_deleted, artifact_placed, artifact_dropped, artifact_picked_up, artifact_handed_over,
+ // trade_offered, trade_completed, trade_cancelled, message.
+ // Events with a locationId go to the Socket.IO room of that location (sockets join the room of
+ // the soul they control) and to its log; the rest go to everyone and to the world log.
+ // `patches` are applied by clients in that room to the state from getFilteredGameStateForSoul:
+ //   { op: 'set', path, key, value }  sets object[key] at path
+ //   { op: 'add', path, value }       adds value to the list at path (replacing one with the same id)
+ //   { op: 'remove', path, key }      removes the item with id `key` from the list at path,
+ //                                    or the property `key` from the object at path
+ // options.notable: the event is worth waking the game master for (new souls, places, artifacts...)
+ function emitWorldEvent(type, { locationId = null, message, data = {}, patches = [], notable = false }) {
+     const event = { seq: gameState.eventSeq++, tick: gameState.clock.tick, type: type, locationId: locationId, message: message, at: Date.now() };
+     console.log("[WORLD]", message);
+
+     const logKey = locationId || WORLD_LOG_KEY;
+     const log = gameState.logs[logKey] || (gameState.logs[logKey] = []);
+     log.push(event);
+     if (log.length > LOCATION_LOG_LIMIT) { // Keep log size manageable
+         log.shift();
+     }
+
+     const payload = { ...event, data: data, patches: patches };
+     if (locationId) {
+         io.to(locationRoom(locationId)).emit('worldEvent', payload);
+         if (patches.length > 0) refreshActionsAt(locationId);
+     } else {
+         io.emit('worldEvent', payload);
+     }
+     adminNamespace.emit('worldEvent', payload); // Operators see everything
+     if (notable) {
+         notifyGameMaster(message);
+     }
+     return event;
+ }
+
+ // Free-form messages, e.g. from tools via world.log().
+ function logToWorld(message, options = {}) {
+     return emitWorldEvent('message', { locationId: options.locationId || null, message: message, notable: options.notable });
+ }
+
+ // Merged view of the world log and one location's log, oldest first.
+ function getRecentLogEntries(locationId, count) {
+     const entries = [...(gameState.logs[WORLD_LOG_KEY] || []), ...(locationId ? gameState.logs[locationId] || [] : [])];
+     return entries.sort((a, b) => a.seq - b.seq).slice(-count);
+ }
+
+ // Same, across every log (for the game master).
+ function getRecentWorldEntries(count) {
+     return Object.values(gameState.logs).flat().sort((a, b) => a.seq - b.seq).slice(-count);
+ }
+
+ // --- Utility Functions ---
+
+ function sendDebugInfo(socket, message) {
+     if (socket) {
+         socket.emit('debugInfo', `[SERVER DEBUG] ${message}`);
+     } else {
+         io.emit('debugInfo', `[SERVER DEBUG] ${message}`); // Broadcast if no specific socket
+     }
+     console.log(`[DEBUG] ${message}`);
+ }
+
+ // --- World Script ---
+ // initial_prompt.txt (and any file it INCLUDEs) is a list of statements, one per line:
+ //
+ //   CREATE TOOL name='move_soul' description='...' parameters='{...}'
+ //   APPROVE TOOL name='move_soul' reason='Reviewed by hand'
+ //   $bob = EXECUTE TOOL name='create_soul' args={"name": "Bob", "locationId": "general_store"}
+ //   EXECUTE TOOL name='give_artifact_to_soul' args={"soulId": $bob, "artifactId": "$amulet"}
+ //   INCLUDE 'more_world.txt'
+ //
+ // Values are 'single quoted' text (the original format), "JSON strings", or bare JSON objects
+ // and arrays, which may span several lines. `$name = ` binds a statement's result: `$name` then
+ // stands for the first ID it created (the tool name for CREATE TOOL) and `$name.path` for any
+ // field of the result ({ status, message, created, affected, data }). References may appear
+ // bare or as a whole JSON string. Lines starting with # are comments. INCLUDE paths are
+ // relative to the including file. Errors are reported as file:line; with --stop-on-error the
+ // first one aborts startup. APPROVE TOOL marks a generated tool as reviewed (see Tool Trust), so
+ // scripts can link artifacts to it; the reason is optional.
+ const SCRIPT_VARIABLE_REFERENCE = /^\$([A-Za-z_]\w*)((?:\.\w+)*)$/;
+
+ function scriptError(location, message) {
+     return new Error(`${location.file}:${location.line}: ${message}`);
+ }
+
+ // Splits a script into statements, joining lines while a quote or a JSON bracket is open.
+ function splitScriptStatements(source, file) {
+     const statements = [];
+     let text = '', line = 0, depth = 0, quote = null, escaped = false;
+     source.split('\n').forEach((rawLine, index) => {
+         if (!text) {
+             const trimmed = rawLine.trim();
+             if (!trimmed || trimmed.startsWith('#')) return;
+             line = index + 1;
+         } else {
+             text += '\n';
+         }
+         for (const char of rawLine) {
+             if (quote) {
+                 if (escaped) escaped = false;
+                 else if (char === '\\' && quote === '"') escaped = true;
+                 else if (char === quote) quote = null;
+             } else if (char === '"' || char === "'") {
+                 quote = char;
+             } else if (char === '{' || char === '[') {
+                 depth++;
+             } else if (char === '}' || char === ']') {
+                 depth--;
+             }
+         }
+         text += rawLine;
+         if (!quote && depth <= 0) {
+             statements.push({ file: file, line: line, text: text.trim() });
+             text = '';
+             depth = 0;
+         }
+     });
+     if (text) {
+         throw scriptError({ file, line }, `Unterminated ${quote ? `${quote} quote` : 'JSON value'} in statement starting here.`);
+     }
+     return statements;
+ }
+
+ // Parses `key=value key=value ...` where a value is 'text', "json string", {json}, [json] or a bare word.
+ function parseScriptFields(text, location) {
+     const fields = {};
+     let i = 0;
+     while (i < text.length) {
+         while (/\s/.test(text[i])) i++;
+         if (i >= text.length) break;
+         const keyMatch = text.slice(i).match(/^(\w+)\s*=\s*/);
+         if (!keyMatch) throw scriptError(location, `Expected key=value at "${text.slice(i, i + 30)}".`);
+         const key = keyMatch[1];
+         i += keyMatch[0].length;
+         const start = i;
+         const opener = text[i];
+         if (opener === "'") {
+             const close = text.indexOf("'", i + 1);
+             if (close === -1) throw scriptError(location, `Unterminated ' quote in ${key}.`);
+             fields[key] = { raw: text.slice(i + 1, close), kind: 'text' };
+             i = close + 1;
+         } else if (opener === '"' || opener === '{' || opener === '[') {
+             let depth = 0, quote = null, escaped = false;
+             for (; i < text.length; i++) {
+                 const char = text[i];
+                 if (quote) {
+                     if (escaped) escaped = false;
+                     else if (char === '\\') escaped = true;
+                     else if (char === '"') quote = null;
+                 } else if (char === '"') {
+                     quote = char;
+                 } else if (char === '{' || char === '[') {
+                     depth++;
+                 } else if (char === '}' || char === ']') {
+                     depth--;
+                 }
+                 if (!quote && depth === 0) break;
+             }
+             fields[key] = { raw: text.slice(start, i + 1), kind: 'json' };
+             i++;
+         } else {
+             const word = text.slice(i).match(/^\S+/)[0];
+             fields[key] = { raw: word, kind: 'word' };
+             i += word.length;
+         }
+     }
+     return fields;
+ }
+
+ function lookupScriptVariable(reference, variables, location) {
+     const [, name, pathText] = reference.match(SCRIPT_VARIABLE_REFERENCE);
+     const variable = variables.get(name);
+     if (!variable) throw scriptError(location, `Unknown variable $${name}.`);
+     if (!pathText) {
+         if (variable.id === null) {
+             throw scriptError(location, `$${name} created nothing, so it has no ID (bound at ${variable.file}:${variable.line}); use a field such as $${name}.message.`);
+         }
+         return variable.id;
+     }
+     let value = variable.result;
+     for (const part of pathText.slice(1).split('.')) {
+         if (value === null || value === undefined || !(part in Object(value))) {
+             throw scriptError(location, `$${name}${pathText} does not exist.`);
+         }
+         value = value[part];
+     }
+     return value;
+ }
+
+ // Replaces bare $references outside of JSON strings with the JSON of their value.
+ function substituteBareReferences(jsonText, variables, location) {
+     let output = '', quote = false, escaped = false;
+     for (let i = 0; i < jsonText.length; i++) {
+         const char = jsonText[i];
+         if (quote) {
+             if (escaped) escaped = false;
+             else if (char === '\\') escaped = true;
+             else if (char === '"') quote = false;
+             output += char;
+         } else if (char === '"') {
+             quote = true;
+             output += char;
+         } else if (char === '$') {
+             const reference = jsonText.slice(i).match(/^\$[A-Za-z_]\w*(?:\.\w+)*/)[0];
+             output += JSON.stringify(lookupScriptVariable(reference, variables, location));
+             i += reference.length - 1;
+         } else {
+             output += char;
+         }
+     }
+     return output;
+ }
+
+ // Replaces strings that are exactly a $reference (e.g. "$bob") with the referenced value.
+ function substituteStringReferences(value, variables, location) {
+     if (typeof value === 'string') {
+         return SCRIPT_VARIABLE_REFERENCE.test(value) ? lookupScriptVariable(value, variables, location) : value;
+     }
+     if (Array.isArray(value)) return value.map(item => substituteStringReferences(item, variables, location));
+     if (value && typeof value === 'object') {
+         return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, substituteStringReferences(v, variables, location)]));
+     }
+     return value;
+ }
+
+ function scriptString(field, key, location) {
+     if (!field) throw scriptError(location, `Missing ${key}=.`);
+     if (field.kind === 'json') {
+         let value;
+         try {
+             value = JSON.parse(field.raw);
+         } catch (error) {
+             throw scriptError(location, `Invalid ${key}: ${error.message}`);
+         }
+         if (typeof value !== 'string') throw scriptError(location, `${key} must be a string.`);
+         return value;
+     }
+     return field.raw;
+ }
+
+ function scriptJson(field, key, variables, location) {
+     if (!field) throw scriptError(location, `Missing ${key}=.`);
+     let value;
+     try {
+         value = JSON.parse(substituteBareReferences(field.raw, variables, location));
+     } catch (error) {
+         if (error.message.startsWith(`${location.file}:`)) throw error;
+         throw scriptError(location, `Invalid JSON in ${key}: ${error.message}`);
+     }
+     return substituteStringReferences(value, variables, location);
+ }
+
+ // Runs one CREATE TOOL / APPROVE TOOL / EXECUTE TOOL statement; returns { result, id } where result is normalized.
+ // With context.queueTools, EXECUTE TOOL goes through the next tick as a `script` input carrying the
+ // resolved arguments, while tool creation and approval only touch the registry and run right away.
+ async function executeScriptStatement(command, fields, context, location) {
+     const variables = context.variables;
+     if (command === 'APPROVE TOOL') {
+         const name = scriptString(fields.name, 'name', location);
+         const reason = fields.reason ? scriptString(fields.reason, 'reason', location) : `Approved in ${location.file}`;
+         const result = normalizeToolResult(await toolManager.approveTool(name, reason));
+         sendDebugInfo(null, `Approval of '${name}': ${result.message}`);
+         if (result.status !== 'error') refreshAllActions();
+         return { result: result, id: name };
+     }
+
+     if (command === 'CREATE TOOL') {
+         const name = scriptString(fields.name, 'name', location);
+         const description = scriptString(fields.description, 'description', location);
+         const parameters = scriptJson(fields.parameters, 'parameters', variables, location);
+         sendDebugInfo(null, `Attempting to create tool '${name}' via tool_creation...`);
+         // Use the *internal* execution path for tool_creation
+         const result = normalizeToolResult(await toolManager.executeTool('tool_creation', {
+             new_tool_name: name,
+             new_tool_description: description,
+             new_tool_parameters: parameters
+         }));
+         sendDebugInfo(null, `Tool creation result for '${name}': ${result.message}`);
+         return { result: result, id: name };
+     }
+
+     const name = scriptString(fields.name, 'name', location);
+     let args = scriptJson(fields.args || { raw: '{}', kind: 'json' }, 'args', variables, location);
+
+     // Same validation/coercion as executeTool, so internal bootstrap functions
+     // get defaults applied and bad args are reported before anything runs.
+     const validation = await toolManager.validateToolArguments(name, args);
+     if (validation && !validation.valid) {
+         return { result: normalizeToolResult(formatValidationErrors(name, validation.errors)), id: null };
+     }
+     if (validation) {
+         args = validation.value;
+     } else {
+         sendDebugInfo(null, `Warning: Tool '${name}' is not in the registry; executing without schema validation.`);
+     }
+     sendDebugInfo(null, `Attempting to execute tool '${name}' with args: ${JSON.stringify(args)}`);
+
+     const result = context.queueTools
+         ? await submitInput({ type: 'script', toolName: name, args: args })
+         : await runScriptTool(name, args);
+     sendDebugInfo(null, `Tool execution result for '${name}': ${result.message}`);
+     if (result.created.length > 0) {
+         sendDebugInfo(null, `Created by '${name}': ${result.created.join(', ')}`);
+     }
+     return { result: result, id: result.created[0] ?? null };
+ }
+
+ // The world-changing half of EXECUTE TOOL, once the arguments are validated; returns a normalized result.
+ async function runScriptTool(name, args) {
+     // Check for internal game logic functions first (bootstrap optimization)
+     let result;
+     switch (name) {
+         case 'create_soul': result = _internal_create_soul(args); break;
+         case 'create_location': result = _internal_create_location(args); break;
+         case 'link_exit': result = _internal_link_exit(args); break;
+         case 'create_artifact': result = await _internal_create_artifact(args); break;
+         case 'give_artifact_to_soul': result = _internal_give_artifact_to_soul(args); break;
+         case 'place_artifact': result = _internal_place_artifact(args); break;
+         case 'set_soul_behavior': result = _internal_set_soul_behavior(args); break;
+         case 'schedule_event': result = _internal_schedule_event(args); break;
+         case 'move_soul': result = _internal_move_soul(args); break;
+         // Add other internal bootstrap functions if needed
+         default:
+             // If not internal, execute via ToolManager
+             result = await toolManager.executeToolStructured(name, args, {
+                 worldFor: createWorldApi,
+                 seed: nextToolSeed(),
+                 now: worldTime(),
+                 allowedTrust: RUNNABLE_TOOL_TRUST,
+                 caller: { source: 'script' },
+             });
+     }
+     return normalizeToolResult(result);
+ }
+
+ // context: { variables: Map, includeStack: [absolute paths], stopOnError, errors: [], queueTools }
+ async function runWorldScript(file, context) {
+     context.includeStack.push(path.resolve(file));
+     try {
+         await runWorldScriptSource(await fs.readFile(file, 'utf-8'), file, context);
+     } finally {
+         context.includeStack.pop();
+     }
+ }
+
+ // Runs script text; `file` names it in error reports and anchors relative INCLUDE paths.
+ async function runWorldScriptSource(source, file, context) {
+     const statements = splitScriptStatements(source, file);
+     for (const statement of statements) {
+         sendDebugInfo(null, `Processing ${statement.file}:${statement.line}: ${statement.text.split('\n')[0]}`);
+         try {
+             const match = statement.text.match(/^(?:\$([A-Za-z_]\w*)\s*=\s*)?(CREATE\s+TOOL|EXECUTE\s+TOOL|APPROVE\s+TOOL|INCLUDE)\b([\s\S]*)$/i);
+             if (!match) throw scriptError(statement, `Unrecognized statement: ${statement.text.split('\n')[0]}`);
+             const [, variable, rawCommand, rest] = match;
+             const command = rawCommand.toUpperCase().replace(/\s+/g, ' ');
+
+             if (command === 'INCLUDE') {
+                 if (variable) throw scriptError(statement, 'INCLUDE cannot be bound to a variable.');
+                 const target = rest.trim().replace(/^(['"])(.*)\1$/, '$2');
+                 if (!target) throw scriptError(statement, 'INCLUDE needs a file path.');
+                 const includePath = path.join(path.dirname(file), target);
+                 if (context.includeStack.includes(path.resolve(includePath))) {
+                     throw scriptError(statement, `Circular INCLUDE of ${includePath}.`);
+                 }
+                 try {
+                     await fs.access(includePath);
+                 } catch {
+                     throw scriptError(statement, `Cannot INCLUDE ${includePath}: file not found.`);
+                 }
+                 await runWorldScript(includePath, context);
+                 continue;
+             }
+
+             const { result, id } = await executeScriptStatement(command, parseScriptFields(rest, statement), context, statement);
+             if (result.status === 'error') {
+                 throw scriptError(statement, result.message);
+             }
+             if (variable) {
+                 context.variables.set(variable, { id: id, result: result, file: statement.file, line: statement.line });
+                 sendDebugInfo(null, `$${variable} = ${id}`);
+             }
+         } catch (error) {
+             if (!error.reported) { // Errors from an INCLUDEd file arrive here again when stopping
+                 error.reported = true;
+                 context.errors.push(error.message);
+                 console.error(`World script error: ${error.message}`);
+             }
+             if (context.stopOnError) throw error;
+         }
+     }
+ }
+
+ async function processInitialPrompt({ stopOnError = false } = {}) {
+     sendDebugInfo(null, `Processing initial prompt file: ${INITIAL_PROMPT_FILE}`);
+     const context = { variables: new Map(), includeStack: [], stopOnError: stopOnError, errors: [] };
+     try {
+         await runWorldScript(INITIAL_PROMPT_FILE, context);
+     } catch (error) {
+         if (stopOnError) throw new Error(`Initial prompt stopped on error: ${error.message}`);
+         console.error(`Error processing initial prompt file ${INITIAL_PROMPT_FILE}:`, error);
+     }
+     sendDebugInfo(null, `Finished processing initial prompt with ${context.errors.length} error(s).`);
+ }
+
+
+
+ // --- Persistence ---
+ // The world is saved as { schemaVersion, savedAt, state } to WORLD_STATE_FILE every
+ // WORLD_AUTOSAVE_INTERVAL_MS (when it changed) and on shutdown, and restored on boot.
+ // processInitialPrompt only runs for a fresh world or with --reseed. Named snapshots live in
+ // WORLD_SNAPSHOT_DIR: --snapshot=<name> saves one on boot, --restore=<name> boots from one.
+ // Files written by older versions are upgraded step by step through WORLD_MIGRATIONS.
+ let lastSavedWorldJson = null;
+
+ // WORLD_MIGRATIONS[n] upgrades a saved state from schema version n to n + 1.
+ const WORLD_MIGRATIONS = {
+     // 0: unversioned dumps of gameState; fill in fields that were optional back then
+     0: (state) => {
+         const world = { souls: {}, locations: {}, artifacts: {}, worldLog: [], ...state };
+         Object.values(world.souls).forEach(soul => {
+             soul.inventory = Array.isArray(soul.inventory) ? soul.inventory : [];
+             soul.type = soul.type || 'generic';
+         });
+         Object.values(world.locations).forEach(location => {
+             location.exits = location.exits || {};
+         });
+         return world;
+     },
+     // 1: the global worldLog (plain strings) became per-location event logs
+     1: (state) => {
+         const { worldLog = [], ...world } = state;
+         const entries = worldLog.map((message, i) => ({ seq: i, type: 'message', locationId: null, message: message, at: null }));
+         return { ...world, logs: { [WORLD_LOG_KEY]: entries }, eventSeq: entries.length };
+     },
+     // 2: player sessions; players saved before them can never reconnect, so they become NPCs
+     2: (state) => {
+         Object.values(state.souls).forEach(soul => {
+             if (soul.type === 'player') soul.type = 'npc';
+         });
+         return { ...state, sessions: {} };
+     },
+     // 3: artifacts have a single place; locations hold items, and souls that shared an artifact get copies
+     3: (state) => {
+         Object.values(state.locations).forEach(location => {
+             location.items = location.items || [];
+         });
+         const owned = new Set();
+         Object.values(state.souls).forEach(soul => {
+             soul.inventory = soul.inventory.map(artifactId => {
+                 const artifact = state.artifacts[artifactId];
+                 if (!artifact || !owned.has(artifactId)) {
+                     owned.add(artifactId);
+                     return artifactId;
+                 }
+                 const copyId = uuidv4();
+                 state.artifacts[copyId] = { ...artifact, id: copyId };
+                 return copyId;
+             });
+         });
+         return { ...state, trades: {} };
+     },
+     // 4: the simulation clock; usage limits measured in wall-clock time start over on game time
+     4: (state) => {
+         Object.values(state.artifacts).forEach(artifact => {
+             if (artifact.rechargedAt !== undefined) artifact.rechargedAt = 0;
+             delete artifact.cooldowns;
+         });
+         Object.values(state.trades).forEach(trade => {
+             trade.createdAt = 0;
+         });
+         return { ...state, clock: createClock(), scheduled: [] };
+     },
+ };
+
+ function migrateWorld(saved) {
+     // Files without a header are raw gameState dumps (schema version 0)
+     let version = saved.schemaVersion ?? 0;
+     let state = saved.schemaVersion === undefined ? saved : saved.state;
+     if (version > WORLD_SCHEMA_VERSION) {
+         throw new Error(`World file has schema version ${version}, but this server only knows up to ${WORLD_SCHEMA_VERSION}.`);
+     }
+     while (version < WORLD_SCHEMA_VERSION) {
+         const migrate = WORLD_MIGRATIONS[version];
+         if (!migrate) throw new Error(`No migration from world schema version ${version}.`);
+         state = migrate(state);
+         version++;
+         console.log(`Migrated world state to schema version ${version}.`);
+     }
+     return state;
+ }
+
+ function serializeWorld() {
+     return JSON.stringify({ schemaVersion: WORLD_SCHEMA_VERSION, savedAt: new Date().toISOString(), state: gameState }, null, 2);
+ }
+
+ // Replaces the contents of gameState in place (other modules hold a reference to it).
+ function applyWorld(state) {
+     for (const key of Object.keys(gameState)) delete gameState[key];
+     Object.assign(gameState, createEmptyWorld(), state);
+ }
+
+ async function writeFileAtomic(filePath, content) {
+     await fs.mkdir(path.dirname(filePath), { recursive: true });
+     const tempPath = `${filePath}.tmp`;
+     await fs.writeFile(tempPath, content);
+     await fs.rename(tempPath, filePath);
+ }
+
+ async function readWorldFile(filePath) {
+     try {
+         return migrateWorld(JSON.parse(await fs.readFile(filePath, 'utf-8')));
+     } catch (error) {
+         if (error.code === 'ENOENT') return null;
+         throw error;
+     }
+ }
+
+ // Saves only when something changed since the last save, unless force is set.
+ async function saveWorld({ force = false } = {}) {
+     const json = serializeWorld();
+     const contentOnly = JSON.stringify(gameState);
+     if (!force && contentOnly === lastSavedWorldJson) return false;
+     await writeFileAtomic(WORLD_STATE_FILE, json);
+     lastSavedWorldJson = contentOnly;
+     return true;
+ }
+
+ // Boot-time restore. Returns true if a saved world was loaded.
+ async function loadWorld() {
+     const state = await readWorldFile(WORLD_STATE_FILE);
+     if (!state) return false;
+     applyWorld(state);
+     lastSavedWorldJson = null; // Rewrite the file in the current schema on the next save
+     return true;
+ }
+
+ function snapshotPath(name) {
+     if (!/^[\w.-]+$/.test(name)) {
+         throw new Error(`Invalid snapshot name '${name}'. Use letters, digits, '.', '_' and '-'.`);
+     }
+     return path.join(WORLD_SNAPSHOT_DIR, `${name}.json`);
+ }
+
+ async function saveSnapshot(name) {
+     await writeFileAtomic(snapshotPath(name), serializeWorld());
+     sendDebugInfo(null, `World snapshot '${name}' saved.`);
+ }
+
+ async function listSnapshots() {
+     try {
+         return (await fs.readdir(WORLD_SNAPSHOT_DIR)).filter(file => file.endsWith('.json')).map(file => file.slice(0, -'.json'.length));
+     } catch (error) {
+         if (error.code === 'ENOENT') return [];
+         throw error;
+     }
+ }
+
+ // Replaces the live world with a snapshot. The world being replaced is snapshotted first.
+ async function restoreSnapshot(name) {
+     const state = await readWorldFile(snapshotPath(name));
+     if (!state) {
+         throw new Error(`Snapshot '${name}' not found. Available: ${(await listSnapshots()).join(', ') || 'none'}.`);
+     }
+     if (Object.keys(gameState.locations).length > 0) {
+         await saveSnapshot(`before-restore-${Date.now()}`);
+     }
+     applyWorld(state);
+     await saveWorld({ force: true });
+     sendDebugInfo(null, `World restored from snapshot '${name}'.`);
+ }
+
+ function startAutosave() {
+     if (WORLD_AUTOSAVE_INTERVAL_MS > 0) {
+         setInterval(() => {
+             saveWorld().catch(error => console.error("World autosave failed:", error));
+         }, WORLD_AUTOSAVE_INTERVAL_MS);
+     }
+     // Save on shutdown so at most the current tick is lost
+     const shutdown = async (signal) => {
+         console.log(`${signal} received, saving world...`);
+         try {
+             await stopScheduler();
+             await saveWorld();
+         } catch (error) {
+             console.error("Failed to save world on shutdown:", error);
+         }
+         process.exit(0);
+     };
+     process.once('SIGINT', () => shutdown('SIGINT'));
+     process.once('SIGTERM', () => shutdown('SIGTERM'));
+ }
+
+ // --reseed, --restore=<name>, --snapshot=<name>, --stop-on-error, --replay=<action log>
+ function parseStartupOptions(argv) {
+     const options = { reseed: false, restore: null, snapshot: null, stopOnError: false, replay: null, rescanTools: false };
+     for (const arg of argv) {
+         if (arg === '--reseed') options.reseed = true;
+         else if (arg === '--stop-on-error') options.stopOnError = true;
+         else if (arg === '--rescan-tools') options.rescanTools = true;
+         else if (arg.startsWith('--restore=')) options.restore = arg.slice('--restore='.length);
+         else if (arg.startsWith('--snapshot=')) options.snapshot = arg.slice('--snapshot='.length);
+         else if (arg.startsWith('--replay=')) options.replay = arg.slice('--replay='.length);
+     }
+     return options;
+ }
+
+ // --- Game Master ---
+ // The LLM game master wakes up periodically and shortly after notable world events, looks at
+ // the recent log and the state of every location, and acts through tools retrieved via RAG
+ // (creating new ones with tool_creation when nothing fits). While it sleeps, the world keeps
+ // running on artifacts alone. Toggle with GAME_MASTER_ASLEEP=1 at startup or SIGUSR2 at runtime.
+ const gameMaster = {
+     enabled: false, // Set once the world is bootstrapped, so the initial prompt does not trigger it
+     asleep: process.env.GAME_MASTER_ASLEEP === '1',
+     running: false,
+     pendingEvents: [],
+     eventTimer: null,
+     intervalTimer: null,
+ };
+
+ const GAME_MASTER_SYSTEM_PROMPT = `You are the game master of a small text MMORPG world inhabited by souls (players and NPCs).
+ Souls can only act through artifacts, each linked to a tool. You shape the world by calling tools: create places, paths, souls and artifacts, give artifacts to souls, or describe events.
+ If no available tool fits what you want to do, call tool_creation to define a new one, then use it.
+ Use only IDs that appear in the world state. Make at most a few meaningful changes, then reply with a one-sentence summary of what you did and why.`;
+
+ function buildGameMasterContext(reason) {
+     const lines = [`Reason for this turn: ${reason}`, '', 'Recent world log:'];
+     getRecentWorldEntries(15).forEach(entry => lines.push(`- ${entry.message}`));
+     lines.push('', 'Locations:');
+     for (const location of Object.values(gameState.locations)) {
+         const exits = Object.entries(location.exits).map(([dir, id]) => `${dir} -> ${id}`).join(', ') || 'none';
+         const souls = Object.values(gameState.souls)
+             .filter(s => s.locationId === location.id)
+             .map(s => `${s.name} (${s.type}${s.type === 'player' ? '' : `, ${s.behavior || 'wander'}`}, id ${s.id}, artifacts: ${s.inventory.map(id => gameState.artifacts[id]?.name).filter(Boolean).join(', ') || 'none'})`)
+             .join('; ') || 'nobody';
+         const items = (location.items || []).map(id => gameState.artifacts[id]?.name).filter(Boolean).join(', ') || 'nothing';
+         lines.push(`- ${location.name} (id ${location.id}). Exits: ${exits}. Souls: ${souls}. On the ground: ${items}.`);
+     }
+     lines.push('', 'Artifacts:');
+     Object.values(gameState.artifacts).forEach(a => lines.push(`- ${a.name} (id ${a.id}) uses tool ${a.linkedToolName}`));
+     return lines.join('\n');
+ }
+
+ function setGameMasterAsleep(asleep) {
+     gameMaster.asleep = asleep;
+     sendDebugInfo(null, `[GM] Game master is now ${asleep ? 'asleep; the world runs on artifacts alone' : 'awake'}.`);
+ }
+
+ // Called for notable world events; several events in quick succession are handled in one cycle.
+ function notifyGameMaster(eventMessage) {
+     if (!gameMaster.enabled || gameMaster.asleep || gameMaster.running) return; // Ignore the GM's own changes
+     gameMaster.pendingEvents.push(eventMessage);
+     if (!gameMaster.eventTimer) {
+         gameMaster.eventTimer = setTimeout(() => {
+             const events = gameMaster.pendingEvents.splice(0);
+             gameMaster.eventTimer = null;
+             runGameMasterCycle(`Notable events: ${events.join(' ')}`);
+         }, GAME_MASTER_EVENT_DELAY_MS);
+     }
+ }
+
+ // Creating a tool does not touch the world and runs right away; every other call waits for a tick
+ // like any input. An unknown tool is resolved before it is queued: that may mean generating it,
+ // which must not hold up the clock, and the action log then records the tool that actually runs,
+ // so a replay never asks the model. A tool this world may not run (a generated one stays pending
+ // until approved) is refused without queuing anything.
+ async function runGameMasterCall(toolName, args, executeOptions, reason) {
+     if (toolName === 'tool_creation') return toolManager.executeTool(toolName, args, executeOptions);
+     let definition = await toolManager.getToolDefinition(toolName);
+     if (!definition && executeOptions.resolution === 'lenient') {
+         const resolution = await toolManager.resolveMissingTool(toolName, args ?? {});
+         if (typeof resolution === 'string') return resolution;
+         executeOptions.onResolution?.(resolution);
+         ({ toolName, args } = resolution);
+         definition = await toolManager.getToolDefinition(toolName);
+     }
+     const problem = describeUnrunnableTool(toolName, definition);
+     if (problem) return `Error: ${problem}`;
+     return formatToolResult(await submitInput({ type: 'tool', toolName: toolName, args: args }, { purpose: `Game master: ${reason}` }));
+ }
+
+ async function runGameMasterCycle(reason) {
+     if (!gameMaster.enabled || gameMaster.asleep || gameMaster.running) return;
+     gameMaster.running = true;
+     sendDebugInfo(null, `[GM] Waking up. ${reason}`);
+     try {
+         const executed = await toolManager.runAgentCycle(buildGameMasterContext(reason), {
+             systemPrompt: GAME_MASTER_SYSTEM_PROMPT,
+             maxCalls: GAME_MASTER_MAX_CALLS,
+             // Unlike players, the game master may call a tool by a name that does not exist yet.
+             getExecuteOptions: () => ({ worldFor: createWorldApi, resolution: 'lenient' }),
+             runCall: (toolName, args, executeOptions) => runGameMasterCall(toolName, args, executeOptions, reason),
+             onEvent: (event) => {
+                 switch (event.type) {
+                     case 'tools': sendDebugInfo(null, `[GM] Tools at hand: ${event.tools.join(', ')}`); break;
+                     case 'call': sendDebugInfo(null, `[GM] Calling ${event.name} with ${JSON.stringify(event.args)}`); break;
+                     case 'resolved': sendDebugInfo(null, event.created
+                         ? `[GM] ${event.name} did not exist; created it on demand.`
+                         : `[GM] ${event.name} does not exist; using ${event.toolName} (similarity ${event.similarity.toFixed(2)}).`); break;
+                     case 'result': sendDebugInfo(null, `[GM] ${event.name} -> ${event.result}`); break;
+                     case 'skipped': sendDebugInfo(null, `[GM] Skipped ${event.name}: call budget of ${GAME_MASTER_MAX_CALLS} spent.`); break;
+                     case 'reply': sendDebugInfo(null, `[GM] ${event.content || '(no comment)'}`); break;
+                     case 'error': sendDebugInfo(null, `[GM] Model error: ${event.message}`); break;
+                 }
+             },
+         });
+         // Changes reach clients as world events; nothing to broadcast here.
+         sendDebugInfo(null, `[GM] Turn finished after ${executed.length} call(s).`);
+     } catch (error) {
+         console.error("Game master cycle failed:", error);
+         sendDebugInfo(null, `[GM] Cycle failed: ${error.message}`);
+     } finally {
+         gameMaster.running = false;
+     }
+ }
+
+ function startGameMaster() {
+     gameMaster.enabled = true;
+     gameMaster.intervalTimer = setInterval(() => runGameMasterCycle('Periodic check on the world.'), GAME_MASTER_INTERVAL_MS);
+     process.on('SIGUSR2', () => setGameMasterAsleep(!gameMaster.asleep));
+     sendDebugInfo(null, `[GM] Game master started (${gameMaster.asleep ? 'asleep' : 'awake'}, every ${GAME_MASTER_INTERVAL_MS}ms, budget ${GAME_MASTER_MAX_CALLS} calls).`);
+ }
 
-     // Basic check: Is the target location directly reachable? (Could be enhanced by tool logic)
-     let reachable = false;
-     if (currentLocation && currentLocation.exits) {
-         reachable = Object.values(currentLocation.exits).includes(targetLocationId);
-     }
-     // Allow moving even if not directly connected for flexibility / initial setup
-     // A real game might have the 'move' tool check exits itself.
-     // if (!reachable) return `Error: Cannot move from ${currentLocation?.name || 'unknown'} to ${targetLocation.name}. No direct path.`;
 
+ // --- Player Sessions ---
+ // A browser keeps the session token it was given and presents it on connect (handshake auth),
+ // which resumes control of the same soul. When the last socket of a soul disconnects, the soul
+ // waits PLAYER_SESSION_GRACE_MS for its player; after that ABANDONED_SOUL_POLICY applies:
+ // 'npc' hands the soul over to automated control, 'despawn' removes it from the world.
+ // Sessions are part of the saved world, so a server restart does not log players out.
+ // Session bookkeeping happens right away; what it does to the world (a new soul, presence
+ // notices, abandoning) is submitted as an input for the next tick.
+ const sessionExpiryTimers = new Map(); // sessionToken -> timeout
+
+ function createSession(soulId) {
+     const token = uuidv4();
+     gameState.sessions[token] = { soulId: soulId, createdAt: Date.now(), lastSeenAt: Date.now() };
+     return token;
+ }
 
-     const oldLocationName = currentLocation?.name || 'an unknown place';
-     soul.locationId = targetLocationId;
-     logToWorld(`${soul.name} moved from ${oldLocationName} to ${targetLocation.name}.`);
-     return `${soul.name} moved successfully to ${targetLocation.name}.`;
+ // Returns the session for a token if its soul is still a player soul, cancelling any pending expiry.
+ function resumeSession(token) {
+     const session = token && gameState.sessions[token];
+     if (!session) return null;
+     const soul = gameState.souls[session.soulId];
+     if (!soul || soul.type !== 'player') {
+         delete gameState.sessions[token];
+         return null;
+     }
+     clearTimeout(sessionExpiryTimers.get(token));
+     sessionExpiryTimers.delete(token);
+     session.lastSeenAt = Date.now();
+     return session;
  }
 
- // More potential internal functions: describe_location, look_around, etc.
+ function scheduleSessionExpiry(token, delayMs = PLAYER_SESSION_GRACE_MS) {
+     clearTimeout(sessionExpiryTimers.get(token));
+     sessionExpiryTimers.set(token, setTimeout(() => expireSession(token), Math.max(0, delayMs)));
+ }
 
+ function expireSession(token) {
+     sessionExpiryTimers.delete(token);
+     const session = gameState.sessions[token];
+     if (!session) return;
+     delete gameState.sessions[token];
+     submitInput({ type: 'abandon', soulId: session.soulId, policy: ABANDONED_SOUL_POLICY });
+ }
 
- // --- Utility Functions ---
- function logToWorld(message) {
-     console.log("[WORLD]", message);
-     gameState.worldLog.push(message);
-     if (gameState.worldLog.length > 50) { // Keep log size manageable
-         gameState.worldLog.shift();
+ // Applied on a tick (see Simulation Clock); `policy` is the ABANDONED_SOUL_POLICY of the run.
+ function abandonSoul(soulId, policy) {
+     const soul = gameState.souls[soulId];
+     if (!soul || soul.type !== 'player') return toolWarning(`Warning: Soul '${soulId}' is no longer a player soul.`);
+
+     if (policy === 'despawn') {
+         return _internal_delete_soul({ soulId: soul.id });
      }
-     // Broadcast important world events? Maybe too noisy.
-     // io.emit('gameStateUpdate', getFilteredGameState());
+     soul.type = 'npc';
+     emitWorldEvent('soul_abandoned', {
+         locationId: soul.locationId,
+         message: `${soul.name} falls silent and starts wandering on their own.`,
+         data: { soulId: soul.id },
+         patches: [{ op: 'add', path: 'visibleSouls', value: describeVisibleSoul(soul) }],
+     });
+     return toolSuccess(`${soul.name} is now an NPC.`, { affected: [soul.id] });
  }
 
- function sendDebugInfo(socket, message) {
-     if (socket) {
-         socket.emit('debugInfo', `[SERVER DEBUG] ${message}`);
-     } else {
-         io.emit('debugInfo', `[SERVER DEBUG] ${message}`); // Broadcast if no specific socket
-     }
-     console.log(`[DEBUG] ${message}`);
+ // Creates a player soul in the town square, with its own copy of every starting artifact.
+ function spawnPlayerSoul(name) {
+     const creationResult = _internal_create_soul({ name: name, locationId: 'town_square' }); // Default start location
+     if (creationResult.status !== 'success') return creationResult;
+     const soulId = creationResult.created[0];
+     gameState.souls[soulId].type = 'player'; // Mark as player controlled
+
+     // Give starting artifacts: every player gets their own copy of the first artifact with each name
+     STARTING_ARTIFACT_NAMES
+         .map(artifactName => Object.values(gameState.artifacts).find(a => a.name === artifactName))
+         .filter(Boolean)
+         .forEach(artifact => _internal_give_artifact_to_soul({ soulId: soulId, artifactId: copyArtifact(artifact.id) }));
+     return creationResult;
  }
 
- async function processInitialPrompt() {
-     sendDebugInfo(null, `Processing initial prompt file: ${INITIAL_PROMPT_FILE}`);
-     try {
-         const promptContent = await fs.readFile(INITIAL_PROMPT_FILE, 'utf-8');
-         const lines = promptContent.split('\n').filter(line => line.trim() && !line.trim().startsWith('#'));
-
-         for (const line of lines) {
-             const trimmedLine = line.trim();
-             sendDebugInfo(null, `Processing line: ${trimmedLine}`);
-
-             if (trimmedLine.toUpperCase().startsWith('CREATE TOOL')) {
-                 // Expect format: CREATE TOOL name='...' description='...' parameters='{...}'
-                 const nameMatch = trimmedLine.match(/name='([^']+)'/);
-                 const descMatch = trimmedLine.match(/description='([^']+)'/);
-                 const paramsMatch = trimmedLine.match(/parameters='({.*})'/);
-
-                 if (nameMatch && descMatch && paramsMatch) {
-                     const name = nameMatch[1];
-                     const description = descMatch[1];
-                     try {
-                         const parameters = JSON.parse(paramsMatch[1]);
-                         sendDebugInfo(null, `Attempting to create tool '${name}' via tool_creation...`);
-                         // Use the *internal* execution path for tool_creation
-                         const result = await toolManager.executeTool('tool_creation', {
-                             new_tool_name: name,
-                             new_tool_description: description,
-                             new_tool_parameters: parameters
-                         });
-                         sendDebugInfo(null, `Tool creation result for '${name}': ${result}`);
-                         if (result.startsWith("Error:")) {
-                             console.error(`Failed to process initial prompt line: ${line}\nError: ${result}`);
-                             // Decide whether to stop or continue on error
-                         }
-                     } catch (jsonError) {
-                         console.error(`Failed to parse parameters JSON in line: ${line}\nError: ${jsonError}`);
-                     }
-                 } else {
-                     console.error(`Invalid CREATE TOOL format in line: ${line}`);
-                 }
-             } else if (trimmedLine.toUpperCase().startsWith('EXECUTE TOOL')) {
-                 // Expect format: EXECUTE TOOL name='...' args='{...}'
-                 const nameMatch = trimmedLine.match(/name='([^']+)'/);
-                 const argsMatch = trimmedLine.match(/args='({.*})'/);
-
-                 if (nameMatch && argsMatch) {
-                     const name = nameMatch[1];
-                     try {
-                         const args = JSON.parse(argsMatch[1]);
-                         sendDebugInfo(null, `Attempting to execute tool '${name}' with args: ${JSON.stringify(args)}`);
-
-                         // Check for internal game logic functions first (bootstrap optimization)
-                         let result;
-                         switch (name) {
-                             case 'create_soul': result = _internal_create_soul(args); break;
-                             case 'create_location': result = _internal_create_location(args); break;
-                              case 'link_exit': result = _internal_link_exit(args); break;
-                             case 'create_artifact': result = _internal_create_artifact(args); break;
-                             case 'give_artifact_to_soul': result = _internal_give_artifact_to_soul(args); break;
-                             case 'move_soul': result = _internal_move_soul(args); break;
-                             // Add other internal bootstrap functions if needed
-                             default:
-                                 // If not internal, execute via ToolManager
-                                 result = await toolManager.executeTool(name, args);
-                         }
-
-                         sendDebugInfo(null, `Tool execution result for '${name}': ${result}`);
-                         if (result.startsWith("Error:")) {
-                             console.error(`Failed execution in initial prompt line: ${line}\nError: ${result}`);
-                             // Decide whether to stop or continue
-                         }
-                          // Potentially update game state based on non-internal tool results if they modify state directly
-                          // This requires careful design of the tools created by the LLM.
-                          // For now, we primarily rely on the internal functions for bootstrap state changes.
-
-                     } catch (jsonError) {
-                         console.error(`Failed to parse args JSON in line: ${line}\nError: ${jsonError}`);
-                     }
-                 } else {
-                     console.error(`Invalid EXECUTE TOOL format in line: ${line}`);
-                 }
-             } else {
-                 console.warn(`Skipping unrecognized line in initial prompt: ${line}`);
-             }
-              await new Promise(resolve => setTimeout(resolve, 100)); // Small delay between commands
-         }
-         sendDebugInfo(null, "Finished processing initial prompt.");
-     } catch (error) {
-         console.error(`Error processing initial prompt file ${INITIAL_PROMPT_FILE}:`, error);
-         // Decide if the server should start even if the prompt fails
+ // Tells the soul's location that its player has come back or gone.
+ function announcePresence(soulId, connected) {
+     const soul = gameState.souls[soulId];
+     if (!soul) return toolError(`Error: Soul '${soulId}' not found.`);
+     emitWorldEvent(connected ? 'soul_reconnected' : 'soul_disconnected', {
+         locationId: soul.locationId,
+         message: `${soul.name} has ${connected ? 'reconnected' : 'disconnected'}.`,
+         data: { soulId: soulId },
+     });
+     return toolSuccess(`${soul.name} is ${connected ? 'connected' : 'disconnected'}.`, { affected: [soulId] });
+ }
+
+ // After a restart nobody is connected: every session gets whatever is left of its grace period.
+ function resumeSessionExpiries() {
+     for (const [token, session] of Object.entries(gameState.sessions)) {
+         scheduleSessionExpiry(token, session.lastSeenAt + PLAYER_SESSION_GRACE_MS - Date.now());
      }
  }
 
+ function isSoulConnected(soulId) {
+     return (io.sockets.adapter.rooms.get(soulRoom(soulId))?.size || 0) > 0;
+ }
 
  // --- Socket Connection Handling ---
  io.on("connection", async (socket) => {
@@ -270,41 +1750,44 @@ app.use(express.static(path.join(__dirname, 'public')));
      sendDebugInfo(socket, `Connection established: ${socket.id}`);
 
      // --- Player Soul Creation/Assignment ---
-     // Simple: create a new soul for each connection for this example
+     // A known session token resumes its soul; otherwise a new player soul is created.
      let playerSoulId = null;
+     let sessionToken = socket.handshake.auth?.sessionToken;
      try {
-          const creationParams = { name: `Player_${socket.id.substring(0, 5)}`, locationId: 'town_square' }; // Default start location
-          const creationResult = _internal_create_soul(creationParams);
-          sendDebugInfo(socket, `Soul creation attempt result: ${creationResult}`);
-          // Extract ID from result (basic parsing, might need refinement)
-          const idMatch = creationResult.match(/ID: ([a-f0-9-]+)/);
-          if (idMatch) {
-              playerSoulId = idMatch[1];
-              gameState.souls[playerSoulId].type = 'player'; // Mark as player controlled
+         const session = resumeSession(sessionToken);
+         if (session) {
+             playerSoulId = session.soulId;
+             socket.emit('assignSoulId', playerSoulId);
+             socket.data.soulId = playerSoulId;
+             sendDebugInfo(socket, `Resumed session for player soul ID: ${playerSoulId}`);
+             if (!isSoulConnected(playerSoulId)) {
+                 submitInput({ type: 'presence', soulId: playerSoulId, connected: true });
+             }
+         } else {
+          const creationResult = await submitInput({ type: 'join', name: `Player_${socket.id.substring(0, 5)}` }); // See spawnPlayerSoul
+          sendDebugInfo(socket, `Soul creation attempt result: ${creationResult.message}`);
+          if (creationResult.status === 'success') {
+              playerSoulId = creationResult.created[0];
               socket.emit('assignSoulId', playerSoulId); // Tell client its ID
               socket.data.soulId = playerSoulId; // Now properly defined
               console.log(`Storing soulId ${playerSoulId} in socket.data`);
               console.log(`Current socket.data:`, socket.data);
               sendDebugInfo(socket, `Assigned player soul ID: ${playerSoulId}`);
-              
-    // Give starting artifacts
-    const startingArtifacts = Object.values(gameState.artifacts)
-        .filter(a => ['Boots of Walking', 'Amulet of Observation'].includes(a.name));
-    
-    startingArtifacts.forEach(artifact => {
-        _internal_give_artifact_to_soul({
-            soulId: playerSoulId,
-            artifactId: artifact.id
-        });
-    });
-    
-    console.log(`Player ${playerSoulId} inventory:`, gameState.souls[playerSoulId].inventory);
-              
+              console.log(`Player ${playerSoulId} inventory:`, gameState.souls[playerSoulId].inventory);
           } else {
-              throw new Error(`Could not extract soul ID from creation result: ${creationResult}`);
+              throw new Error(`Could not create player soul: ${creationResult.message}`);
           }
+          sessionToken = createSession(playerSoulId);
+          if (socket.disconnected) { // Left while waiting for the tick; the soul waits like any other
+              scheduleSessionExpiry(sessionToken);
+              return;
+          }
+         }
+         socket.data.sessionToken = sessionToken;
+         socket.emit('sessionToken', sessionToken); // The client stores it and presents it on its next connect
 
-         // Send initial state AFTER soul is created
+         // Subscribe to the soul's events, then send the initial state they patch
+         joinSoulRooms(socket, playerSoulId);
          socket.emit('gameStateUpdate', getFilteredGameStateForSoul(playerSoulId));
          await sendAvailableActions(socket, playerSoulId);
 
@@ -319,12 +1802,13 @@ app.use(express.static(path.join(__dirname, 'public')));
      // --- Event Listeners ---
      socket.on("disconnect", () => {
          console.log(`Socket disconnected: ${socket.id}`);
-         if (playerSoulId && gameState.souls[playerSoulId]) {
-             logToWorld(`${gameState.souls[playerSoulId].name} has disconnected.`);
-             // Optional: Remove player soul or mark as disconnected NPC?
-             // delete gameState.souls[playerSoulId];
-             // For this example, we leave them in the world.
-             broadcastGameState(); // Update others
+         // Other tabs of the same session may still be connected (this socket already left its rooms)
+         if (playerSoulId && gameState.souls[playerSoulId] && !isSoulConnected(playerSoulId)) {
+             submitInput({ type: 'presence', soulId: playerSoulId, connected: false });
+             if (gameState.sessions[sessionToken]) {
+                 gameState.sessions[sessionToken].lastSeenAt = Date.now();
+                 scheduleSessionExpiry(sessionToken);
+             }
          }
      });
 
@@ -341,67 +1825,48 @@ app.use(express.static(path.join(__dirname, 'public')));
               return;
          }
 
-         const soul = gameState.souls[soulId];
-         const artifact = gameState.artifacts[artifactId];
-
-         if (!soul.inventory.includes(artifactId) || !artifact) {
-             sendDebugInfo(socket, `Error: Soul ${soul.name} does not possess artifact '${artifact?.name || artifactId}' or artifact invalid.`);
-             socket.emit('actionResult', { success: false, message: `You don't have the required artifact '${artifact?.name || artifactId}'.` });
-             return;
-         }
-
-         const toolName = artifact.linkedToolName;
-         if (!toolName) {
-              sendDebugInfo(socket, `Error: Artifact '${artifact.name}' is not linked to any tool.`);
-              socket.emit('actionResult', { success: false, message: `Artifact '${artifact.name}' seems inert.` });
+         const artifactName = gameState.artifacts[artifactId]?.name || artifactId;
+         if (pendingActions.has(soulId)) {
+             socket.emit('actionResult', {
+                 success: false,
+                 status: 'warning',
+                 message: `Warning: You are still using ${pendingActions.get(soulId)}. Wait for it to finish.`,
+                 created: [], affected: [], data: null,
+             });
              return;
          }
-
-         // --- Prepare Arguments for the Tool ---
-         // Include the soul performing the action and potentially other context
-         const toolArgs = {
-              soulId: soulId, // Let the tool know who is acting
-              locationId: soul.locationId, // Let the tool know where the action happens
-              ...(args || {}) // Include any args sent from the client (e.g., target ID, direction)
-         };
-
-
-         sendDebugInfo(socket, `Executing tool '${toolName}' via artifact '${artifact.name}' for soul ${soulId} with args: ${JSON.stringify(toolArgs)}`);
+         pendingActions.set(soulId, artifactName);
+         sendDebugInfo(socket, `Using artifact '${artifactName}' for soul ${soulId} with args: ${JSON.stringify(args || {})}`);
 
          try {
-             const executionResult = await toolManager.executeTool(toolName, toolArgs);
-             sendDebugInfo(socket, `Tool '${toolName}' execution result: ${executionResult}`);
+             // Runs on the next tick (see Simulation Clock); ownership, usage limits and injected
+             // arguments are handled by useArtifact
+             // The soul is free again before the client hears the result and may click again
+             const executionResult = await submitInput({ type: 'action', soulId: soulId, artifactId: artifactId, args: args || {} })
+                 .finally(() => pendingActions.delete(soulId));
+             sendDebugInfo(socket, `Artifact '${artifactId}' result: ${executionResult.status}: ${executionResult.message}`);
 
              // --- Process Result ---
-             // The tool's return string *is* the primary way it communicates outcomes.
-             // We can check if it starts with "Error:"
-             const success = !executionResult.startsWith("Error:");
-             socket.emit('actionResult', { success: success, message: executionResult });
-
-             // If successful, update game state *based on the assumed effects described by the tool name/result*.
-             // This is where the coupling between tool intent and server state happens.
-             // More robust: Tools could return structured data, but string is per requirement.
-             // We *could* re-parse the result string, but that's fragile.
-             // Example: If a 'move' tool succeeded, the internal _internal_move_soul ALREADY updated state.
-             // If an LLM-generated tool modified state, its *code* should have interacted with gameState (if passed in or globally accessible - risky!).
-             // For now, assume internal bootstrap functions handle state for known actions. LLM tools primarily describe.
-             // *** Key Decision: For this example, let's assume LLM tools primarily RETURN STRINGS,
-             // and ONLY the predefined _internal_ functions directly modify gameState for simplicity/safety.
-             // OR, pass gameState reference to executed tools (complex and risky). Let's stick to internal functions for state changes initially.
-
-             if (success) {
-                  // State might have been changed by an *internal* function called via a tool.
-                  // Re-broadcast the potentially changed state.
-                 broadcastGameState(); // Update everyone
-                 await sendAvailableActions(socket, soulId); // Update acting player's actions
-             } else {
-                  // Maybe only send updated actions if the error didn't prevent future actions
-                  await sendAvailableActions(socket, soulId);
-             }
+             // Inputs resolve with the normalized shape of executeToolStructured, so old
+             // string-returning tools and structured ones look the same here.
+             const success = executionResult.status !== 'error';
+             socket.emit('actionResult', {
+                 success: success,
+                 status: executionResult.status,
+                 message: executionResult.message,
+                 created: executionResult.created,
+                 affected: executionResult.affected,
+                 data: executionResult.data,
+             });
+
+             // State changes made by the tool went through its `world` API (see createWorldApi),
+             // which calls the _internal_ functions; they already sent world events and patches
+             // to the sockets that can see them.
+             await sendAvailableActions(socket, soulId); // Update acting player's actions
 
          } catch (error) {
-             console.error(`Critical error during tool execution via performAction for tool ${toolName}:`, error);
-             sendDebugInfo(socket, `System Error executing tool ${toolName}: ${error.message}`);
+             console.error(`Critical error during tool execution via performAction for artifact ${artifactId}:`, error);
+             sendDebugInfo(socket, `System Error using artifact ${artifactId}: ${error.message}`);
              socket.emit('actionResult', { success: false, message: `A critical error occurred while performing the action.` });
               await sendAvailableActions(socket, soulId); // Still send actions
          }
@@ -417,6 +1882,228 @@ app.use(express.static(path.join(__dirname, 'public')));
  });
 
 
+ // --- Admin Console ---
+ // The /admin namespace lets an operator change the live world (public/admin.html). Sockets
+ // must present ADMIN_SECRET in their handshake auth; without ADMIN_SECRET it refuses everyone.
+ // Every command is acknowledged with { status, message, data } and appended to ADMIN_AUDIT_LOG
+ // as one JSON line. Admin sockets also receive every world event.
+ // Reads are answered right away; every other command is an input for the next tick (see
+ // Simulation Clock), so it ends up in the action log and replays with the session. Tool reviews
+ // and dataset exports touch the tool registry rather than the world, so they run right away too.
+ // Scripts also run right away, since CREATE TOOL waits for the model; only their EXECUTE TOOL
+ // statements are queued, with resolved arguments, so a replay never reads a script or asks the model.
+ const ADMIN_READ_COMMANDS = ['listEntities', 'inspect', 'listPendingTools', 'reviewTool', 'toolUsage']; // Not audited either
+ const ADMIN_REGISTRY_COMMANDS = ['approveTool', 'rejectTool', 'rescanTools', 'exportDataset', 'runScript', 'reloadScript'];
+ const adminScriptVariables = new Map(); // admin socket ID -> script variables, kept while it is connected
+
+ function getAdminScriptVariables(admin) {
+     if (!adminScriptVariables.has(admin)) adminScriptVariables.set(admin, new Map());
+     return adminScriptVariables.get(admin);
+ }
+ function checkAdminSecret(secret) {
+     if (!ADMIN_SECRET || typeof secret !== 'string') return false;
+     const expected = Buffer.from(ADMIN_SECRET);
+     const given = Buffer.from(secret);
+     return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+ }
+
+ async function appendAuditLog(entry) {
+     try {
+         await fs.mkdir(path.dirname(ADMIN_AUDIT_LOG), { recursive: true });
+         await fs.appendFile(ADMIN_AUDIT_LOG, JSON.stringify(entry) + '\n');
+     } catch (error) {
+         console.error("Failed to write admin audit log:", error);
+     }
+ }
+
+ // Admin script files must live inside the server directory tree.
+ function resolveAdminScriptPath(file) {
+     const resolved = path.resolve(file || INITIAL_PROMPT_FILE);
+     if (!resolved.startsWith(process.cwd() + path.sep)) {
+         throw new Error(`Script '${file}' is outside the server directory.`);
+     }
+     return path.relative(process.cwd(), resolved);
+ }
+
+ function inspectEntity(kind, id) {
+     switch (kind) {
+         case 'soul': {
+             const soul = gameState.souls[id];
+             if (!soul) return null;
+             return {
+                 ...soul,
+                 connected: isSoulConnected(id),
+                 inventoryDetails: soul.inventory.map(artifactId => gameState.artifacts[artifactId]).filter(Boolean),
+             };
+         }
+         case 'location': {
+             const location = gameState.locations[id];
+             if (!location) return null;
+             return {
+                 ...location,
+                 souls: Object.values(gameState.souls).filter(soul => soul.locationId === id).map(describeVisibleSoul),
+                 log: gameState.logs[id] || [],
+             };
+         }
+         case 'artifact': {
+             const artifact = gameState.artifacts[id];
+             if (!artifact) return null;
+             return {
+                 ...artifact,
+                 holders: Object.values(gameState.souls).filter(soul => soul.inventory.includes(id)).map(describeVisibleSoul),
+             };
+         }
+         default:
+             throw new Error(`Unknown entity kind '${kind}'. Use soul, location or artifact.`);
+     }
+ }
+
+ // Handlers receive the command payload and the admin socket ID, and return a tool-style result.
+ const ADMIN_COMMANDS = {
+     listEntities: () => toolSuccess('World entities listed.', {
+         data: {
+             souls: Object.values(gameState.souls).map(soul => ({ ...describeVisibleSoul(soul), locationId: soul.locationId })),
+             locations: Object.values(gameState.locations).map(location => ({ id: location.id, name: location.name })),
+             artifacts: Object.values(gameState.artifacts).map(artifact => ({ id: artifact.id, name: artifact.name, linkedToolName: artifact.linkedToolName })),
+         },
+     }),
+     inspect: ({ kind, id }) => {
+         const entity = inspectEntity(kind, id);
+         return entity ? toolSuccess(`${kind} '${id}'.`, { data: entity }) : toolError(`Error: ${kind} '${id}' not found.`);
+     },
+     spawn: ({ kind, params = {} }) => {
+         switch (kind) {
+             case 'soul': return _internal_create_soul(params);
+             case 'location': return _internal_create_location(params);
+             case 'artifact': return _internal_create_artifact(params);
+             default: return toolError(`Error: Cannot spawn '${kind}'. Use soul, location or artifact.`);
+         }
+     },
+     delete: ({ kind, id }) => {
+         switch (kind) {
+             case 'soul': return _internal_delete_soul({ soulId: id });
+             case 'location': return _internal_delete_location({ locationId: id });
+             case 'artifact': return _internal_delete_artifact({ artifactId: id });
+             default: return toolError(`Error: Cannot delete '${kind}'. Use soul, location or artifact.`);
+         }
+     },
+     teleport: ({ soulId, locationId }) => _internal_move_soul({ soulId: soulId, targetLocationId: locationId }),
+     setBehavior: ({ soulId, behavior, target }) => _internal_set_soul_behavior({ soulId: soulId, behavior: behavior, target: target || undefined }),
+     listPendingTools: async () => {
+         const pending = await toolManager.listToolsByTrust('pending');
+         const quarantined = await toolManager.listToolsByTrust('quarantined');
+         return toolSuccess(`${pending.length} tool(s) waiting for approval, ${quarantined.length} quarantined.`, {
+             data: { pending: pending, quarantined: quarantined, openMode: WORLD_OPEN_MODE },
+         });
+     },
+     // Code and schema of the active revision, plus the trust of every revision
+     reviewTool: async ({ name }) => {
+         const definition = await toolManager.getToolDefinition(name);
+         if (!definition) return toolError(`Error: Tool '${name}' not found.`);
+         const versions = await toolManager.getToolVersions(name);
+         return toolSuccess(`Tool '${name}' (version ${definition.version}, ${definition.trust}).`, {
+             data: {
+                 ...definition,
+                 artifacts: Object.values(gameState.artifacts).filter(a => a.linkedToolName === name).map(a => ({ id: a.id, name: a.name })),
+                 versions: versions.map(v => ({ version: v.version, trust: v.trust, trust_reason: v.trust_reason, verdict: v.analysis?.verdict ?? null, created_at: v.created_at, active: v.active })),
+             },
+         });
+     },
+     approveTool: async ({ name, reason }) => {
+         const result = normalizeToolResult(await toolManager.approveTool(name, reason));
+         if (result.status !== 'error') refreshAllActions();
+         return result;
+     },
+     rejectTool: async ({ name, reason }) => {
+         const result = normalizeToolResult(await toolManager.rejectTool(name, reason));
+         if (result.status !== 'error') refreshAllActions();
+         return result;
+     },
+     toolUsage: async ({ name }) => {
+         const stats = toolManager.getToolUsageStats(name || null);
+         if (name && !stats) return toolWarning(`Warning: Tool '${name}' has no journaled calls.`);
+         return toolSuccess(name ? `Usage of tool '${name}'.` : `Usage of ${stats.length} tool(s).`, { data: stats });
+     },
+     // Writes a fine-tuning dataset to FINE_TUNING_EXPORT_DIR; filters as in exportFineTuningDataset
+     exportDataset: async ({ file, tools, since, until, success, include }) => {
+         const name = path.basename(file || `dataset-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`);
+         const summary = await toolManager.exportFineTuningDataset(path.join(FINE_TUNING_EXPORT_DIR, name), {
+             tools: tools?.length ? tools : null,
+             since: since || null,
+             until: until || null,
+             success: typeof success === 'boolean' ? success : null,
+             ...(include?.length ? { include: include } : {}),
+         });
+         return toolSuccess(`Exported ${summary.examples} example(s) (${summary.generations} generations, ${summary.calls} calls) to ${summary.path}.`, { data: summary });
+     },
+     // Re-runs the static analysis on one tool (name) or all of them; changes no trust levels
+     rescanTools: async ({ name }) => {
+         const reports = await toolManager.rescanTools(name ? [name] : null);
+         const failed = reports.filter(r => r.error);
+         const count = (verdict) => reports.filter(r => r.analysis?.verdict === verdict).length;
+         const summary = `Rescanned ${reports.length - failed.length} tool(s): ${count('clean')} clean, ${count('flagged')} flagged, ${count('rejected')} rejected.`;
+         const data = { data: { reports: reports } };
+         if (failed.length) return toolWarning(`Warning: ${summary} ${failed.map(r => `${r.name}: ${r.error}`).join(' ')}`, data);
+         return toolSuccess(summary, data);
+     },
+     // World script text (CREATE TOOL, EXECUTE TOOL, INCLUDE); variables persist for the admin's connection
+     runScript: async ({ text }, admin) => {
+         const context = { variables: getAdminScriptVariables(admin), includeStack: [], stopOnError: true, errors: [], queueTools: true };
+         try {
+             await runWorldScriptSource(String(text || ''), 'admin', context);
+         } catch (error) {
+             return toolError(`Error: ${error.message}`);
+         }
+         return toolSuccess('Script ran without errors.', { data: { variables: [...context.variables.keys()] } });
+     },
+     // Re-runs a script file (default: initial_prompt.txt) against the live world, e.g. after editing it
+     reloadScript: async ({ file }, admin) => {
+         const scriptPath = resolveAdminScriptPath(file);
+         const context = { variables: getAdminScriptVariables(admin), includeStack: [], stopOnError: false, errors: [], queueTools: true };
+         await runWorldScript(scriptPath, context);
+         const result = { data: { file: scriptPath, errors: context.errors } };
+         return context.errors.length === 0
+             ? toolSuccess(`Script '${scriptPath}' ran without errors.`, result)
+             : toolWarning(`Warning: Script '${scriptPath}' ran with ${context.errors.length} error(s).`, result);
+     },
+ };
+
+ adminNamespace.use((socket, next) => {
+     if (checkAdminSecret(socket.handshake.auth?.secret)) return next();
+     appendAuditLog({ at: new Date().toISOString(), admin: socket.id, address: socket.handshake.address, command: 'login', status: 'error' });
+     next(new Error(ADMIN_SECRET ? 'Invalid admin secret.' : 'Admin console is disabled; set ADMIN_SECRET to enable it.'));
+ });
+
+ adminNamespace.on('connection', (socket) => {
+     console.log(`Admin connected: ${socket.id}`);
+     socket.on('disconnect', () => adminScriptVariables.delete(socket.id));
+     appendAuditLog({ at: new Date().toISOString(), admin: socket.id, address: socket.handshake.address, command: 'login', status: 'success' });
+
+     for (const [command, handler] of Object.entries(ADMIN_COMMANDS)) {
+         socket.on(command, async (payload = {}, ack = () => {}) => {
+             let result;
+             if (ADMIN_READ_COMMANDS.includes(command) || ADMIN_REGISTRY_COMMANDS.includes(command)) {
+                 try {
+                     result = normalizeToolResult(await handler(payload, socket.id));
+                 } catch (error) {
+                     console.error(`Admin command ${command} failed:`, error);
+                     result = normalizeToolResult(`Error: ${error.message}`);
+                 }
+             } else {
+                 result = await submitInput({ type: 'admin', admin: socket.id, command: command, payload: payload });
+             }
+             if (!ADMIN_READ_COMMANDS.includes(command)) {
+                 await appendAuditLog({
+                     at: new Date().toISOString(), admin: socket.id, address: socket.handshake.address,
+                     command: command, payload: payload, status: result.status, message: result.message,
+                 });
+             }
+             sendDebugInfo(null, `[ADMIN] ${command}: ${result.message}`);
+             if (typeof ack === 'function') ack(result);
+         });
+     }
+ });
+
  // --- Game State Broadcasting ---
  function getFilteredGameStateForSoul(soulId) {
      const soul = gameState.souls[soulId];
@@ -427,7 +2114,7 @@ app.use(express.static(path.join(__dirname, 'public')));
      // Souls visible in the same location
      const visibleSouls = Object.values(gameState.souls)
          .filter(s => s.locationId === soul.locationId)
-         .map(s => ({ id: s.id, name: s.name, type: s.type })); // Don't send inventory
+         .map(describeVisibleSoul);
 
      // Artifacts in the player's inventory
      const inventoryDetails = soul.inventory
@@ -439,53 +2126,136 @@ app.use(express.static(path.join(__dirname, 'public')));
          currentLocation: currentLoc ? {
              name: currentLoc.name,
              description: currentLoc.description,
-             exits: currentLoc.exits // Send available exits
-         } : { name: "The Void", description: "Lost in space...", exits: {} },
+             exits: currentLoc.exits, // Send available exits
+             items: (currentLoc.items || []).map(id => gameState.artifacts[id]).filter(Boolean), // Artifacts lying here
+         } : { name: "The Void", description: "Lost in space...", exits: {}, items: [] },
          visibleSouls: visibleSouls,
          inventory: inventoryDetails, // Send artifact details { id, name, description, linkedToolName }
-         worldLog: gameState.worldLog.slice(-10) // Send recent log entries
+         trades: getTradesForSoul(soulId), // Open trades this soul offered or was offered
+         log: getRecentLogEntries(soul.locationId, 10) // Recent world and location events
      };
  }
 
- function broadcastGameState() {
-     // Send personalized state to each player
-     Object.values(gameState.souls).forEach(soul => {
-         if (soul.type === 'player') {
-              const playerSocket = io.sockets.sockets.get(soul.id.replace('Player_','')); // Hacky way to find socket by player name pattern
-             // This is unreliable. Better: store socket ID with soul state.
-             // For now, we'll broadcast a generic state update trigger
-             io.emit('gameStateUpdateNeeded'); // Tell clients to request fresh state
-         }
-     });
-      // Simplified: just tell all clients to request new state
-      io.emit('requestState'); // Ask all clients to re-request their state
+ function describeVisibleSoul(soul) {
+     return { id: soul.id, name: soul.name, type: soul.type }; // Don't send inventory
  }
 
- io.on('connection', (socket) => {
-     // ... existing connection logic ...
+ function locationRoom(locationId) {
+     return `location:${locationId}`;
+ }
 
-     socket.on('requestState', () => {
-          // Find the soulId associated with this socket (need to store this on connection)
-          const soulId = socket.data.soulId; // Assumes we store it like this: socket.data.soulId = playerSoulId;
-          if (soulId) {
-              socket.emit('gameStateUpdate', getFilteredGameStateForSoul(soulId));
-              sendAvailableActions(socket, soulId);
-          } else {
-              sendDebugInfo(socket, "RequestState received but no soulId associated with socket.");
-          }
-     });
+ function soulRoom(soulId) {
+     return `soul:${soulId}`;
+ }
+
+ // A socket follows one soul: its personal room, and the room of wherever the soul is.
+ function joinSoulRooms(socket, soulId) {
+     socket.join(soulRoom(soulId));
+     socket.join(locationRoom(gameState.souls[soulId].locationId));
+ }
 
-     // Modify connection logic to store soulId:
-      // ... after playerSoulId is assigned ...
-      //socket.data.soulId = playerSoulId; // Store it here
-      // ... rest of connection logic ...
+ function moveSoulSockets(soulId, fromLocationId, toLocationId) {
+     if (fromLocationId) io.in(soulRoom(soulId)).socketsLeave(locationRoom(fromLocationId));
+     io.in(soulRoom(soulId)).socketsJoin(locationRoom(toLocationId));
+ }
 
- });
+ // Patches only the controlling sockets' view of their own soul (e.g. inventory).
+ function emitSoulPatch(soulId, patches) {
+     io.to(soulRoom(soulId)).emit('statePatch', { patches: patches });
+     if (patches.some(patch => patch.path === 'inventory' || patch.path === 'trades')) {
+         sendAvailableActions(io.to(soulRoom(soulId)), soulId)
+             .catch(error => console.error(`Failed to refresh actions for soul ${soulId}:`, error));
+     }
+ }
+
+ // State changes everyone at a location sees without an event of their own (e.g. items on the ground).
+ function emitLocationPatch(locationId, patches) {
+     io.to(locationRoom(locationId)).emit('statePatch', { patches: patches });
+     refreshActionsAt(locationId);
+ }
+
+ function sendFullState(soulId) {
+     io.to(soulRoom(soulId)).emit('gameStateUpdate', getFilteredGameStateForSoul(soulId));
+ }
 
  // --- Action Handling ---
- async function sendAvailableActions(socket, soulId) {
-     if (!soulId || !gameState.souls[soulId]) return;
+ // A player soul has at most one action in flight, from the moment it is submitted until its tool
+ // has returned (async tools included). Further actions of that soul are refused meanwhile, so one
+ // player cannot stack slow actions in front of everyone else's. Inputs still run one at a time,
+ // so other souls' actions wait while a slow tool runs (see Simulation Clock).
+ const pendingActions = new Map(); // soulId -> name of the artifact being used
+
+ // Arguments the server fills in for every action; clients never ask for them.
+ const INJECTED_TOOL_ARGUMENTS = ['soulId', 'locationId'];
+
+ const PARAMETER_CHOICE_SOURCES = ['exits', 'directions', 'locations', 'souls', 'inventory', 'items', 'nearbyInventories', 'trades'];
+
+ // Where the options for a tool parameter come from: a property can name its source explicitly
+ // with "x-choices" (one of PARAMETER_CHOICE_SOURCES); otherwise enum/boolean parameters and the
+ // parameter name decide. Returns the source, 'enum', 'boolean', or null for free input.
+ function getParameterSource(name, property) {
+     if (PARAMETER_CHOICE_SOURCES.includes(property['x-choices'])) return property['x-choices'];
+     if (Array.isArray(property.enum)) return 'enum';
+     if (property.type === 'boolean') return 'boolean';
+     if (/direction/i.test(name)) return 'directions';
+     if (/trade/i.test(name)) return 'trades';
+     if (/location/i.test(name)) return 'exits';
+     if (/soul/i.test(name)) return 'souls';
+     if (/artifact|item/i.test(name)) return 'inventory';
+     return null;
+ }
+
+ // Context-derived options for one tool parameter, as [{ value, label }], or null when the
+ // parameter has to be typed in (see getParameterSource).
+ function getParameterChoices(name, property, soul) {
+     const location = gameState.locations[soul.locationId];
+     const exits = Object.entries(location?.exits || {});
+     const sources = {
+         exits: () => exits.map(([direction, id]) => ({ value: id, label: `${direction}: ${gameState.locations[id]?.name || id}` })),
+         directions: () => exits.map(([direction, id]) => ({ value: direction, label: `${direction}: ${gameState.locations[id]?.name || id}` })),
+         locations: () => Object.values(gameState.locations).map(l => ({ value: l.id, label: l.name })),
+         souls: () => Object.values(gameState.souls)
+             .filter(s => s.locationId === soul.locationId && s.id !== soul.id)
+             .map(s => ({ value: s.id, label: s.name })),
+         inventory: () => soul.inventory.map(id => gameState.artifacts[id]).filter(Boolean).map(a => ({ value: a.id, label: a.name })),
+         items: () => (location?.items || []).map(id => gameState.artifacts[id]).filter(Boolean).map(a => ({ value: a.id, label: a.name })),
+         nearbyInventories: () => Object.values(gameState.souls)
+             .filter(s => s.locationId === soul.locationId && s.id !== soul.id)
+             .flatMap(s => s.inventory.map(id => gameState.artifacts[id]).filter(Boolean).map(a => ({ value: a.id, label: `${a.name} (${s.name})` }))),
+         trades: () => getTradesForSoul(soul.id).map(trade => ({
+             value: trade.id,
+             label: `${trade.fromName}: ${trade.offered.map(i => i.name).join(', ') || 'nothing'} for ${trade.requested.map(i => i.name).join(', ') || 'nothing'}`,
+         })),
+         enum: () => property.enum.map(value => ({ value: value, label: String(value) })),
+         boolean: () => [{ value: true, label: 'Yes' }, { value: false, label: 'No' }],
+     };
+
+     const source = getParameterSource(name, property);
+     return source ? sources[source]() : null;
+ }
 
+ // The tool's parameter schema, with injected parameters marked and choices for the rest.
+ function describeActionParameters(schema, soul) {
+     const properties = schema?.properties || {};
+     const required = schema?.required || [];
+     return Object.entries(properties).map(([name, property]) => {
+         const injected = INJECTED_TOOL_ARGUMENTS.includes(name);
+         return {
+             source: injected ? null : getParameterSource(name, property),
+             name: name,
+             type: property.type || 'string',
+             description: property.description || '',
+             required: required.includes(name),
+             default: property.default,
+             injected: injected,
+             choices: injected ? null : getParameterChoices(name, property, soul),
+         };
+     });
+ }
+
+ // What a soul can do right now: one action per artifact linked to a tool. Players get these
+ // as buttons, NPC behaviour profiles choose from them.
+ async function getAvailableActions(soulId) {
      const soul = gameState.souls[soulId];
      const availableActions = [];
 
@@ -493,68 +2263,606 @@ app.use(express.static(path.join(__dirname, 'public')));
      for (const artifactId of soul.inventory) {
          const artifact = gameState.artifacts[artifactId];
          if (artifact && artifact.linkedToolName) {
-             // Maybe get tool description from tool manager for better display name?
-             // const toolDef = await toolManager.getToolDefinition(artifact.linkedToolName);
-              // const description = toolDef?.description || artifact.description;
+             const toolDef = await toolManager.getToolDefinition(artifact.linkedToolName);
+             const unrunnable = describeUnrunnableTool(artifact.linkedToolName, toolDef);
+             const usage = unrunnable
+                 ? { ...getArtifactUsage(artifact, soulId), usable: false, reason: unrunnable }
+                 : getArtifactUsage(artifact, soulId);
 
              availableActions.push({
                  artifactId: artifact.id, // ID of the artifact to use
                  toolName: artifact.linkedToolName, // The tool this artifact triggers
                  name: artifact.name, // Display name for the action (use artifact name)
                  description: artifact.description, // Artifact description
-                 // Parameters might be needed from client for some tools (e.g., target ID)
-                 // We need the tool's parameter schema here.
-                 // parameters: toolDef?.parameters?.properties ? Object.keys(toolDef.parameters.properties) : []
-                 // For simplicity now, assume args are handled contextually or not needed from client directly
+                 schema: toolDef?.parameters || null, // The tool's JSON Schema, as stored
+                 parameters: describeActionParameters(toolDef?.parameters, soul), // What the client should offer for each argument
+                 usable: usage.usable, // False while out of charges, cooling down or the tool may not run
+                 usage: usage, // Charges, durability and remaining cooldown, see getArtifactUsage
              });
          }
      }
 
      // Add generic actions? Like "Look"? This could also be an artifact/tool.
      // Example: Add a "look" action if a "look" tool exists and the player has a corresponding artifact.
+     return availableActions;
+ }
+
+ async function sendAvailableActions(socket, soulId) {
+     if (!soulId || !gameState.souls[soulId]) return;
 
+     const availableActions = await getAvailableActions(soulId);
      sendDebugInfo(socket, `Sending ${availableActions.length} available actions for soul ${soulId}.`);
      socket.emit('availableActions', availableActions);
  }
 
+ // Exits, visible souls and items feed the action choices, so connected players at a location get
+ // fresh actions whenever an event patches what they see.
+ function refreshActionsAt(locationId) {
+     Object.values(gameState.souls)
+         .filter(soul => soul.locationId === locationId && isSoulConnected(soul.id))
+         .forEach(soul => {
+             sendAvailableActions(io.to(soulRoom(soul.id)), soul.id)
+                 .catch(error => console.error(`Failed to refresh actions for soul ${soul.id}:`, error));
+         });
+ }
+
+ // --- NPC Behaviour ---
+ // Every soul that is not a player follows a behaviour profile (soul.behavior; 'wander' when
+ // none was assigned). On each NPC turn (every NPC_TURN_TICKS ticks, see Simulation Clock) the
+ // profile looks at the soul's own available actions, exactly as a player would get them, and
+ // picks at most one. It runs through useArtifact like a player's action, so NPCs are bound by
+ // the same ownership, charges and cooldowns. Chances come from the world's seeded random().
+ // Profiles recognise what an action does by the sources of its parameters (see
+ // getParameterSource): an action with an "exits" parameter moves, one with "trades" settles trades.
+ //   wander  sometimes walks through a random exit
+ //   guard   returns to its post (soul.behaviorTarget, a location) and keeps an eye on visitors
+ //   trade   accepts trades offered to it and now and then offers something to a soul nearby
+ //   follow  walks after another soul (soul.behaviorTarget, a soul ID)
+ //   idle    does nothing
+ // Every decision goes to the debug stream with an [NPC] prefix.
+ const NPC_BEHAVIORS = ['wander', 'guard', 'trade', 'follow', 'idle'];
+ const NPC_WANDER_CHANCE = 0.1; // Per turn
+ const NPC_GUARD_WATCH_CHANCE = 0.3; // Per turn with a visitor around
+ const NPC_TRADE_OFFER_CHANCE = 0.2; // Per turn with someone to trade with
+
+ // Validates a behaviour and its target; returns { behavior, target } or { error }.
+ // A guard without a target keeps to `locationId`, where the soul is.
+ function readSoulBehavior(behavior, target, locationId) {
+     if (!NPC_BEHAVIORS.includes(behavior)) {
+         return { error: `Error: Unknown behavior '${behavior}'. Use one of ${NPC_BEHAVIORS.join(', ')}.` };
+     }
+     if (behavior === 'follow') {
+         if (!gameState.souls[target]) return { error: "Error: 'follow' needs the ID of an existing soul as its target." };
+         return { behavior: behavior, target: target };
+     }
+     if (behavior === 'guard') {
+         const post = target || locationId;
+         if (!gameState.locations[post]) return { error: `Error: Location '${post}' not found for 'guard'.` };
+         return { behavior: behavior, target: post };
+     }
+     return { behavior: behavior, target: null };
+ }
+
+ function _internal_set_soul_behavior(params) {
+     const { soulId, behavior, target } = params;
+     if (!soulId || !behavior) return toolError("Error: Missing soulId or behavior for set_soul_behavior.");
+     const soul = gameState.souls[soulId];
+     if (!soul) return toolError(`Error: Soul '${soulId}' not found.`);
+     if (behavior === 'follow' && target === soulId) return toolError(`Error: ${soul.name} cannot follow themselves.`);
+     const resolved = readSoulBehavior(behavior, target, soul.locationId);
+     if (resolved.error) return toolError(resolved.error);
+
+     soul.behavior = resolved.behavior;
+     soul.behaviorTarget = resolved.target;
+     sendDebugInfo(null, `[NPC] ${soul.name} now behaves as '${soul.behavior}'${soul.behaviorTarget ? ` (target ${soul.behaviorTarget})` : ''}.`);
+     const message = `${soul.name} now behaves as '${soul.behavior}'.`;
+     return soul.type === 'player'
+         ? toolWarning(`Warning: ${message} It takes effect when the soul is no longer controlled by a player.`, { affected: [soulId] })
+         : toolSuccess(message, { affected: [soulId], data: { behavior: soul.behavior, target: soul.behaviorTarget } });
+ }
+
+ function randomElement(list) {
+     return list[Math.floor(random() * list.length)];
+ }
+
+ // The first parameter of an action fed by `source`, or undefined.
+ function findParameter(action, source) {
+     return action.parameters.find(parameter => !parameter.injected && parameter.source === source);
+ }
+
+ // Arguments for an action: `preset` values, plus a random choice for any other required
+ // parameter. Returns null when a required parameter has nothing to choose from.
+ function planActionArgs(action, preset = {}) {
+     const args = {};
+     for (const parameter of action.parameters) {
+         if (parameter.injected) continue;
+         if (preset[parameter.name] !== undefined) {
+             args[parameter.name] = preset[parameter.name];
+         } else if (parameter.required) {
+             if (!parameter.choices || parameter.choices.length === 0) return null;
+             args[parameter.name] = randomElement(parameter.choices).value;
+         }
+     }
+     return args;
+ }
+
+ // The neighbouring location on a shortest path between two locations, or null.
+ function nextStepToward(fromLocationId, toLocationId) {
+     const firstSteps = new Map([[fromLocationId, null]]);
+     const queue = [fromLocationId];
+     while (queue.length > 0) {
+         const current = queue.shift();
+         if (current === toLocationId) return firstSteps.get(current);
+         for (const next of Object.values(gameState.locations[current]?.exits || {})) {
+             if (firstSteps.has(next)) continue;
+             firstSteps.set(next, firstSteps.get(current) ?? next);
+             queue.push(next);
+         }
+     }
+     return null;
+ }
+
+ // A plan that takes one step toward `locationId` with a move action, or null.
+ function planMoveToward(soul, actions, locationId, reason) {
+     const step = nextStepToward(soul.locationId, locationId);
+     if (!step) return null;
+     for (const action of actions) {
+         const exitParameter = findParameter(action, 'exits');
+         if (exitParameter?.choices.some(choice => choice.value === step)) {
+             const args = planActionArgs(action, { [exitParameter.name]: step });
+             if (args) return { action: action, args: args, reason: reason };
+         }
+         const directionParameter = findParameter(action, 'directions');
+         const direction = Object.keys(gameState.locations[soul.locationId]?.exits || {})
+             .find(dir => gameState.locations[soul.locationId].exits[dir] === step);
+         if (directionParameter && direction) {
+             const args = planActionArgs(action, { [directionParameter.name]: direction });
+             if (args) return { action: action, args: args, reason: reason };
+         }
+     }
+     return null;
+ }
+
+ // Each profile returns { action, args, reason } or null to do nothing this turn.
+ const NPC_BEHAVIOR_PROFILES = {
+     wander: (soul, actions) => {
+         if (random() >= NPC_WANDER_CHANCE) return null;
+         const moves = actions.filter(action => findParameter(action, 'exits')?.choices.length > 0);
+         if (moves.length === 0) return null;
+         const action = randomElement(moves);
+         const args = planActionArgs(action);
+         return args ? { action: action, args: args, reason: 'wanders off' } : null;
+     },
+     guard: (soul, actions) => {
+         const post = soul.behaviorTarget || soul.locationId;
+         if (soul.locationId !== post) {
+             return planMoveToward(soul, actions, post, `heads back to its post at ${gameState.locations[post]?.name || post}`);
+         }
+         if (random() >= NPC_GUARD_WATCH_CHANCE) return null;
+         const visitors = Object.values(gameState.souls).filter(s => s.locationId === post && s.type === 'player');
+         if (visitors.length === 0) return null;
+         const visitor = randomElement(visitors);
+         // Only actions that need nothing but the visitor, so a guard never gives its things away
+         const watch = actions.find(action => findParameter(action, 'souls')?.choices.some(choice => choice.value === visitor.id)
+             && action.parameters.filter(parameter => !parameter.injected && parameter.required).length === 1);
+         if (!watch) return null;
+         const args = planActionArgs(watch, { [findParameter(watch, 'souls').name]: visitor.id });
+         return args ? { action: watch, args: args, reason: `keeps an eye on ${visitor.name}` } : null;
+     },
+     trade: (soul, actions) => {
+         const incoming = getTradesForSoul(soul.id).filter(trade => trade.toSoulId === soul.id);
+         const accept = actions.find(action => findParameter(action, 'trades') && /accept/i.test(action.toolName));
+         if (incoming.length > 0 && accept) {
+             const trade = incoming[0];
+             const args = planActionArgs(accept, { [findParameter(accept, 'trades').name]: trade.id });
+             if (args) return { action: accept, args: args, reason: `accepts the trade offered by ${trade.fromName}` };
+         }
+
+         if (random() >= NPC_TRADE_OFFER_CHANCE) return null;
+         if (getTradesForSoul(soul.id).some(trade => trade.fromSoulId === soul.id)) return null; // One open offer at a time
+         const offer = actions.find(action => findParameter(action, 'souls')?.choices.length > 0 && findParameter(action, 'inventory') && /offer|trade/i.test(action.toolName));
+         if (!offer) return null;
+         // Never trade away the tools of the trade
+         const keep = new Set([offer.artifactId, ...actions.filter(action => findParameter(action, 'trades')).map(action => action.artifactId)]);
+         const goods = findParameter(offer, 'inventory').choices.filter(choice => !keep.has(choice.value));
+         if (goods.length === 0) return null;
+         const item = randomElement(goods);
+         const partner = randomElement(findParameter(offer, 'souls').choices);
+         const preset = { [findParameter(offer, 'inventory').name]: item.value, [findParameter(offer, 'souls').name]: partner.value };
+         const wanted = findParameter(offer, 'nearbyInventories');
+         const theirs = gameState.souls[partner.value]?.inventory || [];
+         if (wanted && theirs.length > 0) preset[wanted.name] = randomElement(theirs);
+         const args = planActionArgs(offer, preset);
+         return args ? { action: offer, args: args, reason: `offers ${item.label} to ${partner.label}` } : null;
+     },
+     follow: (soul, actions) => {
+         const leader = gameState.souls[soul.behaviorTarget];
+         if (!leader || leader.locationId === soul.locationId) return null;
+         return planMoveToward(soul, actions, leader.locationId, `follows ${leader.name}`);
+     },
+     idle: () => null,
+ };
+
+ // One round of NPC decisions, run by the scheduler. Souls act one after another, each with a
+ // fresh view of the world.
+ async function runNpcTurn() {
+     try {
+         for (const soulId of Object.keys(gameState.souls)) {
+             const soul = gameState.souls[soulId];
+             if (!soul || soul.type === 'player') continue;
+             const behavior = soul.behavior || 'wander';
+             const profile = NPC_BEHAVIOR_PROFILES[behavior];
+             if (!profile) continue;
+
+             const actions = (await getAvailableActions(soulId)).filter(action => action.usable);
+             const plan = profile(soul, actions);
+             if (!plan) continue;
+             sendDebugInfo(null, `[NPC] ${soul.name} (${behavior}) ${plan.reason}: ${plan.action.name} with ${JSON.stringify(plan.args)}`);
+             const result = await useArtifact(soulId, plan.action.artifactId, plan.args);
+             sendDebugInfo(null, `[NPC] ${soul.name} -> ${result.status}: ${result.message}`);
+         }
+     } catch (error) {
+         console.error("NPC turn failed:", error);
+     }
+ }
+
+ // --- Simulation Clock ---
+ // The world advances in ticks of WORLD_TICK_MS, and only the scheduler changes it. Everything
+ // that comes from outside (player actions, players joining, leaving and being abandoned, game
+ // master tool calls, admin commands and the EXECUTE TOOL statements of admin scripts) is
+ // submitted as an input and applied on the next tick.
+ // A tick runs, in this order:
+ //   1. scheduled events that are due, oldest first (see _internal_schedule_event)
+ //   2. the submitted inputs, in the order they arrived, until the tick has run for
+ //      WORLD_TICK_INPUT_BUDGET_MS; the rest stay queued, in order, for the next tick
+ //   3. every NPC_TURN_TICKS ticks, one NPC turn (see NPC Behaviour)
+ // All randomness in the world comes from random(), a seeded generator (mulberry32) whose state
+ // is saved in gameState.clock, and so do new IDs (newId) and the seed of every tool call's
+ // Math.random. Artifact cooldowns and recharges run on game time (worldTime), and so does Date
+ // inside tools.
+ //
+ // Inputs run one after another, because tools change the world while they run and a replay has
+ // to see those changes in the same order. So a slow tool holds up the inputs queued behind it
+ // and the NPC turn of its tick, for at most its own TOOL_EXECUTION_TIMEOUT_MS; the budget only
+ // keeps a tick that fell behind from also working through everything queued meanwhile before
+ // the clock moves on. An input is logged with the tick it actually ran in.
+ //
+ // Each run of the server writes an action log to ACTION_LOG_DIR, one JSON object per line:
+ //   { type: 'session', startedAt, schemaVersion, tick, settings, state }
+ //                                                                the world when the clock started
+ //   { type: 'input', tick, input }                               every applied input
+ //   { type: 'checkpoint', tick, checksum }                       every ACTION_LOG_CHECKPOINT_TICKS
+ //                                                                ticks, and on shutdown
+ // `--replay=<file>` loads the world from the header, runs the same ticks with the logged inputs
+ // as fast as it can and compares every checkpoint (see replayActionLog). Tools are taken from
+ // the current tool store, so a replay only matches while the tools it used are unchanged.
+ const ACTION_LOG_CHECKPOINT_TICKS = 100;
+ const scheduler = {
+     tickMs: WORLD_TICK_MS, // Settings a replay takes from the log instead of the environment
+     npcTurnTicks: NPC_TURN_TICKS,
+     queue: [], // [{ input, context, resolve }] waiting for the next tick
+     timer: null,
+     currentTick: null, // Promise of the tick in progress
+     stopped: false,
+     logFile: null, // Action log of this run, null when disabled
+     logLines: [], // Written at the end of every tick
+     actionRefreshes: [], // [{ soulId, readyAt }]: game time at which an artifact of the soul is ready again
+ };
+
+ // Called by createEmptyWorld, before anything below this line has been defined.
+ function createClock() {
+     let seed;
+     if (!WORLD_SEED) {
+         seed = crypto.randomBytes(4).readUInt32LE(0);
+     } else if (/^\d+$/.test(WORLD_SEED)) {
+         seed = Number(WORLD_SEED) >>> 0;
+     } else {
+         seed = crypto.createHash('sha256').update(WORLD_SEED).digest().readUInt32LE(0);
+     }
+     return { tick: 0, seed: seed, rngState: seed };
+ }
+
+ // A number in [0, 1) from the world's seeded generator (mulberry32).
+ function random() {
+     const clock = gameState.clock;
+     clock.rngState = (clock.rngState + 0x6D2B79F5) >>> 0;
+     let t = clock.rngState;
+     t = Math.imul(t ^ (t >>> 15), t | 1);
+     t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+     return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+ }
+
+ // A UUID drawn from random(), so replays create the same IDs.
+ function newId() {
+     return uuidv4({ random: Array.from({ length: 16 }, () => Math.floor(random() * 256)) });
+ }
+
+ // Seed for Math.random inside the sandbox of one tool call.
+ function nextToolSeed() {
+     return Math.floor(random() * 4294967296);
+ }
+
+ // Game time in milliseconds: WORLD_TICK_MS per tick since the world began.
+ function worldTime() {
+     return gameState.clock.tick * scheduler.tickMs;
+ }
+
+ function _internal_schedule_event(params) {
+     const { inTicks, toolName, args = {}, description } = params;
+     const ticks = Number(inTicks);
+     if (!Number.isInteger(ticks) || ticks < 1) return toolError("Error: 'inTicks' must be an integer of at least 1.");
+     if (!toolName) return toolError("Error: Missing toolName for schedule_event.");
+     if (!args || typeof args !== 'object' || Array.isArray(args)) return toolError("Error: 'args' must be an object.");
+
+     const event = { id: newId(), atTick: gameState.clock.tick + ticks, toolName: toolName, args: args, description: description || `${toolName} runs.` };
+     gameState.scheduled.push(event);
+     sendDebugInfo(null, `[CLOCK] Tick ${event.atTick}: ${toolName} is scheduled (${event.description})`);
+     return toolSuccess(`'${toolName}' will run in ${ticks} tick(s), at tick ${event.atTick}.`, {
+         created: [event.id],
+         data: { eventId: event.id, atTick: event.atTick },
+     });
+ }
+
+ function _internal_cancel_scheduled_event(params) {
+     const { eventId } = params;
+     if (!eventId) return toolError("Error: Missing eventId for cancel_scheduled_event.");
+     const event = gameState.scheduled.find(e => e.id === eventId);
+     if (!event) return toolError(`Error: Scheduled event '${eventId}' not found.`);
+     gameState.scheduled = gameState.scheduled.filter(e => e.id !== eventId);
+     sendDebugInfo(null, `[CLOCK] Cancelled ${event.toolName} at tick ${event.atTick}.`);
+     return toolSuccess(`Scheduled '${event.toolName}' at tick ${event.atTick} cancelled.`, { affected: [eventId] });
+ }
+
+ // Scheduled events run like an EXECUTE TOOL statement: as the tool itself, with its own grants.
+ async function runScheduledEvent(event) {
+     sendDebugInfo(null, `[CLOCK] Tick ${gameState.clock.tick}: ${event.description}`);
+     const result = await toolManager.executeToolStructured(event.toolName, event.args, {
+         worldFor: createWorldApi,
+         seed: nextToolSeed(),
+         now: worldTime(),
+         allowedTrust: RUNNABLE_TOOL_TRUST,
+         caller: { source: 'schedule', purpose: event.description },
+     });
+     sendDebugInfo(null, `[CLOCK] ${event.toolName} -> ${result.status}: ${result.message}`);
+ }
+
+ // Input handlers receive the logged input and the live-only context it was submitted with
+ // (empty during a replay), and return a tool result.
+ const INPUT_HANDLERS = {
+     action: ({ soulId, artifactId, args }) => useArtifact(soulId, artifactId, args),
+     join: ({ name }) => spawnPlayerSoul(name),
+     presence: ({ soulId, connected }) => announcePresence(soulId, connected),
+     abandon: ({ soulId, policy }) => abandonSoul(soulId, policy),
+     // Game master calls; unknown tool names were resolved before queuing (see runGameMasterCall)
+     tool: ({ toolName, args }, context) => toolManager.executeToolStructured(toolName, args, {
+         worldFor: createWorldApi,
+         seed: nextToolSeed(),
+         now: worldTime(),
+         allowedTrust: RUNNABLE_TOOL_TRUST,
+         caller: { source: 'game_master', purpose: context.purpose },
+     }),
+     // EXECUTE TOOL statements of admin scripts, with their arguments already resolved and validated
+     script: ({ toolName, args }) => runScriptTool(toolName, args),
+     admin: ({ admin, command, payload }) => ADMIN_COMMANDS[command](payload, admin),
+ };
+
+ // Queues an input for the next tick and resolves with its normalized result once it was applied.
+ // `context` carries what must not go into the log, such as callbacks.
+ function submitInput(input, context = {}) {
+     if (!INPUT_HANDLERS[input.type]) {
+         return Promise.resolve(toolError(`Error: Unknown input type '${input.type}'.`));
+     }
+     return new Promise(resolve => scheduler.queue.push({ input: input, context: context, resolve: resolve }));
+ }
+
+ function recordAction(entry) {
+     if (scheduler.logFile) scheduler.logLines.push(JSON.stringify(entry));
+ }
+
+ // Souls, places, artifacts, trades, scheduled events and the clock; logs and sessions are left out.
+ function worldChecksum() {
+     const { souls, locations, artifacts, trades, scheduled, clock } = gameState;
+     const json = JSON.stringify({ souls, locations, artifacts, trades, scheduled, clock });
+     return crypto.createHash('sha256').update(json).digest('hex').slice(0, 16);
+ }
+
+ // Runs the current tick with `inputs` ([{ input, context, resolve }]) and advances the clock.
+ // Inputs still waiting once the tick has run for `budgetMs` go back to the front of the queue.
+ async function runTick(inputs, budgetMs = Infinity) {
+     const tick = gameState.clock.tick;
+     const startedAt = Date.now();
+
+     const due = gameState.scheduled.filter(event => event.atTick <= tick);
+     gameState.scheduled = gameState.scheduled.filter(event => event.atTick > tick);
+     for (const event of due) {
+         try {
+             await runScheduledEvent(event);
+         } catch (error) {
+             console.error(`Scheduled event ${event.id} failed:`, error);
+         }
+     }
+
+     for (const [index, { input, context, resolve }] of inputs.entries()) {
+         if (index > 0 && Date.now() - startedAt >= budgetMs) {
+             scheduler.queue.unshift(...inputs.slice(index));
+             break;
+         }
+         recordAction({ type: 'input', tick: tick, input: input });
+         let result;
+         try {
+             result = normalizeToolResult(await INPUT_HANDLERS[input.type](input, context || {}));
+         } catch (error) {
+             console.error(`Input '${input.type}' failed at tick ${tick}:`, error);
+             result = toolError(`Error: ${error.message}`);
+         }
+         resolve?.(result);
+     }
+
+     if (scheduler.npcTurnTicks > 0 && tick % scheduler.npcTurnTicks === 0) {
+         await runNpcTurn();
+     }
+
+     gameState.clock.tick = tick + 1;
+     const now = worldTime();
+     const ready = new Set(scheduler.actionRefreshes.filter(refresh => refresh.readyAt <= now).map(refresh => refresh.soulId));
+     scheduler.actionRefreshes = scheduler.actionRefreshes.filter(refresh => refresh.readyAt > now);
+     for (const soulId of ready) {
+         if (!isSoulConnected(soulId)) continue;
+         await sendAvailableActions(io.to(soulRoom(soulId)), soulId)
+             .catch(error => console.error(`Failed to refresh actions for soul ${soulId}:`, error));
+     }
+     if (gameState.clock.tick % ACTION_LOG_CHECKPOINT_TICKS === 0) {
+         recordAction({ type: 'checkpoint', tick: gameState.clock.tick, checksum: worldChecksum() });
+     }
+ }
+
+ async function flushActionLog() {
+     if (!scheduler.logFile || scheduler.logLines.length === 0) return;
+     const lines = scheduler.logLines.splice(0);
+     try {
+         await fs.appendFile(scheduler.logFile, lines.join('\n') + '\n');
+     } catch (error) {
+         console.error("Failed to write action log:", error);
+     }
+ }
+
+ async function openActionLog() {
+     if (!ACTION_LOG_DIR) return;
+     await fs.mkdir(ACTION_LOG_DIR, { recursive: true });
+     const startedAt = new Date().toISOString();
+     scheduler.logFile = path.join(ACTION_LOG_DIR, `session-${startedAt.replace(/[:.]/g, '-')}.jsonl`);
+     const header = {
+         type: 'session', startedAt: startedAt, schemaVersion: WORLD_SCHEMA_VERSION, tick: gameState.clock.tick,
+         settings: { tickMs: scheduler.tickMs, npcTurnTicks: scheduler.npcTurnTicks },
+         state: { ...gameState, sessions: {} },
+     };
+     await fs.writeFile(scheduler.logFile, JSON.stringify(header) + '\n');
+     console.log(`Action log: ${scheduler.logFile} (seed ${gameState.clock.seed}, tick ${gameState.clock.tick}).`);
+ }
+
+ async function startScheduler() {
+     await openActionLog();
+     const loop = async () => {
+         if (scheduler.stopped) return;
+         const startedAt = Date.now();
+         scheduler.currentTick = runTick(scheduler.queue.splice(0), WORLD_TICK_INPUT_BUDGET_MS).then(flushActionLog);
+         await scheduler.currentTick;
+         scheduler.currentTick = null;
+         if (!scheduler.stopped) {
+             scheduler.timer = setTimeout(loop, Math.max(0, scheduler.tickMs - (Date.now() - startedAt)));
+         }
+     };
+     loop();
+ }
+
+ // Lets the tick in progress finish and closes the action log with a checkpoint.
+ async function stopScheduler() {
+     scheduler.stopped = true;
+     clearTimeout(scheduler.timer);
+     await scheduler.currentTick;
+     recordAction({ type: 'checkpoint', tick: gameState.clock.tick, checksum: worldChecksum() });
+     await flushActionLog();
+ }
+
+ // Re-runs a session from its action log; returns { ticks, inputs, checkpoints, mismatches }.
+ async function replayActionLog(file) {
+     const entries = (await fs.readFile(file, 'utf-8')).split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+     const [header, ...records] = entries;
+     if (header?.type !== 'session') throw new Error(`'${file}' is not an action log (no session header).`);
+     applyWorld(migrateWorld({ schemaVersion: header.schemaVersion, state: header.state }));
+     scheduler.tickMs = header.settings.tickMs;
+     scheduler.npcTurnTicks = header.settings.npcTurnTicks;
+
+     const inputsByTick = new Map();
+     const checkpoints = new Map();
+     let endTick = header.tick;
+     for (const record of records) {
+         endTick = Math.max(endTick, record.tick);
+         if (record.type === 'input') {
+             if (!inputsByTick.has(record.tick)) inputsByTick.set(record.tick, []);
+             inputsByTick.get(record.tick).push({ input: record.input, context: {} });
+         } else if (record.type === 'checkpoint') {
+             checkpoints.set(record.tick, record.checksum);
+         }
+     }
+     console.log(`Replaying ${file}: ticks ${header.tick} to ${endTick}, seed ${gameState.clock.seed}.`);
+
+     const summary = { ticks: 0, inputs: 0, checkpoints: 0, mismatches: 0 };
+     while (gameState.clock.tick < endTick) {
+         const inputs = inputsByTick.get(gameState.clock.tick) || [];
+         await runTick(inputs);
+         summary.ticks++;
+         summary.inputs += inputs.length;
+         const expected = checkpoints.get(gameState.clock.tick);
+         if (expected) {
+             summary.checkpoints++;
+             const actual = worldChecksum();
+             if (actual !== expected) {
+                 summary.mismatches++;
+                 console.error(`Replay diverged at tick ${gameState.clock.tick}: checksum ${actual}, logged ${expected}.`);
+             }
+         }
+     }
+     console.log(`Replay finished at tick ${gameState.clock.tick}: ${summary.inputs} input(s), ${summary.checkpoints} checkpoint(s), ${summary.mismatches} mismatch(es).`);
+     return summary;
+ }
+
  // --- Initialization and Startup ---
  async function main() {
      console.log("Initializing server...");
      try {
          await toolManager.initialize();
+         toolManager.setWorldApiDescription(WORLD_API_DESCRIPTION);
+         toolManager.setDryRunWorldFactory((toolName) => createWorldApi(toolName, { dryRun: true }));
          console.log("Tool Manager initialized.");
 
-         await processInitialPrompt(); // Bootstrap the world
-         console.log("Initial prompt processed.");
-         console.log("Initial locations created:", Object.keys(gameState.locations));
-         console.log("Initial artifacts created:", Object.keys(gameState.artifacts));
-         console.log("Initial souls created:", Object.keys(gameState.souls));
+         const startupOptions = parseStartupOptions(process.argv.slice(2));
+         if (startupOptions.rescanTools) {
+             // Audits the registry with the current analysis rules; fails if any active tool is rejected
+             const reports = await toolManager.rescanTools();
+             for (const report of reports) {
+                 if (report.error) console.log(`${report.name}: Error: ${report.error}`);
+                 else console.log(`${report.name} v${report.version} (${report.trust}): ${report.analysis.verdict}${report.analysis.findings.map(f => `\n    ${f.severity} ${f.rule}${f.line ? ` line ${f.line}` : ''}: ${f.message}`).join('')}`);
+             }
+             process.exit(reports.some(r => r.error || r.analysis.verdict === 'rejected') ? 1 : 0);
+         }
+         if (startupOptions.replay) {
+             // Replays never touch WORLD_STATE_FILE or the tool journal; --snapshot keeps the replayed world
+             toolManager.journalPath = null;
+             const summary = await replayActionLog(startupOptions.replay);
+             if (startupOptions.snapshot) await saveSnapshot(startupOptions.snapshot);
+             process.exit(summary.mismatches > 0 ? 1 : 0);
+         }
+         let restored = await loadWorld();
+         if (startupOptions.restore) {
+             await restoreSnapshot(startupOptions.restore);
+             restored = true;
+         }
+
+         if (restored && !startupOptions.reseed) {
+             console.log(`World restored from ${startupOptions.restore ? `snapshot '${startupOptions.restore}'` : WORLD_STATE_FILE}; skipping initial prompt (use --reseed to run it again).`);
+         } else {
+             if (restored) {
+                 // Reseeding starts from an empty world; keep the old one around
+                 await saveSnapshot(`before-reseed-${Date.now()}`);
+                 applyWorld(createEmptyWorld());
+             }
+             await processInitialPrompt({ stopOnError: startupOptions.stopOnError }); // Bootstrap the world
+             console.log("Initial prompt processed.");
+             await saveWorld({ force: true });
+         }
+         if (startupOptions.snapshot) {
+             await saveSnapshot(startupOptions.snapshot);
+         }
+         console.log("Locations:", Object.keys(gameState.locations));
+         console.log("Artifacts:", Object.keys(gameState.artifacts));
+         console.log("Souls:", Object.keys(gameState.souls));
+         resumeSessionExpiries();
+         startAutosave();
 
-         // Simple game loop for potential NPC actions (if any NPCs exist)
-         setInterval(() => {
-             Object.values(gameState.souls).forEach(soul => {
-                 if (soul.type !== 'player' && Math.random() < 0.1) { // 10% chance per interval
-                     // Basic NPC action: maybe move randomly if they have a move artifact?
-                     const moveArtifact = soul.inventory.map(id => gameState.artifacts[id]).find(a => a?.linkedToolName === 'move_soul'); // Example tool name
-                     if (moveArtifact) {
-                         const currentLocation = gameState.locations[soul.locationId];
-                         if (currentLocation && Object.keys(currentLocation.exits).length > 0) {
-                             const exits = Object.values(currentLocation.exits);
-                             const targetLocationId = exits[Math.floor(Math.random() * exits.length)];
-                             const args = { soulId: soul.id, targetLocationId: targetLocationId };
-                              sendDebugInfo(null, `NPC ${soul.name} attempting automated move to ${targetLocationId}`);
-                              // Execute directly using internal function for reliability in this simple loop
-                              const result = _internal_move_soul(args);
-                              sendDebugInfo(null, `NPC move result: ${result}`);
-                              if (!result.startsWith('Error:')) {
-                                  broadcastGameState();
-                              }
-                         }
-                     }
-                 }
-             });
-         }, 10000); // Every 10 seconds
+         await startScheduler(); // Ticks run inputs, scheduled events and NPC turns, see Simulation Clock
 
+         startGameMaster();
 
          httpServer.listen(PORT, () => {
              console.log(`Server listening on port ${PORT}`);
@@ -8,7 +8,7 @@
  echo "1. Ollama running (e.g., 'ollama serve')"
  echo "2. The qwen2.5-coder:7b-instruct-q8_0 model pulled ('ollama pull qwen2.5-coder:7b-instruct-q8_0')"
  echo "3. The nomic-embed-text model pulled ('ollama pull nomic-embed-text')"
- echo "4. ChromaDB running (e.g., via Docker or 'chroma run --path ./chroma_db_data')"
+ echo "4. ChromaDB running (e.g., via Docker or 'chroma run --path ./chroma_db_data'), or TOOL_STORE=file set to use the local file store"
  echo ""
  echo "You might need to adjust ChromaDB host/port and Ollama host/port in the scripts if not using defaults."
  echo ""
@@ -0,0 +1,63 @@
+ // analyzeToolCode: verdicts for forbidden globals, scoping, tampering and loops.
+ import { test } from 'node:test';
+ import assert from 'node:assert/strict';
+ import { analyzeToolCode } from '../tool_creation_tool.js';
+
+ const verdict = (code) => analyzeToolCode(code).verdict;
+ const rules = (code) => analyzeToolCode(code).findings.map(finding => finding.rule);
+
+ test('passes ordinary tool code', () => {
+     const code = `function move_soul(params, world) {
+         const soul = world.getSoul(params.soulId);
+         for (let i = 0; i < 3; i++) { if (i === 2) break; }
+         return soul ? 'Moved.' : 'Error: No such soul.';
+     }`;
+     assert.equal(verdict(code), 'clean');
+ });
+
+ test('rejects forbidden globals under their own rule', () => {
+     assert.deepEqual(rules(`function t() { return require('fs'); }`), ['module-loading']);
+     assert.deepEqual(rules(`function t() { return process.env.HOME; }`), ['process']);
+     assert.deepEqual(rules(`function t() { return eval('1'); }`), ['dynamic-code']);
+     assert.deepEqual(rules(`function t() { setTimeout(() => {}, 1); return ''; }`), ['timers']);
+     assert.deepEqual(rules(`function t() { return fetch('http://x'); }`), ['network']);
+     assert.deepEqual(rules(`function t() { return Atomics.wait; }`), ['shared-memory']);
+     assert.deepEqual(rules(`async function t() { return import('fs'); }`), ['module-loading']);
+ });
+
+ test('a local declaration only shadows a global in its own scope', () => {
+     assert.equal(verdict(`function t() { const process = 1; return process; }`), 'clean');
+     assert.equal(verdict(`function t(fetch) { return fetch('x'); }`), 'clean');
+     assert.equal(verdict(`function t() { try { return 1; } catch (eval) { return eval; } }`), 'clean');
+     assert.equal(verdict(`function t(a) { if (a) { var fs = 1; } return fs; }`), 'clean');
+
+     assert.equal(verdict(`function t(a){ function h(){ const process = 1; return process; } return process.env.X + h(); }`), 'rejected');
+     assert.equal(verdict(`function t() { { let require = 1; } return require('fs'); }`), 'rejected');
+     assert.equal(verdict(`function t() { for (let setTimeout = 0; setTimeout < 2; setTimeout++) {} return setTimeout(1); }`), 'rejected');
+     assert.equal(verdict(`function t() { const f = function process() { return process; }; return process; }`), 'rejected');
+ });
+
+ test('rejects prototype and built-in tampering', () => {
+     assert.deepEqual(rules(`function t() { Array.prototype.x = 1; return ''; }`), ['prototype-tampering']);
+     assert.deepEqual(rules(`function t() { Math.random = () => 0; return ''; }`), ['prototype-tampering']);
+     assert.deepEqual(rules(`function t(o) { Object.setPrototypeOf(o, null); return ''; }`), ['prototype-tampering']);
+     assert.equal(verdict(`function t() { const Math = {}; Math.random = 1; return ''; }`), 'clean');
+ });
+
+ test('rejects loops that can never end', () => {
+     assert.deepEqual(rules(`function t() { while (true) {} }`), ['unbounded-loop']);
+     assert.deepEqual(rules(`function t() { for (;;) { function inner() { return 1; } } }`), ['unbounded-loop']);
+     assert.equal(verdict(`function t() { while (true) { return 'done'; } }`), 'clean');
+ });
+
+ test('only flags constructor access and self-recursion', () => {
+     assert.equal(verdict(`function t(o) { return o.constructor.name; }`), 'flagged');
+     assert.equal(verdict(`function t(n) { return n > 0 ? t(n - 1) : 'done'; }`), 'flagged');
+ });
+
+ test('rejects code that does not parse, with a line number', () => {
+     const analysis = analyzeToolCode(`function t() {\n  return process;\n}`);
+     assert.equal(analysis.findings[0].line, 2);
+     assert.equal(verdict(`function t( {`), 'rejected');
+     assert.deepEqual(rules(`function t( {`), ['syntax']);
+ });
@@ -0,0 +1,86 @@
+ // Artifact limits: charges, recharging, cooldowns and durability, enforced by useArtifact on every use.
+ import { test, before, after } from 'node:test';
+ import assert from 'node:assert/strict';
+ import fs from 'node:fs/promises';
+ import os from 'node:os';
+ import path from 'node:path';
+ import { createWorld, replayInputs, storeTools } from './world_harness.js';
+
+ let directory;
+ let result;
+
+ const artifacts = {
+     wand: { charges: 2, maxCharges: 2, onDepleted: 'inert' },
+     bomb: { charges: 1, maxCharges: 1, onDepleted: 'break' },
+     battery: { charges: 1, maxCharges: 1, onDepleted: 'inert', rechargeMs: 2000 },
+     bell: { cooldownMs: 3000 },
+     stick: { durability: 3, maxDurability: 3, wearPerUse: 2 },
+     dud: { charges: 1, maxCharges: 1, onDepleted: 'inert', linkedToolName: 'fizzle' },
+ };
+
+ // Game time is tick * 1000ms in the replay
+ const uses = {
+     wand: [1, 2, 3],
+     bomb: [1, 2],
+     battery: [1, 2, 4],
+     bell: [1, 2, 5],
+     stick: [1, 2, 3],
+     dud: [1],
+ };
+
+ before(async () => {
+     directory = await fs.mkdtemp(path.join(os.tmpdir(), 'artifact-limits-'));
+     await storeTools(directory, [
+         {
+             name: 'poke',
+             parameters: { type: 'object', properties: { soulId: { type: 'string' }, tag: { type: 'string' } }, required: ['tag'] },
+             code: `function poke(params, world) { world.log('poke ' + params.tag); return 'Poked.'; }`,
+         },
+         { name: 'fizzle', code: `function fizzle(params) { return 'Error: It fizzles.'; }` },
+     ]);
+     const state = createWorld({
+         souls: { ann: { id: 'ann', name: 'Ann', type: 'player', locationId: 'town_square', inventory: Object.keys(artifacts) } },
+         artifacts: Object.fromEntries(Object.entries(artifacts).map(([id, limits]) => [id, { id: id, name: id, description: '', linkedToolName: 'poke', ...limits }])),
+     });
+     const inputs = Object.entries(uses).flatMap(([id, ticks]) => ticks.map(tick => ({
+         tick: tick,
+         input: { type: 'action', soulId: 'ann', artifactId: id, args: { tag: id } },
+     })));
+     result = await replayInputs(directory, state, inputs, { endTick: 8 });
+ });
+
+ after(async () => {
+     await fs.rm(directory, { recursive: true, force: true });
+ });
+
+ const pokes = (tag) => result.state.logs['*'].filter(entry => entry.message === `poke ${tag}`).length;
+
+ test('an inert artifact stops working when its charges are spent', () => {
+     assert.equal(pokes('wand'), 2);
+     assert.equal(result.state.artifacts.wand.charges, 0);
+     assert.ok(result.state.souls.ann.inventory.includes('wand'));
+ });
+
+ test('an artifact that breaks on depletion is gone after its last charge', () => {
+     assert.equal(pokes('bomb'), 1);
+     assert.equal(result.state.artifacts.bomb, undefined);
+     assert.ok(!result.state.souls.ann.inventory.includes('bomb'));
+ });
+
+ test('charges come back over game time', () => {
+     assert.equal(pokes('battery'), 2);
+ });
+
+ test('a soul has to wait out the cooldown', () => {
+     assert.equal(pokes('bell'), 2);
+     assert.deepEqual(result.state.artifacts.bell.cooldowns, { ann: 8000 });
+ });
+
+ test('durability wears down with every use until the artifact breaks', () => {
+     assert.equal(pokes('stick'), 2);
+     assert.equal(result.state.artifacts.stick, undefined);
+ });
+
+ test('a use the tool fails does not count', () => {
+     assert.equal(result.state.artifacts.dud.charges, 1);
+ });
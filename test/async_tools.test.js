@@ -0,0 +1,65 @@
+ // Async tools: the sandbox settles a returned promise within the call's time limit.
+ import { test, before, after } from 'node:test';
+ import assert from 'node:assert/strict';
+ import fs from 'node:fs/promises';
+ import os from 'node:os';
+ import path from 'node:path';
+ import { ToolCreationManager, FileVectorStore, HashEmbeddingProvider } from '../tool_creation_tool.js';
+
+ const schema = { type: 'object', properties: { n: { type: 'integer', default: 0 } } };
+ let directory;
+ let manager;
+
+ async function addTool(name, code) {
+     const record = await manager.storeToolVersion(name, { description: name, parameters: schema, code: code, trust: 'approved' });
+     await manager.activateToolVersion(record);
+ }
+
+ before(async () => {
+     directory = await fs.mkdtemp(path.join(os.tmpdir(), 'async-tools-'));
+     manager = new ToolCreationManager({
+         vectorStore: new FileVectorStore({ directory: directory }),
+         embeddingProvider: new HashEmbeddingProvider(),
+         chatProvider: { model: 'none', complete: async () => { throw new Error('No model in tests.'); } },
+         journalPath: '',
+     });
+     manager.isDebug = false;
+     await manager.initialize();
+     manager.executionTimeoutMs = 1000;
+
+     await addTool('double', `function double(params) { return { status: 'success', message: String(params.n * 2), data: { n: params.n * 2 } }; }`);
+     await addTool('awaits', `async function awaits(params) {
+         const result = await invokeTool('double', { n: params.n });
+         return 'twice ' + params.n + ' is ' + (await Promise.resolve(result.data.n));
+     }`);
+     await addTool('rejects', `async function rejects(params) { throw new Error('no luck'); }`);
+     await addTool('never', `function never(params) { return new Promise(() => {}); }`);
+     // The first half of the time goes to the tool itself, the second to settling what it returned
+     await addTool('dawdles', `function dawdles(params) {
+         const busy = (ms) => { const end = Date.now() + ms; while (Date.now() < end) {} };
+         busy(700);
+         return { then(resolve) { busy(700); resolve('done'); } };
+     }`);
+ });
+
+ after(async () => {
+     await fs.rm(directory, { recursive: true, force: true });
+ });
+
+ test('uses the value of a settled promise as the result', async () => {
+     assert.equal(await manager.executeTool('awaits', { n: 21 }), 'twice 21 is 42');
+ });
+
+ test('turns a rejected promise into an error result', async () => {
+     assert.equal(await manager.executeTool('rejects', {}), 'Error: Execution failed for tool rejects: The returned promise was rejected: no luck');
+ });
+
+ test('turns a promise that can never settle into an error result', async () => {
+     assert.equal(await manager.executeTool('never', {}), 'Error: Execution failed for tool never: The returned promise never settles.');
+ });
+
+ test('settles the promise within the time left of the call', async () => {
+     const startedAt = Date.now();
+     assert.equal(await manager.executeTool('dawdles', {}), "Error: Tool 'dawdles' timed out after 1000ms.");
+     assert.ok(Date.now() - startedAt < 1500, `took ${Date.now() - startedAt}ms`);
+ });
@@ -0,0 +1,101 @@
+ // Items and trades: artifacts move as a whole between inventories and the ground, and trades swap both sides at once.
+ import { test, before, after } from 'node:test';
+ import assert from 'node:assert/strict';
+ import fs from 'node:fs/promises';
+ import os from 'node:os';
+ import path from 'node:path';
+ import { createWorld, replayInputs, room, storeTools } from './world_harness.js';
+
+ let directory;
+ let result;
+
+ // Tools get the items and trade capabilities by name
+ const tool = (name, properties, body) => ({
+     name: name,
+     parameters: { type: 'object', properties: { soulId: { type: 'string' }, ...properties } },
+     code: `function ${name}(params, world) { ${body} }`,
+ });
+
+ const id = { type: 'string' };
+ const ids = { type: 'array', items: { type: 'string' } };
+
+ before(async () => {
+     directory = await fs.mkdtemp(path.join(os.tmpdir(), 'items-trading-'));
+     await storeTools(directory, [
+         tool('drop_artifact', { artifactId: id }, 'return world.dropArtifact(params.soulId, params.artifactId);'),
+         tool('pick_up_artifact', { artifactId: id }, 'return world.pickUpArtifact(params.soulId, params.artifactId);'),
+         tool('hand_over_artifact', { targetSoulId: id, artifactId: id }, 'return world.handOverArtifact(params.soulId, params.targetSoulId, params.artifactId);'),
+         tool('offer_trade', { targetSoulId: id, offeredArtifactIds: ids, requestedArtifactIds: ids },
+             'return world.offerTrade(params.soulId, params.targetSoulId, params.offeredArtifactIds, params.requestedArtifactIds);'),
+         tool('accept_trade', {}, `
+             const trade = world.getTrades(params.soulId)[0];
+             return trade ? world.acceptTrade(params.soulId, trade.id) : 'Error: Nothing to accept.';`),
+         tool('move_soul', { targetLocationId: id }, 'return world.moveSoul(params.soulId, params.targetLocationId);'),
+     ]);
+     const artifact = (name, linkedToolName = null) => ({ id: name, name: name[0].toUpperCase() + name.slice(1), description: '', linkedToolName: linkedToolName });
+     const state = createWorld({
+         souls: {
+             ann: { id: 'ann', name: 'Ann', type: 'player', locationId: 'town_square', inventory: ['satchel', 'ring', 'seal', 'boots', 'coin', 'gem', 'spoon'] },
+             bob: { id: 'bob', name: 'Bob', type: 'player', locationId: 'town_square', inventory: ['glove', 'handshake', 'apple', 'pear'] },
+         },
+         locations: { town_square: room('town_square', { east: 'market' }), market: room('market', { west: 'town_square' }) },
+         artifacts: Object.fromEntries([
+             artifact('satchel', 'drop_artifact'), artifact('glove', 'pick_up_artifact'), artifact('ring', 'hand_over_artifact'),
+             artifact('seal', 'offer_trade'), artifact('handshake', 'accept_trade'), artifact('boots', 'move_soul'),
+             artifact('coin'), artifact('gem'), artifact('spoon'), artifact('apple'), artifact('pear'),
+         ].map(item => [item.id, item])),
+     });
+     const use = (tick, soulId, artifactId, args = {}) => ({ tick: tick, input: { type: 'action', soulId: soulId, artifactId: artifactId, args: args } });
+     const offer = (tick, offered, requested) => use(tick, 'ann', 'seal', { targetSoulId: 'bob', offeredArtifactIds: offered, requestedArtifactIds: requested });
+     result = await replayInputs(directory, state, [
+         use(1, 'ann', 'satchel', { artifactId: 'coin' }),
+         use(2, 'bob', 'glove', { artifactId: 'coin' }),
+         offer(3, ['gem'], ['apple']),
+         use(4, 'bob', 'handshake'),
+         offer(5, ['spoon'], ['pear']),
+         use(6, 'ann', 'boots', { targetLocationId: 'market' }),
+         use(7, 'bob', 'handshake'), // Ann walked off with the spoon
+         use(8, 'ann', 'boots', { targetLocationId: 'town_square' }),
+         offer(9, ['spoon'], ['pear']),
+         use(10, 'ann', 'ring', { targetSoulId: 'bob', artifactId: 'spoon' }),
+         use(11, 'bob', 'handshake'), // The offer went with the spoon
+     ], { endTick: 12 });
+ });
+
+ after(async () => {
+     await fs.rm(directory, { recursive: true, force: true });
+ });
+
+ const events = () => Object.values(result.state.logs).flat().map(entry => entry.message);
+
+ test('dropped artifacts lie on the ground until someone picks them up', () => {
+     assert.ok(events().includes('Ann dropped Coin.'), events().join('\n'));
+     assert.ok(events().includes('Bob picked up Coin.'));
+     assert.deepEqual(result.state.locations.town_square.items, []);
+     assert.ok(result.state.souls.bob.inventory.includes('coin'));
+     assert.ok(!result.state.souls.ann.inventory.includes('coin'));
+ });
+
+ test('an accepted trade swaps both sides at once', () => {
+     assert.ok(result.state.souls.ann.inventory.includes('apple'));
+     assert.ok(result.state.souls.bob.inventory.includes('gem'));
+     assert.ok(!result.state.souls.ann.inventory.includes('gem'));
+     assert.ok(!result.state.souls.bob.inventory.includes('apple'));
+ });
+
+ test('a trade that can no longer be carried out moves nothing', () => {
+     assert.ok(events().includes('The trade between Ann and Bob is off: it can no longer be carried out.'));
+     assert.ok(events().includes("The trade between Ann and Bob is off: 'Spoon' changed hands."));
+     assert.ok(result.state.souls.bob.inventory.includes('pear'));
+     assert.ok(!result.state.souls.ann.inventory.includes('pear'));
+     assert.ok(result.state.souls.bob.inventory.includes('spoon')); // Handed over, not traded
+     assert.deepEqual(result.state.trades, {});
+ });
+
+ test('every artifact is in exactly one place', () => {
+     const places = Object.keys(result.state.artifacts).map(artifactId => [
+         ...Object.values(result.state.souls).filter(soul => soul.inventory.includes(artifactId)),
+         ...Object.values(result.state.locations).filter(location => (location.items || []).includes(artifactId)),
+     ].length);
+     assert.deepEqual(places, Object.keys(result.state.artifacts).map(() => 1));
+ });
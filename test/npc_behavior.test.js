@@ -0,0 +1,87 @@
+ // NPC behaviour profiles: each NPC picks from its own actions according to its profile, one per NPC turn.
+ import { test, before, after } from 'node:test';
+ import assert from 'node:assert/strict';
+ import fs from 'node:fs/promises';
+ import os from 'node:os';
+ import path from 'node:path';
+ import { createWorld, replayInputs, room, storeTools } from './world_harness.js';
+
+ let directory;
+ let result;
+
+ before(async () => {
+     directory = await fs.mkdtemp(path.join(os.tmpdir(), 'npc-behavior-'));
+     await storeTools(directory, [
+         {
+             name: 'move_soul', // targetLocationId is fed by the exits, which is how profiles tell a move
+             parameters: { type: 'object', properties: { soulId: { type: 'string' }, targetLocationId: { type: 'string' } }, required: ['targetLocationId'] },
+             code: `function move_soul(params, world) { return world.moveSoul(params.soulId, params.targetLocationId); }`,
+         },
+         {
+             name: 'offer_trade',
+             parameters: { type: 'object', properties: { soulId: { type: 'string' }, targetSoulId: { type: 'string' }, artifactId: { type: 'string' } } },
+             code: `function offer_trade(params, world) { return world.offerTrade(params.soulId, params.targetSoulId, [params.artifactId], []); }`,
+         },
+         {
+             name: 'accept_trade',
+             parameters: { type: 'object', properties: { soulId: { type: 'string' }, tradeId: { type: 'string' } }, required: ['tradeId'] },
+             code: `function accept_trade(params, world) { return world.acceptTrade(params.soulId, params.tradeId); }`,
+         },
+     ]);
+     // A corridor a - b - c - d, and everyone with a pair of boots
+     const souls = {};
+     const artifacts = {};
+     const addSoul = (id, type, locationId, profile = {}, inventory = []) => {
+         souls[id] = { id: id, name: id, type: type, locationId: locationId, inventory: [`${id}_boots`, ...inventory], ...profile };
+         artifacts[`${id}_boots`] = { id: `${id}_boots`, name: 'Boots', description: '', linkedToolName: 'move_soul' };
+     };
+     addSoul('ann', 'player', 'a', {}, ['ann_seal', 'gift']);
+     addSoul('idler', 'npc', 'b', { behavior: 'idle' });
+     addSoul('tracker', 'npc', 'a', { behavior: 'follow', behaviorTarget: 'ann' });
+     addSoul('sentry', 'npc', 'd', { behavior: 'guard', behaviorTarget: 'a' });
+     addSoul('merchant', 'npc', 'a', { behavior: 'trade' }, ['merchant_hand']);
+     artifacts.ann_seal = { id: 'ann_seal', name: 'Seal', description: '', linkedToolName: 'offer_trade' };
+     artifacts.merchant_hand = { id: 'merchant_hand', name: 'Hand', description: '', linkedToolName: 'accept_trade' };
+     artifacts.gift = { id: 'gift', name: 'Gift', description: '', linkedToolName: null };
+     const state = createWorld({
+         souls: souls,
+         locations: { a: room('a', { east: 'b' }), b: room('b', { west: 'a', east: 'c' }), c: room('c', { west: 'b', east: 'd' }), d: room('d', { west: 'c' }) },
+         artifacts: artifacts,
+     });
+
+     const act = (tick, artifactId, args) => ({ tick: tick, input: { type: 'action', soulId: 'ann', artifactId: artifactId, args: args } });
+     result = await replayInputs(directory, state, [
+         act(1, 'ann_seal', { targetSoulId: 'merchant', artifactId: 'gift' }),
+         act(2, 'ann_boots', { targetLocationId: 'b' }),
+         act(3, 'ann_boots', { targetLocationId: 'c' }),
+         act(4, 'ann_boots', { targetLocationId: 'd' }),
+     ], { endTick: 10 });
+ });
+
+ after(async () => {
+     await fs.rm(directory, { recursive: true, force: true });
+ });
+
+ const npcLines = (name) => result.output.split('\n').filter(line => line.includes(`[NPC] ${name} `));
+
+ test('an idle NPC does nothing', () => {
+     assert.equal(result.state.souls.idler.locationId, 'b');
+     assert.deepEqual(npcLines('idler'), []);
+ });
+
+ test('a follower walks after its leader', () => {
+     assert.equal(result.state.souls.ann.locationId, 'd');
+     assert.equal(result.state.souls.tracker.locationId, 'd', result.output);
+     assert.ok(npcLines('tracker').some(line => line.includes('follows ann')));
+ });
+
+ test('a guard returns to its post', () => {
+     assert.equal(result.state.souls.sentry.locationId, 'a', result.output);
+     assert.ok(npcLines('sentry').some(line => line.includes('heads back to its post')));
+ });
+
+ test('a trader accepts what it is offered', () => {
+     assert.ok(result.state.souls.merchant.inventory.includes('gift'), result.output);
+     assert.ok(!result.state.souls.ann.inventory.includes('gift'));
+     assert.deepEqual(result.state.trades, {});
+ });
@@ -0,0 +1,77 @@
+ // Player sessions: a session token resumes its soul, and an abandoned soul follows ABANDONED_SOUL_POLICY.
+ import { test, before, after } from 'node:test';
+ import assert from 'node:assert/strict';
+ import fs from 'node:fs/promises';
+ import os from 'node:os';
+ import path from 'node:path';
+ import { io } from 'socket.io-client';
+ import { createWorld, startServer } from './world_harness.js';
+
+ const GRACE_MS = 1000;
+ let directory;
+
+ before(async () => {
+     directory = await fs.mkdtemp(path.join(os.tmpdir(), 'player-sessions-'));
+ });
+
+ after(async () => {
+     await fs.rm(directory, { recursive: true, force: true });
+ });
+
+ // Connects a player and resolves with { socket, soulId, sessionToken } once both have arrived.
+ function connect(url, sessionToken) {
+     const socket = io(url, { auth: sessionToken ? { sessionToken: sessionToken } : {}, reconnection: false, forceNew: true });
+     return new Promise((resolve, reject) => {
+         const session = {};
+         const done = () => { if (session.soulId && session.sessionToken) resolve({ socket: socket, ...session }); };
+         socket.on('assignSoulId', soulId => { session.soulId = soulId; done(); });
+         socket.on('sessionToken', token => { session.sessionToken = token; done(); });
+         socket.on('connect_error', reject);
+     });
+ }
+
+ async function disconnect(socket) {
+     socket.disconnect();
+     await new Promise(resolve => setTimeout(resolve, 100));
+ }
+
+ async function runPolicy(policy) {
+     const workDirectory = await fs.mkdtemp(path.join(directory, `${policy}-`));
+     const server = await startServer(workDirectory, {
+         state: createWorld(),
+         env: { PLAYER_SESSION_GRACE_MS: String(GRACE_MS), ABANDONED_SOUL_POLICY: policy, WORLD_TICK_MS: '50' },
+     });
+     try {
+         const first = await connect(server.url);
+         await disconnect(first.socket);
+
+         // Within the grace period the token brings the player back to the same soul
+         const resumed = await connect(server.url, first.sessionToken);
+         assert.equal(resumed.soulId, first.soulId);
+         assert.equal(resumed.sessionToken, first.sessionToken);
+         await disconnect(resumed.socket);
+
+         // After it the token is gone, and the player starts over with a new soul
+         await new Promise(resolve => setTimeout(resolve, GRACE_MS + 500));
+         const late = await connect(server.url, first.sessionToken);
+         assert.notEqual(late.soulId, first.soulId);
+         await disconnect(late.socket);
+     } finally {
+         await server.stop();
+     }
+     return server.readWorld();
+ }
+
+ test('resumes a soul by its session token and hands an abandoned one to the NPCs', async () => {
+     const world = await runPolicy('npc');
+     const souls = Object.values(world.souls);
+     assert.equal(souls.length, 2);
+     assert.deepEqual(souls.map(soul => soul.type).sort(), ['npc', 'player']);
+     // Sessions are saved with the world, so the new player can come back after a restart
+     assert.equal(Object.keys(world.sessions).length, 1);
+ });
+
+ test('removes an abandoned soul under the despawn policy', async () => {
+     const world = await runPolicy('despawn');
+     assert.deepEqual(Object.values(world.souls).map(soul => soul.type), ['player']);
+ });
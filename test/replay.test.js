@@ -0,0 +1,140 @@
+ // --replay: a short seeded session runs the same way every time and divergence is reported.
+ import { test, before, after } from 'node:test';
+ import assert from 'node:assert/strict';
+ import { spawnSync } from 'node:child_process';
+ import crypto from 'node:crypto';
+ import fs from 'node:fs/promises';
+ import os from 'node:os';
+ import path from 'node:path';
+ import { fileURLToPath } from 'node:url';
+ import { ToolCreationManager, FileVectorStore, HashEmbeddingProvider } from '../tool_creation_tool.js';
+
+ const SERVER = fileURLToPath(new URL('../server.js', import.meta.url));
+ const END_TICK = 40;
+ let directory;
+
+ // Three rooms in a triangle and three wandering NPCs, each with its own boots.
+ function createWorld() {
+     const room = (id, exits) => ({ id: id, name: `Room ${id}`, description: '', exits: exits, items: [] });
+     const souls = {};
+     const artifacts = {};
+     for (const name of ['ann', 'bob', 'cid']) {
+         souls[name] = { id: name, name: name, type: 'npc', behavior: 'wander', locationId: 'a', inventory: [`${name}_boots`] };
+         artifacts[`${name}_boots`] = { id: `${name}_boots`, name: 'Boots', description: '', linkedToolName: 'move_soul' };
+     }
+     return {
+         souls: souls,
+         locations: { a: room('a', { east: 'b', north: 'c' }), b: room('b', { west: 'a', north: 'c' }), c: room('c', { south: 'a', east: 'b' }) },
+         artifacts: artifacts,
+         logs: { '*': [] },
+         eventSeq: 1,
+         sessions: {},
+         trades: {},
+         clock: { tick: 0, seed: 12345, rngState: 12345 },
+         scheduled: [],
+     };
+ }
+
+ // Same fields and hash as worldChecksum in server.js
+ function checksum(state) {
+     const { souls, locations, artifacts, trades, scheduled, clock } = state;
+     return crypto.createHash('sha256').update(JSON.stringify({ souls, locations, artifacts, trades, scheduled, clock })).digest('hex').slice(0, 16);
+ }
+
+ const walk = { type: 'input', tick: 3, input: { type: 'action', soulId: 'ann', artifactId: 'ann_boots', args: { targetLocationId: 'b' } } };
+
+ // `repeat` writes the checkpoint that many times, standing in for the records of a long session
+ async function writeLog(name, expectedChecksum, { repeat = 1, inputs = [walk] } = {}) {
+     const lines = [
+         { type: 'session', startedAt: '2026-01-01T00:00:00.000Z', schemaVersion: 5, tick: 0, settings: { tickMs: 1000, npcTurnTicks: 1 }, state: createWorld() },
+         ...inputs,
+         ...Array.from({ length: repeat }, () => ({ type: 'checkpoint', tick: END_TICK, checksum: expectedChecksum })),
+     ];
+     const file = path.join(directory, name);
+     await fs.writeFile(file, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+     return file;
+ }
+
+ // Runs `node server.js --replay` and returns its exit status and the replayed world.
+ async function replay(logFile, snapshot) {
+     const run = spawnSync(process.execPath, [SERVER, `--replay=${logFile}`, `--snapshot=${snapshot}`], {
+         cwd: directory,
+         encoding: 'utf-8',
+         timeout: 120000,
+         env: {
+             ...process.env,
+             LLM_PROVIDER: 'replay',
+             EMBEDDING_PROVIDER: 'hash',
+             TOOL_STORE: 'file',
+             TOOL_STORE_PATH: path.join(directory, 'tools'),
+             TOOL_JOURNAL_PATH: '',
+             WORLD_STATE_FILE: path.join(directory, 'world_state.json'),
+             WORLD_SNAPSHOT_DIR: path.join(directory, 'snapshots'),
+         },
+     });
+     const saved = JSON.parse(await fs.readFile(path.join(directory, 'snapshots', `${snapshot}.json`), 'utf-8'));
+     return { status: run.status, output: run.stdout + run.stderr, state: saved.state };
+ }
+
+ before(async () => {
+     directory = await fs.mkdtemp(path.join(os.tmpdir(), 'replay-'));
+     const manager = new ToolCreationManager({
+         vectorStore: new FileVectorStore({ directory: path.join(directory, 'tools') }),
+         embeddingProvider: new HashEmbeddingProvider(),
+         chatProvider: { model: 'none', complete: async () => { throw new Error('No model in tests.'); } },
+         journalPath: '',
+     });
+     manager.isDebug = false;
+     await manager.initialize();
+     // Picks the exit itself with Math.random, so the outcome depends on the seed of each call
+     const record = await manager.storeToolVersion('move_soul', {
+         description: 'Moves a soul through a random exit.',
+         parameters: { type: 'object', properties: { soulId: { type: 'string' }, targetLocationId: { type: 'string' } }, required: ['soulId', 'targetLocationId'] },
+         code: `function move_soul(params, world) {
+             const here = world.getLocation(world.getSoul(params.soulId).locationId);
+             const exits = Object.values(here.exits);
+             return world.moveSoul(params.soulId, exits[Math.floor(Math.random() * exits.length)]);
+         }`,
+         trust: 'approved',
+     });
+     await manager.activateToolVersion(record);
+ });
+
+ after(async () => {
+     await fs.rm(directory, { recursive: true, force: true });
+ });
+
+ // The NPC decisions and their outcomes, in order
+ const npcLines = (output) => output.split('\n').filter(line => line.includes('[NPC]'));
+
+ test('replays a seeded session exactly and reports divergence', async () => {
+     const first = await replay(await writeLog('unknown.jsonl', '0000000000000000'), 'first');
+     assert.equal(first.status, 1, first.output);
+     assert.match(first.output, new RegExp(`Replay diverged at tick ${END_TICK}`));
+     assert.equal(first.state.clock.tick, END_TICK);
+     assert.ok(npcLines(first.output).some(line => line.includes('moved successfully')), 'the NPCs never moved');
+
+     const second = await replay(await writeLog('known.jsonl', checksum(first.state), { repeat: 200000 }), 'second');
+     assert.equal(second.status, 0, second.output);
+     assert.match(second.output, /1 checkpoint\(s\), 0 mismatch\(es\)/);
+     assert.deepEqual(npcLines(second.output), npcLines(first.output));
+     assert.deepEqual(second.state.souls, first.state.souls);
+ });
+ 
+ test('replays the statements of admin scripts from their logged arguments', async () => {
+     // What `EXECUTE TOOL` lines of an admin script leave in the log; the script itself is never re-read
+     const script = (tick, toolName, args) => ({ type: 'input', tick: tick, input: { type: 'script', toolName: toolName, args: args } });
+     const inputs = [
+         script(5, 'create_location', { name: 'Cellar', description: 'Damp.' }),
+         script(5, 'link_exit', { fromLocationId: 'a', direction: 'down', toLocationId: 'cellar' }),
+         script(6, 'create_artifact', { name: 'Lamp', description: 'Lights the way.', linkedToolName: 'move_soul' }),
+     ];
+     const first = await replay(await writeLog('script.jsonl', '0000000000000000', { inputs: inputs }), 'script-first');
+     assert.equal(first.state.locations.cellar.name, 'Cellar');
+     assert.equal(first.state.locations.a.exits.down, 'cellar');
+     assert.ok(Object.values(first.state.artifacts).some(artifact => artifact.name === 'Lamp'), first.output);
+
+     const second = await replay(await writeLog('script-known.jsonl', checksum(first.state), { inputs: inputs }), 'script-second');
+     assert.equal(second.status, 0, second.output);
+     assert.deepEqual(second.state.artifacts, first.state.artifacts);
+ });
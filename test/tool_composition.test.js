@@ -0,0 +1,112 @@
+ // invokeTool: nested calls through the registry, with depth, cycle and budget limits.
+ import { test, before, after } from 'node:test';
+ import assert from 'node:assert/strict';
+ import fs from 'node:fs/promises';
+ import os from 'node:os';
+ import path from 'node:path';
+ import { ToolCreationManager, FileVectorStore, HashEmbeddingProvider } from '../tool_creation_tool.js';
+
+ const schema = { type: 'object', properties: { n: { type: 'integer', default: 0 } } };
+ let directory;
+ let manager;
+
+ async function addTool(name, code, trust = 'approved') {
+     const record = await manager.storeToolVersion(name, { description: name, parameters: schema, code: code, trust: trust });
+     await manager.activateToolVersion(record);
+ }
+
+ before(async () => {
+     directory = await fs.mkdtemp(path.join(os.tmpdir(), 'tool-composition-'));
+     manager = new ToolCreationManager({
+         vectorStore: new FileVectorStore({ directory: directory }),
+         embeddingProvider: new HashEmbeddingProvider(),
+         chatProvider: { model: 'none', complete: async () => { throw new Error('No model in tests.'); } },
+         journalPath: '',
+     });
+     manager.isDebug = false;
+     await manager.initialize();
+     manager.maxInvocationDepth = 2;
+     manager.maxInvocationCalls = 3;
+
+     await addTool('leaf', `function leaf(params) { return 'leaf ' + params.n; }`);
+     await addTool('middle', `function middle(params) { return 'middle > ' + invokeTool('leaf', { n: params.n }).message; }`);
+     await addTool('top', `function top(params) { return 'top > ' + invokeTool('middle', { n: 1 }).message; }`);
+     await addTool('deep', `function deep(params) { return invokeTool('top', {}).message; }`);
+     await addTool('ping', `function ping(params) { return invokeTool('pong', {}).message; }`);
+     await addTool('pong', `function pong(params) { return invokeTool('ping', {}).message; }`);
+     await addTool('greedy', `function greedy(params) {
+         const results = [];
+         for (let i = 0; i < 5; i++) results.push(invokeTool('leaf', { n: i }).status);
+         return results.join(',');
+     }`);
+     await addTool('unreviewed', `function unreviewed(params) { return 'ran'; }`, 'pending');
+     await addTool('uses_unreviewed', `function uses_unreviewed(params) { return invokeTool('unreviewed', {}).message; }`);
+     await addTool('creates', `function creates(params) { return invokeTool('tool_creation', {}).message; }`);
+     await addTool('bad_args', `function bad_args(params) { return invokeTool('leaf', { n: 'many' }).message; }`);
+     await addTool('slow', `function slow(params) { const end = Date.now() + 5000; while (Date.now() < end) {} return 'slow done'; }`);
+     await addTool('impatient', `function impatient(params) {
+         let first;
+         try { first = invokeTool('slow', {}).status; } catch (error) { first = 'gave up'; }
+         return first + ' / ' + invokeTool('leaf', { n: 7 }).message;
+     }`);
+ });
+
+ after(async () => {
+     await fs.rm(directory, { recursive: true, force: true });
+ });
+
+ test('returns the callee result to the calling tool', async () => {
+     assert.equal(await manager.executeTool('middle', { n: 4 }), 'middle > leaf 4');
+     assert.equal(await manager.executeTool('top', {}), 'top > middle > leaf 1');
+ });
+
+ test('refuses to nest deeper than the limit', async () => {
+     assert.equal(
+         await manager.executeTool('deep', {}),
+         "top > middle > Error: Calling 'leaf' from 'middle' would nest tools more than 2 deep.",
+     );
+ });
+
+ test('refuses cycles', async () => {
+     assert.equal(
+         await manager.executeTool('ping', {}),
+         "Error: Calling 'ping' from 'pong' would be a cycle (ping -> pong -> ping).",
+     );
+ });
+
+ test('limits the nested calls of one top-level call', async () => {
+     assert.equal(await manager.executeTool('greedy', {}), 'success,success,success,error,error');
+     // The budget belongs to the top-level call, so the next one starts afresh
+     assert.equal(await manager.executeTool('greedy', {}), 'success,success,success,error,error');
+ });
+
+ test('checks the callee like any other call', async () => {
+     assert.equal(
+         await manager.executeTool('uses_unreviewed', {}, { allowedTrust: ['internal', 'approved'] }),
+         "Error: Tool 'unreviewed' is waiting for approval and cannot run yet.",
+     );
+     assert.equal(await manager.executeTool('creates', {}), 'Error: Tools cannot create other tools through invokeTool.');
+     assert.match(await manager.executeTool('bad_args', {}), /^Error: Invalid arguments for tool leaf: 'n' must be an integer/);
+ });
+
+ test('gives nested calls only the time their caller has left', async () => {
+     const timeoutMs = manager.executionTimeoutMs;
+     manager.executionTimeoutMs = 1500;
+     try {
+         // The slow callee is cut off before its caller stops waiting, and takes the caller's time with it
+         assert.equal(await manager.executeTool('impatient', {}), "error / Error: 'impatient' has no time left to call 'leaf'.");
+     } finally {
+         manager.executionTimeoutMs = timeoutMs;
+     }
+ });
+
+ test('drops answers to requests the sandbox no longer waits for', () => {
+     const sharedBuffer = new SharedArrayBuffer(8 + 64);
+     const header = new Int32Array(sharedBuffer, 0, 2);
+     header[0] = 2; // Waiting for request 2 after giving up on request 1
+     manager.answerSandbox(sharedBuffer, 1, JSON.stringify({ value: 'late' }), 'Too large.');
+     assert.deepEqual([...header], [2, 0]);
+     manager.answerSandbox(sharedBuffer, 2, JSON.stringify({ value: 'on time' }), 'Too large.');
+     assert.equal(header[0], -2);
+     assert.equal(new TextDecoder().decode(new Uint8Array(sharedBuffer, 8, header[1])), '{"value":"on time"}');
+ });
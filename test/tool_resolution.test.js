@@ -0,0 +1,55 @@
+ // resolveMissingTool: an unknown tool name stands in for a close match only when every argument maps by name.
+ import { test, before, after } from 'node:test';
+ import assert from 'node:assert/strict';
+ import fs from 'node:fs/promises';
+ import os from 'node:os';
+ import path from 'node:path';
+ import { ToolCreationManager, FileVectorStore, HashEmbeddingProvider } from '../tool_creation_tool.js';
+
+ let directory;
+ let manager;
+
+ before(async () => {
+     directory = await fs.mkdtemp(path.join(os.tmpdir(), 'tool-resolution-'));
+     manager = new ToolCreationManager({
+         vectorStore: new FileVectorStore({ directory: directory }),
+         embeddingProvider: new HashEmbeddingProvider(),
+         chatProvider: { model: 'none', complete: async () => { throw new Error('No model in tests.'); } },
+         journalPath: '',
+     });
+     manager.isDebug = false;
+     await manager.initialize();
+     manager.resolutionSimilarityThreshold = 0; // Always consider the closest tool
+
+     const record = await manager.storeToolVersion('move_soul', {
+         description: 'Moves a soul to another location.',
+         parameters: { type: 'object', properties: { soulId: { type: 'string' }, targetLocationId: { type: 'string' } }, required: ['soulId', 'targetLocationId'] },
+         code: `function move_soul(params) { return 'Moved ' + params.soulId + ' to ' + params.targetLocationId + '.'; }`,
+         trust: 'approved',
+     });
+     await manager.activateToolVersion(record);
+ });
+
+ after(async () => {
+     await fs.rm(directory, { recursive: true, force: true });
+ });
+
+ test('remaps arguments whose names only differ in case, separators or an Id suffix', async () => {
+     const resolution = await manager.resolveMissingTool('move_player', { soul_id: 'bob', TARGET_LOCATION: 'market' });
+     assert.equal(resolution.toolName, 'move_soul');
+     assert.deepEqual(resolution.args, { soulId: 'bob', targetLocationId: 'market' });
+     assert.equal(resolution.remapped, true);
+     assert.equal(resolution.created, false);
+ });
+
+ test('never assigns arguments by position', async () => {
+     // Two leftovers onto two open properties used to become soulId: 'market', targetLocationId: 'bob'
+     const resolution = await manager.resolveMissingTool('move_player', { where: 'market', who: 'bob' });
+     assert.equal(typeof resolution, 'string');
+     assert.match(resolution, /^Error: Tool 'move_player' not found, and creating it failed\./);
+ });
+
+ test('creates the tool when only some arguments map', async () => {
+     const resolution = await manager.resolveMissingTool('move_player', { soulId: 'bob', where: 'market' });
+     assert.match(resolution, /^Error: Tool 'move_player' not found, and creating it failed\./);
+ });
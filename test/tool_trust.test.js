@@ -0,0 +1,56 @@
+ // Tool trust: only approved tools run, unless WORLD_OPEN_MODE=1 lets pending ones run too; quarantined tools never do.
+ import { test, before, after } from 'node:test';
+ import assert from 'node:assert/strict';
+ import fs from 'node:fs/promises';
+ import os from 'node:os';
+ import path from 'node:path';
+ import { createWorld, replayInputs, storeTools } from './world_harness.js';
+
+ const TRUST = { approved: 'approved', unreviewed: 'pending', banned: 'quarantined' };
+ let directory;
+ let closed;
+ let open;
+
+ before(async () => {
+     directory = await fs.mkdtemp(path.join(os.tmpdir(), 'tool-trust-'));
+     await storeTools(directory, Object.entries(TRUST).map(([name, trust]) => ({
+         name: name,
+         parameters: { type: 'object', properties: { soulId: { type: 'string' } } },
+         code: `function ${name}(params, world) { world.log('${name} ran'); return 'Done.'; }`,
+         trust: trust,
+     })));
+     const state = createWorld({
+         souls: { ann: { id: 'ann', name: 'Ann', type: 'player', locationId: 'town_square', inventory: Object.keys(TRUST) } },
+         artifacts: Object.fromEntries(Object.keys(TRUST).map(name => [name, { id: name, name: name, description: '', linkedToolName: name }])),
+     });
+     const inputs = [
+         ...Object.keys(TRUST).map(name => ({ tick: 1, input: { type: 'action', soulId: 'ann', artifactId: name, args: {} } })),
+         ...Object.keys(TRUST).map(name => ({
+             tick: 2,
+             input: { type: 'script', toolName: 'create_artifact', args: { name: `${name} copy`, description: 'A copy.', linkedToolName: name } },
+         })),
+     ];
+     closed = await replayInputs(directory, state, inputs, { endTick: 3 });
+     open = await replayInputs(directory, state, inputs, { endTick: 3, env: { WORLD_OPEN_MODE: '1' } });
+ });
+
+ after(async () => {
+     await fs.rm(directory, { recursive: true, force: true });
+ });
+
+ const ran = (result) => result.state.logs['*'].map(entry => entry.message).filter(message => message.endsWith(' ran'));
+ const copies = (result) => Object.values(result.state.artifacts).filter(artifact => artifact.name.endsWith(' copy')).map(artifact => artifact.linkedToolName);
+
+ test('artifacts only run approved tools', () => {
+     assert.deepEqual(ran(closed), ['approved ran'], closed.output);
+     assert.match(closed.output, /Tool 'unreviewed' is waiting for approval/);
+ });
+
+ test('artifacts can only be created for tools that may run', () => {
+     assert.deepEqual(copies(closed), ['approved']);
+ });
+
+ test('open mode runs pending tools but never quarantined ones', () => {
+     assert.deepEqual(ran(open), ['approved ran', 'unreviewed ran'], open.output);
+     assert.deepEqual(copies(open), ['approved', 'unreviewed']);
+ });
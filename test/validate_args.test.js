@@ -0,0 +1,89 @@
+ // validateArgs: type checks, safe coercion of client strings, defaults and the additionalProperties policy.
+ import { test } from 'node:test';
+ import assert from 'node:assert/strict';
+ import { validateArgs, formatValidationErrors } from '../tool_creation_tool.js';
+
+ const schema = {
+     type: 'object',
+     properties: {
+         soulId: { type: 'string' },
+         count: { type: 'integer', minimum: 1 },
+         ratio: { type: 'number' },
+         loud: { type: 'boolean' },
+         mood: { type: 'string', enum: ['calm', 'angry'] },
+         type: { type: 'string', default: 'generic' },
+         target: { type: 'object', properties: { x: { type: 'integer' } }, required: ['x'] },
+     },
+     required: ['soulId'],
+ };
+
+ test('coerces client-supplied strings to the declared types', () => {
+     const result = validateArgs(schema, { soulId: 'a', count: '3', ratio: ' 0.5 ', loud: 'false', target: '{"x": "2"}' });
+     assert.equal(result.valid, true, result.errors.join('; '));
+     assert.deepEqual(result.value, { soulId: 'a', count: 3, ratio: 0.5, loud: false, type: 'generic', target: { x: 2 } });
+ });
+
+ test('does not coerce values that only look alike', () => {
+     const result = validateArgs(schema, { soulId: 'a', count: '3.5', loud: 'yes' });
+     assert.equal(result.valid, false);
+     assert.deepEqual(result.errors, [
+         "'count' must be an integer (got \"3.5\")",
+         "'loud' must be a boolean (got \"yes\")",
+     ]);
+ });
+
+ test('coercion can be turned off', () => {
+     const result = validateArgs(schema, { soulId: 'a', count: '3' }, { coerce: false });
+     assert.deepEqual(result.errors, ["'count' must be an integer (got \"3\")"]);
+ });
+
+ test('applies defaults without touching the input', () => {
+     const args = { soulId: 'a' };
+     const result = validateArgs(schema, args);
+     assert.equal(result.value.type, 'generic');
+     assert.deepEqual(args, { soulId: 'a' });
+ });
+
+ test('names the offending field, including nested ones', () => {
+     const result = validateArgs(schema, { count: 0, mood: 'sad', target: {} });
+     assert.deepEqual(result.errors, [
+         "'count' must be at least 1 (got 0)",
+         "'mood' must be one of \"calm\", \"angry\" (got \"sad\")",
+         "'target.x' is required",
+         "'soulId' is required",
+     ]);
+     assert.equal(
+         formatValidationErrors('move_soul', ["'soulId' is required"]),
+         "Error: Invalid arguments for tool move_soul: 'soulId' is required.",
+     );
+ });
+
+ test('treats null as missing for required properties', () => {
+     assert.deepEqual(validateArgs(schema, { soulId: null }).errors, ["'soulId' is required"]);
+ });
+
+ test('allows, strips or rejects undeclared properties per policy', () => {
+     const args = { soulId: 'a', extra: 1 };
+     assert.deepEqual(validateArgs(schema, args, { additionalProperties: 'allow' }).value.extra, 1);
+
+     const stripped = validateArgs(schema, args, { additionalProperties: 'strip' });
+     assert.equal(stripped.valid, true);
+     assert.equal('extra' in stripped.value, false);
+
+     const rejected = validateArgs(schema, args, { additionalProperties: 'reject' });
+     assert.equal(rejected.valid, false);
+     assert.deepEqual(rejected.errors, ["'extra' is not an allowed property"]);
+ });
+
+ test('lets the schema override the additionalProperties policy', () => {
+     const closed = { ...schema, additionalProperties: false };
+     assert.deepEqual(validateArgs(closed, { soulId: 'a', extra: 1 }, { additionalProperties: 'allow' }).errors, ["'extra' is not an allowed property"]);
+
+     const open = { ...schema, additionalProperties: true };
+     assert.equal(validateArgs(open, { soulId: 'a', extra: 1 }, { additionalProperties: 'reject' }).value.extra, 1);
+
+     const typed = { ...schema, additionalProperties: { type: 'integer' } };
+     const result = validateArgs(typed, { soulId: 'a', extra: '7', other: 'x' }, { additionalProperties: 'reject' });
+     assert.equal(result.value.extra, 7);
+     assert.deepEqual(result.errors, ["'other' must be an integer (got \"x\")"]);
+ });
@@ -0,0 +1,128 @@
+ // Runs server.js against a throwaway world: as a --replay of a crafted action log, or as a live server.
+ import { spawn, spawnSync } from 'node:child_process';
+ import fs from 'node:fs/promises';
+ import net from 'node:net';
+ import path from 'node:path';
+ import { fileURLToPath } from 'node:url';
+ import { ToolCreationManager, FileVectorStore, HashEmbeddingProvider } from '../tool_creation_tool.js';
+
+ const SERVER = fileURLToPath(new URL('../server.js', import.meta.url));
+ const SCHEMA_VERSION = 5; // WORLD_SCHEMA_VERSION in server.js
+
+ export const room = (id, exits = {}, items = []) => ({ id: id, name: `Room ${id}`, description: '', exits: exits, items: items });
+
+ // A world in the saved format; `parts` replaces any of its fields.
+ export function createWorld(parts = {}) {
+     return {
+         souls: {},
+         locations: { town_square: room('town_square') },
+         artifacts: {},
+         logs: { '*': [] },
+         eventSeq: 1,
+         sessions: {},
+         trades: {},
+         clock: { tick: 0, seed: 12345, rngState: 12345 },
+         scheduled: [],
+         ...parts,
+     };
+ }
+
+ // Stores `tools` ([{ name, parameters, code, trust }]) as active tools in the file store under `directory`.
+ export async function storeTools(directory, tools) {
+     const manager = new ToolCreationManager({
+         vectorStore: new FileVectorStore({ directory: path.join(directory, 'tools') }),
+         embeddingProvider: new HashEmbeddingProvider(),
+         chatProvider: { model: 'none', complete: async () => { throw new Error('No model in tests.'); } },
+         journalPath: '',
+     });
+     manager.isDebug = false;
+     await manager.initialize();
+     for (const tool of tools) {
+         const record = await manager.storeToolVersion(tool.name, {
+             description: tool.description || tool.name,
+             parameters: tool.parameters || { type: 'object', properties: {} },
+             code: tool.code,
+             trust: tool.trust || 'approved',
+         });
+         await manager.activateToolVersion(record);
+     }
+ }
+
+ function serverEnv(directory, env) {
+     return {
+         ...process.env,
+         LLM_PROVIDER: 'replay',
+         EMBEDDING_PROVIDER: 'hash',
+         TOOL_STORE: 'file',
+         TOOL_STORE_PATH: path.join(directory, 'tools'),
+         TOOL_JOURNAL_PATH: '',
+         WORLD_STATE_FILE: path.join(directory, 'world_state.json'),
+         WORLD_SNAPSHOT_DIR: path.join(directory, 'snapshots'),
+         ACTION_LOG_DIR: path.join(directory, 'action_logs'),
+         ADMIN_AUDIT_LOG: path.join(directory, 'admin_audit.jsonl'),
+         GAME_MASTER_ASLEEP: '1',
+         ...env,
+     };
+ }
+
+ // Replays `inputs` ([{ tick, input }]) on `state` up to `endTick` and returns { output, state }. The
+ // closing checkpoint only marks where the replay ends, so it is always reported as a divergence.
+ export async function replayInputs(directory, state, inputs, { endTick = 20, env = {} } = {}) {
+     const name = `replay-${Date.now()}`;
+     const lines = [
+         { type: 'session', startedAt: '2026-01-01T00:00:00.000Z', schemaVersion: SCHEMA_VERSION, tick: 0, settings: { tickMs: 1000, npcTurnTicks: 1 }, state: state },
+         ...inputs.map(({ tick, input }) => ({ type: 'input', tick: tick, input: input })),
+         { type: 'checkpoint', tick: endTick, checksum: 'none' },
+     ];
+     const logFile = path.join(directory, `${name}.jsonl`);
+     await fs.writeFile(logFile, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+     const run = spawnSync(process.execPath, [SERVER, `--replay=${logFile}`, `--snapshot=${name}`], {
+         cwd: directory,
+         encoding: 'utf-8',
+         timeout: 120000,
+         env: serverEnv(directory, env),
+     });
+     const saved = JSON.parse(await fs.readFile(path.join(directory, 'snapshots', `${name}.json`), 'utf-8'));
+     return { output: run.stdout + run.stderr, state: saved.state };
+ }
+
+ async function freePort() {
+     const server = net.createServer();
+     await new Promise(resolve => server.listen(0, resolve));
+     const { port } = server.address();
+     await new Promise(resolve => server.close(resolve));
+     return port;
+ }
+
+ // Boots the server in `directory` (on `state` when given, else on its initial_prompt.txt) and resolves
+ // once it listens, or with the exit code when it stops first. stop() shuts it down, which saves the world.
+ export async function startServer(directory, { state = null, env = {}, args = [] } = {}) {
+     if (state) {
+         await fs.writeFile(path.join(directory, 'world_state.json'), JSON.stringify({ schemaVersion: SCHEMA_VERSION, state: state }));
+     }
+     const port = await freePort();
+     const child = spawn(process.execPath, [SERVER, ...args], { cwd: directory, env: serverEnv(directory, { PORT: String(port), ...env }) });
+     let output = '';
+     const exited = new Promise(resolve => child.on('exit', code => resolve(code)));
+     const listening = await new Promise((resolve, reject) => {
+         const timer = setTimeout(() => { child.kill(); reject(new Error(`Server did not start:\n${output}`)); }, 60000);
+         const collect = (chunk) => {
+             output += chunk;
+             if (output.includes('Server listening')) { clearTimeout(timer); resolve(true); }
+         };
+         child.stdout.on('data', collect);
+         child.stderr.on('data', collect);
+         exited.then(() => { clearTimeout(timer); resolve(false); });
+     });
+     return {
+         url: `http://localhost:${port}`,
+         listening: listening,
+         exitCode: listening ? null : await exited,
+         output: () => output,
+         async stop() {
+             if (child.exitCode === null) child.kill('SIGTERM');
+             await exited;
+         },
+         readWorld: async () => JSON.parse(await fs.readFile(path.join(directory, 'world_state.json'), 'utf-8')).state,
+     };
+ }
@@ -0,0 +1,74 @@
+ // World script v2: $variables, multi-line JSON, INCLUDE, file:line errors and --stop-on-error.
+ import { test, before, after } from 'node:test';
+ import assert from 'node:assert/strict';
+ import fs from 'node:fs/promises';
+ import os from 'node:os';
+ import path from 'node:path';
+ import { startServer } from './world_harness.js';
+
+ let directory;
+
+ // Boots a fresh world from `files` ({ relative path: text }, with initial_prompt.txt as the entry point).
+ async function bootScript(files, args = []) {
+     const workDirectory = await fs.mkdtemp(path.join(directory, 'world-'));
+     for (const [file, text] of Object.entries(files)) {
+         await fs.mkdir(path.dirname(path.join(workDirectory, file)), { recursive: true });
+         await fs.writeFile(path.join(workDirectory, file), text);
+     }
+     const server = await startServer(workDirectory, { args: args });
+     await server.stop();
+     return { server: server, world: server.listening ? await server.readWorld() : null };
+ }
+
+ before(async () => {
+     directory = await fs.mkdtemp(path.join(os.tmpdir(), 'world-script-'));
+ });
+
+ after(async () => {
+     await fs.rm(directory, { recursive: true, force: true });
+ });
+
+ test('binds results to variables across multi-line statements and INCLUDEs', async () => {
+     const { world } = await bootScript({
+         'initial_prompt.txt': `# Two places and a guard
+ $square = EXECUTE TOOL name='create_location' args={"name": "Town Square", "description": "The middle."}
+ $well = EXECUTE TOOL name='create_location' args={
+     "name": "Old Well",
+     "description": "Deep and dark."
+ }
+ EXECUTE TOOL name='link_exit' args={"fromLocationId": $square, "direction": "north", "toLocationId": "$well"}
+ INCLUDE 'people/guards.txt'
+ `,
+         'people/guards.txt': `$bob = EXECUTE TOOL name='create_soul' args={"name": "Bob", "locationId": $square}
+ EXECUTE TOOL name='set_soul_behavior' args={"soulId": $bob, "behavior": "guard", "target": $well.data.locationId}
+ `,
+     });
+     assert.equal(world.locations.town_square.exits.north, 'old_well');
+     const bob = Object.values(world.souls).find(soul => soul.name === 'Bob');
+     assert.equal(bob.locationId, 'town_square');
+     assert.equal(bob.behavior, 'guard');
+     assert.equal(bob.behaviorTarget, 'old_well');
+ });
+
+ const brokenScript = {
+     'initial_prompt.txt': `EXECUTE TOOL name='create_location' args={"name": "Town Square", "description": "The middle."}
+ INCLUDE 'broken.txt'
+ EXECUTE TOOL name='create_location' args={"name": "Old Well", "description": "Deep."}
+ `,
+     'broken.txt': `
+ EXECUTE TOOL name='link_exit' args={"fromLocationId": $nowhere, "direction": "up", "toLocationId": "town_square"}
+ `,
+ };
+
+ test('reports errors as file:line and goes on with the next statement', async () => {
+     const { server, world } = await bootScript(brokenScript);
+     assert.match(server.output(), /World script error: broken\.txt:2: Unknown variable \$nowhere\./);
+     assert.ok(world.locations.old_well, 'the statement after the error did not run');
+ });
+
+ test('aborts startup on the first error with --stop-on-error', async () => {
+     const { server } = await bootScript(brokenScript, ['--stop-on-error']);
+     assert.equal(server.listening, false);
+     assert.equal(server.exitCode, 1);
+     assert.match(server.output(), /Initial prompt stopped on error: broken\.txt:2: Unknown variable \$nowhere\./);
+ });
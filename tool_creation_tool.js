@@ -2,12 +2,613 @@
  import { OllamaEmbeddings } from "@langchain/community/embeddings/ollama";
  import OpenAI from 'openai';
  import { v4 as uuidv4 } from 'uuid'; // Use UUID for unique IDs
+ import * as acorn from 'acorn';
+ import * as walk from 'acorn-walk';
+ import { Worker } from 'worker_threads';
+ import vm from 'vm';
+ import fs from 'fs/promises';
+ import path from 'path';
+ import crypto from 'crypto';
 
  const OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || "http://localhost:11434";
  const OLLAMA_MODEL = process.env.OLLAMA_MODEL || "qwen2.5-coder:7b-instruct-q8_0"; // Model for code generation
  const OLLAMA_EMBEDDING_MODEL = process.env.OLLAMA_EMBEDDING_MODEL || "nomic-embed-text";
+ const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1"; // Any OpenAI-compatible endpoint
+ const OPENAI_API_KEY = process.env.OPENAI_API_KEY || "";
+ const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
+ const OPENAI_EMBEDDING_MODEL = process.env.OPENAI_EMBEDDING_MODEL || "text-embedding-3-small";
+ const LLM_PROVIDER = process.env.LLM_PROVIDER || "ollama"; // ollama | openai | replay
+ const EMBEDDING_PROVIDER = process.env.EMBEDDING_PROVIDER || "ollama"; // ollama | openai | hash | replay
+ const LLM_FIXTURES_DIR = process.env.LLM_FIXTURES_DIR || "./fixtures/llm"; // Recorded responses for the replay providers
+ const LLM_RECORD = process.env.LLM_RECORD === '1'; // Record live responses into LLM_FIXTURES_DIR
+ const HASH_EMBEDDING_DIMENSIONS = 256;
  const CHROMA_URL = process.env.CHROMA_URL || "http://localhost:8000";
+ const TOOL_STORE = process.env.TOOL_STORE || "chroma"; // chroma | file
+ const TOOL_STORE_PATH = process.env.TOOL_STORE_PATH || "./data/tool_store"; // Directory for the file store
  const TOOL_COLLECTION_NAME = "llm_tools";
+ const TOOL_VERSIONS_COLLECTION_NAME = "llm_tool_versions"; // Every revision of every tool, ids like "move_soul@v2"
+ const TOOL_EXECUTION_TIMEOUT_MS = parseInt(process.env.TOOL_EXECUTION_TIMEOUT_MS || "5000", 10); // Wall-clock limit per tool call
+ const TOOL_EXECUTION_MEMORY_MB = parseInt(process.env.TOOL_EXECUTION_MEMORY_MB || "64", 10); // Heap limit per tool call
+ const WORLD_CALL_BUFFER_BYTES = 1024 * 1024; // Max size of a single JSON response from the host world API
+ const SANDBOX_TIMER_SLACK_MS = 100; // The host stops a worker this long after its own timeout, as a backstop
+ const TOOL_GENERATION_MAX_ATTEMPTS = parseInt(process.env.TOOL_GENERATION_MAX_ATTEMPTS || "3", 10); // LLM attempts before giving up on a tool
+ const TOOL_ARGS_ADDITIONAL_PROPERTIES = process.env.TOOL_ARGS_ADDITIONAL_PROPERTIES || "strip"; // allow | strip | reject undeclared arguments
+ // Who vouches for a tool's code: 'internal' (built into the library), 'approved' (reviewed by an
+ // operator), 'pending' (generated, not reviewed yet) or 'quarantined' (rejected). See Tool Trust.
+ const TOOL_TRUST_LEVELS = ['internal', 'approved', 'pending', 'quarantined'];
+ const TOOL_RESOLUTION_SIMILARITY_THRESHOLD = parseFloat(process.env.TOOL_RESOLUTION_SIMILARITY_THRESHOLD || "0.8"); // Lenient calls: reuse the closest tool at or above this cosine similarity
+ const TOOL_INVOCATION_MAX_DEPTH = parseInt(process.env.TOOL_INVOCATION_MAX_DEPTH || "3", 10); // How deeply tools may nest invokeTool calls
+ const TOOL_INVOCATION_MAX_CALLS = parseInt(process.env.TOOL_INVOCATION_MAX_CALLS || "10", 10); // invokeTool calls allowed per top-level tool call
+ const CALLABLE_TOOLS_IN_PROMPT = 5; // Registry tools listed in a generation prompt for invokeTool
+ const TOOL_JOURNAL_PATH = process.env.TOOL_JOURNAL_PATH ?? "./data/tool_journal.jsonl"; // Every tool call, one JSON line each; empty disables
+ const FINE_TUNING_SYSTEM_PROMPT = "You complete tasks by calling the available tools."; // Default system message of exported call examples
+
+ // --- Sandbox Worker ---
+ // Body of the worker thread that runs a single tool call. It is serialized with toString() and
+ // started with `eval: true`, so it must not reference anything from this module's scope.
+ // The tool code is evaluated inside a fresh vm context: it only sees the JavaScript builtins,
+ // a console shim and the `world` object (no process, require, import(), eval or new Function).
+ // The host terminates the worker on timeout, and resourceLimits cap its memory.
+ //
+ // `world` methods are synchronous from the tool's point of view: the worker posts a 'call'
+ // message and blocks on Atomics.wait until the host writes the JSON response into the shared
+ // buffer (header: [state, byteLength], then UTF-8 payload). Each request carries a new ID, which
+ // the worker stores in `state` while it waits; the host answers by swapping it for its negative,
+ // and drops an answer whose request the worker no longer waits for (see answerSandbox).
+ // The worker never waits beyond `deadline`, the Date.now() by which the whole call must end.
+ //
+ // With a numeric `seed`, Math.random inside the context is a seeded generator (mulberry32), so
+ // a tool that rolls dice does the same thing every time it is replayed with the same seed. With a
+ // numeric `now`, `new Date()` and `Date.now()` return that time instead of the clock's.
+ function sandboxWorkerMain() {
+     'use strict';
+     const { parentPort, workerData } = require('worker_threads');
+     const vm = require('vm');
+
+     const { toolName, toolCode, argsJson, timeoutMs, deadline, worldMethods, sharedBuffer, seed, now } = workerData;
+     const header = new Int32Array(sharedBuffer, 0, 2);
+     const payload = new Uint8Array(sharedBuffer, 8);
+     const decoder = new TextDecoder();
+     let lastRequestId = 0;
+
+     // Posts a request to the host and blocks until it answers. Returns a JSON string { value } or
+     // { error }; never throws into the tool.
+     function requestHost(message, label) {
+         try {
+             const id = ++lastRequestId;
+             Atomics.store(header, 0, id);
+             parentPort.postMessage({ ...message, id: id });
+             while (Atomics.load(header, 0) === id) {
+                 const remaining = deadline - Date.now();
+                 if (remaining <= 0 || Atomics.wait(header, 0, id, remaining) === 'timed-out') {
+                     return JSON.stringify({ error: `${label} did not respond in time.` });
+                 }
+             }
+             return decoder.decode(payload.slice(0, header[1]));
+         } catch (e) {
+             return JSON.stringify({ error: `${label} failed in the sandbox.` });
+         }
+     }
+
+     function callHost(method, callArgsJson) {
+         return requestHost({ type: 'call', method: String(method), argsJson: String(callArgsJson) }, `world.${method}`);
+     }
+
+     function invokeHost(name, callArgsJson) {
+         return requestHost({ type: 'invoke', toolName: String(name), argsJson: String(callArgsJson) }, `invokeTool('${name}')`);
+     }
+
+     function bridge(level, text) {
+         try {
+             parentPort.postMessage({ type: 'log', level: String(level), text: String(text) });
+         } catch (e) {
+             // Logging must never throw back into the tool
+         }
+     }
+
+     try {
+         // 'afterEvaluate' runs the context's promise jobs right after each script, inside its timeout,
+         // so an async tool has finished (or is stuck for good) when runInContext returns.
+         const context = vm.createContext(Object.create(null), {
+             name: `tool:${toolName}`,
+             codeGeneration: { strings: false, wasm: false },
+             microtaskMode: 'afterEvaluate',
+         });
+
+         // Built inside the context so the tool never holds a host-realm object.
+         vm.runInContext(`(function (bridge) {
+             'use strict';
+             const format = (args) => args.map((a) => {
+                 if (typeof a === 'string') return a;
+                 try { return JSON.stringify(a); } catch (e) { return String(a); }
+             }).join(' ');
+             globalThis.console = Object.freeze({
+                 log: (...a) => { bridge('log', format(a)); },
+                 info: (...a) => { bridge('info', format(a)); },
+                 debug: (...a) => { bridge('debug', format(a)); },
+                 warn: (...a) => { bridge('warn', format(a)); },
+                 error: (...a) => { bridge('error', format(a)); },
+             });
+         })`, context)(bridge);
+
+         if (typeof seed === 'number') {
+             vm.runInContext(`(function (seed) {
+                 'use strict';
+                 let state = seed >>> 0;
+                 Math.random = function random() {
+                     state = (state + 0x6D2B79F5) >>> 0;
+                     let t = state;
+                     t = Math.imul(t ^ (t >>> 15), t | 1);
+                     t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+                     return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+                 };
+             })`, context)(seed);
+         }
+
+         if (typeof now === 'number') {
+             vm.runInContext(`(function (now) {
+                 'use strict';
+                 const RealDate = Date;
+                 function PinnedDate(...args) {
+                     if (!new.target) return new RealDate(now).toString();
+                     return args.length === 0 ? new RealDate(now) : new RealDate(...args);
+                 }
+                 PinnedDate.prototype = RealDate.prototype;
+                 PinnedDate.now = () => now;
+                 PinnedDate.parse = RealDate.parse;
+                 PinnedDate.UTC = RealDate.UTC;
+                 globalThis.Date = PinnedDate;
+             })`, context)(now);
+         }
+
+         context.__toolWorld = vm.runInContext(`(function (callHost, names) {
+             'use strict';
+             const world = {};
+             for (const name of names.split(',').filter(Boolean)) {
+                 world[name] = (...args) => {
+                     const response = JSON.parse(callHost(name, JSON.stringify(args)));
+                     if (response.error) throw new Error(response.error);
+                     return response.value;
+                 };
+             }
+             return Object.freeze(world);
+         })`, context)(callHost, worldMethods.join(','));
+
+         // invokeTool(name, args) runs another registry tool on the host and returns its result object.
+         vm.runInContext(`(function (invokeHost) {
+             'use strict';
+             globalThis.invokeTool = function invokeTool(name, args) {
+                 const response = JSON.parse(invokeHost(typeof name === 'string' ? name : '', JSON.stringify(args === undefined ? {} : args)));
+                 if (response.error) throw new Error(response.error);
+                 return response.value;
+             };
+         })`, context)(invokeHost);
+
+         context.__toolArgsJson = argsJson;
+         const script = new vm.Script(`'use strict';
+             (function (world) {
+                 ${toolCode}
+                 if (typeof ${toolName} !== 'function') {
+                     throw new Error('Tool code did not define function "${toolName}".');
+                 }
+                 return ${toolName}(JSON.parse(__toolArgsJson), world);
+             })(__toolWorld)`, { filename: `${toolName}.js` });
+
+         let result = script.runInContext(context, { timeout: timeoutMs });
+         if (result !== null && typeof result === 'object' && typeof result.then === 'function') {
+             // Async tool: nothing in the sandbox resolves later (no timers, host calls are synchronous),
+             // so a promise that is still pending after its jobs ran never settles. Settling it only
+             // gets what is left of the call's time.
+             const remaining = deadline - Date.now();
+             if (remaining <= 0) {
+                 parentPort.postMessage({ type: 'timeout', message: 'No time left to settle the returned promise.' });
+                 return;
+             }
+             context.__toolPromise = result;
+             const outcome = new vm.Script(`'use strict';
+                 (function () {
+                     const outcome = { settled: false };
+                     __toolPromise.then(
+                         (value) => { outcome.settled = true; outcome.value = value; },
+                         (error) => { outcome.settled = true; outcome.error = error && typeof error.message === 'string' ? error.message : String(error); });
+                     return outcome;
+                 })()`, { filename: `${toolName}.js` }).runInContext(context, { timeout: remaining });
+             if (!outcome.settled) {
+                 throw new Error('The returned promise never settles.');
+             }
+             if (outcome.error !== undefined) {
+                 throw new Error(`The returned promise was rejected: ${outcome.error}`);
+             }
+             result = outcome.value;
+         }
+         const returnType = result === null ? 'null' : Array.isArray(result) ? 'array' : typeof result;
+         if (returnType === 'object') {
+             // Structured result: copied out of the context as plain JSON data
+             parentPort.postMessage({ type: 'result', value: JSON.parse(JSON.stringify(result)), returnType: returnType });
+             return;
+         }
+         if (returnType !== 'string') {
+             bridge('warn', `Tool ${toolName} did not return a string (got ${returnType}). Converting result.`);
+         }
+         parentPort.postMessage({ type: 'result', value: String(result), returnType: returnType });
+     } catch (error) {
+         const message = error && typeof error.message === 'string' ? error.message : String(error);
+         const timedOut = error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+         parentPort.postMessage({ type: timedOut ? 'timeout' : 'error', message: message });
+     }
+ }
+
+ const SANDBOX_WORKER_SOURCE = `(${sandboxWorkerMain.toString()})();`;
+
+ // --- Vector Stores ---
+ // The manager only talks to collections with this (Chroma-shaped) interface:
+ //   add({ ids, embeddings, metadatas, documents })      - existing ids are left untouched
+ //   upsert({ ids, embeddings, metadatas, documents })
+ //   update({ ids, embeddings?, metadatas?, documents? }) - unknown ids are ignored
+ //   get({ ids?, where?, limit?, include? })              -> { ids, metadatas, documents, embeddings }
+ //   query({ queryEmbeddings, nResults?, where?, include? })
+ //                                                       -> { ids: [[]], metadatas: [[]], documents: [[]], embeddings: [[]], distances: [[]] }
+ //   delete({ ids?, where? })
+ // A vector store hands them out by name via getOrCreateCollection(name).
+
+ // Adapter for a running ChromaDB server. Chroma collections already implement the interface.
+ class ChromaVectorStore {
+     constructor({ url = CHROMA_URL, embeddingFunction } = {}) {
+         this.url = url;
+         this.embeddingFunction = embeddingFunction;
+         this.client = null; // Created on first use, so other backends never need a Chroma server
+     }
+
+     async getOrCreateCollection(name) {
+         if (!this.client) {
+             this.client = new ChromaClient({ path: this.url });
+         }
+         return this.client.getOrCreateCollection({
+             name: name,
+             embeddingFunction: this.embeddingFunction // Only used if a caller omits embeddings
+         });
+     }
+ }
+
+ // Dependency-free store for local development and tests: one JSON file per collection,
+ // cosine similarity computed in process (distance = 1 - cosine similarity).
+ class FileVectorStore {
+     constructor({ directory = TOOL_STORE_PATH } = {}) {
+         this.directory = directory;
+         this.collections = new Map();
+     }
+
+     async getOrCreateCollection(name) {
+         if (!this.collections.has(name)) {
+             const collection = new FileCollection(name, path.join(this.directory, `${name}.json`));
+             await collection.load();
+             this.collections.set(name, collection);
+         }
+         return this.collections.get(name);
+     }
+ }
+
+ class FileCollection {
+     constructor(name, filePath) {
+         this.name = name;
+         this.filePath = filePath;
+         this.records = new Map(); // id -> { embedding, metadata, document }
+         this.writeQueue = Promise.resolve();
+     }
+
+     async load() {
+         try {
+             const content = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+             for (const [id, record] of Object.entries(content.records || {})) {
+                 this.records.set(id, record);
+             }
+         } catch (error) {
+             if (error.code !== 'ENOENT') throw error;
+         }
+     }
+
+     // Writes are serialized and atomic (temp file + rename), so a crash never leaves half a file.
+     persist() {
+         const snapshot = JSON.stringify({ name: this.name, records: Object.fromEntries(this.records) });
+         this.writeQueue = this.writeQueue.then(async () => {
+             await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+             const tempPath = `${this.filePath}.tmp`;
+             await fs.writeFile(tempPath, snapshot);
+             await fs.rename(tempPath, this.filePath);
+         });
+         return this.writeQueue;
+     }
+
+     async add({ ids, embeddings = [], metadatas = [], documents = [] }) {
+         ids.forEach((id, i) => {
+             if (this.records.has(id)) return;
+             this.records.set(id, { embedding: embeddings[i] || null, metadata: metadatas[i] || {}, document: documents[i] ?? null });
+         });
+         await this.persist();
+     }
+
+     async upsert({ ids, embeddings = [], metadatas = [], documents = [] }) {
+         ids.forEach((id, i) => {
+             this.records.set(id, { embedding: embeddings[i] || null, metadata: metadatas[i] || {}, document: documents[i] ?? null });
+         });
+         await this.persist();
+     }
+
+     async update({ ids, embeddings, metadatas, documents }) {
+         ids.forEach((id, i) => {
+             const record = this.records.get(id);
+             if (!record) return;
+             if (embeddings?.[i]) record.embedding = embeddings[i];
+             if (metadatas?.[i]) record.metadata = metadatas[i];
+             if (documents?.[i] !== undefined) record.document = documents[i];
+         });
+         await this.persist();
+     }
+
+     async delete({ ids, where } = {}) {
+         for (const [id, record] of [...this.records.entries()]) {
+             if ((!ids || ids.includes(id)) && matchesWhere(record.metadata, where)) {
+                 this.records.delete(id);
+             }
+         }
+         await this.persist();
+     }
+
+     async get({ ids, where, limit, include = ['metadatas', 'documents'] } = {}) {
+         let entries = ids
+             ? ids.filter(id => this.records.has(id)).map(id => [id, this.records.get(id)])
+             : [...this.records.entries()];
+         entries = entries.filter(([, record]) => matchesWhere(record.metadata, where));
+         if (limit) entries = entries.slice(0, limit);
+         return shapeResults(entries, include);
+     }
+
+     async query({ queryEmbeddings, nResults = 10, where, include = ['metadatas', 'documents', 'distances'] }) {
+         const results = { ids: [], metadatas: [], documents: [], embeddings: [], distances: [] };
+         for (const queryEmbedding of queryEmbeddings) {
+             const ranked = [...this.records.entries()]
+                 .filter(([, record]) => record.embedding && matchesWhere(record.metadata, where))
+                 .map(([id, record]) => ({ id, record, distance: 1 - cosineSimilarity(queryEmbedding, record.embedding) }))
+                 .sort((a, b) => a.distance - b.distance)
+                 .slice(0, nResults);
+             const shaped = shapeResults(ranked.map(r => [r.id, r.record]), include);
+             results.ids.push(shaped.ids);
+             results.metadatas.push(shaped.metadatas);
+             results.documents.push(shaped.documents);
+             results.embeddings.push(shaped.embeddings);
+             results.distances.push(include.includes('distances') ? ranked.map(r => r.distance) : null);
+         }
+         return results;
+     }
+ }
+
+ function shapeResults(entries, include) {
+     return {
+         ids: entries.map(([id]) => id),
+         metadatas: include.includes('metadatas') ? entries.map(([, r]) => r.metadata) : null,
+         documents: include.includes('documents') ? entries.map(([, r]) => r.document) : null,
+         embeddings: include.includes('embeddings') ? entries.map(([, r]) => r.embedding) : null,
+     };
+ }
+
+ // Supports the subset of Chroma's where filters the manager uses:
+ // { key: value }, { key: { $eq | $ne | $in | $nin: ... } } and { $and: [...] } / { $or: [...] }.
+ function matchesWhere(metadata, where) {
+     if (!where) return true;
+     return Object.entries(where).every(([key, condition]) => {
+         if (key === '$and') return condition.every(sub => matchesWhere(metadata, sub));
+         if (key === '$or') return condition.some(sub => matchesWhere(metadata, sub));
+         const value = metadata?.[key];
+         if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+             if ('$eq' in condition) return value === condition.$eq;
+             if ('$ne' in condition) return value !== condition.$ne;
+             if ('$in' in condition) return condition.$in.includes(value);
+             if ('$nin' in condition) return !condition.$nin.includes(value);
+             return false;
+         }
+         return value === condition;
+     });
+ }
+
+ function cosineSimilarity(a, b) {
+     let dot = 0, normA = 0, normB = 0;
+     for (let i = 0; i < Math.min(a.length, b.length); i++) {
+         dot += a[i] * b[i];
+         normA += a[i] * a[i];
+         normB += b[i] * b[i];
+     }
+     return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+ }
+
+ // Picks the backend from configuration: TOOL_STORE=chroma (default) or TOOL_STORE=file.
+ function createVectorStore({ type = TOOL_STORE, embeddingFunction } = {}) {
+     switch (type) {
+         case 'chroma': return new ChromaVectorStore({ url: CHROMA_URL, embeddingFunction });
+         case 'file': return new FileVectorStore({ directory: TOOL_STORE_PATH });
+         default: throw new Error(`Unknown TOOL_STORE '${type}'. Use 'chroma' or 'file'.`);
+     }
+ }
+
+ // --- LLM and Embedding Providers ---
+ // Chat providers expose `model` and complete({ messages, tools?, temperature? }), which resolves
+ // with an OpenAI-style assistant message ({ role, content, tool_calls? }).
+ // Embedding providers expose embedQuery(text) and embedDocuments(texts), resolving with vectors.
+
+ class OpenAICompatibleChatProvider {
+     constructor({ baseURL = OPENAI_BASE_URL, apiKey = OPENAI_API_KEY, model = OPENAI_MODEL } = {}) {
+         this.client = new OpenAI({ baseURL: baseURL, apiKey: apiKey });
+         this.model = model;
+     }
+
+     async complete({ messages, tools, temperature }) {
+         const request = { model: this.model, messages: messages, temperature: temperature };
+         if (tools && tools.length > 0) request.tools = tools;
+         const response = await this.client.chat.completions.create(request);
+         return response.choices[0]?.message || null;
+     }
+ }
+
+ // Ollama serves the OpenAI chat API under /v1.
+ class OllamaChatProvider extends OpenAICompatibleChatProvider {
+     constructor({ baseUrl = OLLAMA_BASE_URL, model = OLLAMA_MODEL } = {}) {
+         super({ baseURL: `${baseUrl}/v1`, apiKey: 'ollama', model: model }); // Key is required by the openai package, but not used by Ollama
+     }
+ }
+
+ class OllamaEmbeddingProvider {
+     constructor({ baseUrl = OLLAMA_BASE_URL, model = OLLAMA_EMBEDDING_MODEL } = {}) {
+         // Use Langchain's OllamaEmbeddings as it's specifically designed for this
+         this.embeddings = new OllamaEmbeddings({ model: model, baseUrl: baseUrl });
+         this.model = model;
+     }
+
+     embedQuery(text) {
+         return this.embeddings.embedQuery(text);
+     }
+
+     embedDocuments(texts) {
+         return this.embeddings.embedDocuments(texts);
+     }
+ }
+
+ class OpenAICompatibleEmbeddingProvider {
+     constructor({ baseURL = OPENAI_BASE_URL, apiKey = OPENAI_API_KEY, model = OPENAI_EMBEDDING_MODEL } = {}) {
+         this.client = new OpenAI({ baseURL: baseURL, apiKey: apiKey });
+         this.model = model;
+     }
+
+     async embedQuery(text) {
+         return (await this.embedDocuments([text]))[0];
+     }
+
+     async embedDocuments(texts) {
+         const response = await this.client.embeddings.create({ model: this.model, input: texts });
+         return response.data.map(item => item.embedding);
+     }
+ }
+
+ // Offline embeddings: words are hashed into a fixed number of signed buckets, so texts that
+ // share words end up close. Deterministic across runs and machines, no model needed.
+ class HashEmbeddingProvider {
+     constructor({ dimensions = HASH_EMBEDDING_DIMENSIONS } = {}) {
+         this.dimensions = dimensions;
+         this.model = `hash-${dimensions}`;
+     }
+
+     async embedQuery(text) {
+         const vector = new Array(this.dimensions).fill(0);
+         const words = String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+         for (const word of words) {
+             const digest = crypto.createHash('sha256').update(word).digest();
+             vector[digest.readUInt32BE(0) % this.dimensions] += (digest[4] & 1) ? 1 : -1;
+         }
+         const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+         return norm ? vector.map(x => x / norm) : vector;
+     }
+
+     async embedDocuments(texts) {
+         return Promise.all(texts.map(text => this.embedQuery(text)));
+     }
+ }
+
+ // Fixture files are keyed by a hash of the request (model names are left out, so fixtures
+ // recorded with one model replay under any configuration).
+ function fixtureKey(request) {
+     return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 32);
+ }
+
+ async function readFixture(filePath) {
+     try {
+         return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+     } catch (error) {
+         if (error.code === 'ENOENT') return null;
+         throw error;
+     }
+ }
+
+ async function writeFixture(filePath, content) {
+     await fs.mkdir(path.dirname(filePath), { recursive: true });
+     await fs.writeFile(filePath, JSON.stringify(content, null, 2));
+ }
+
+ // Replays recorded chat responses from `${fixturesDir}/chat/<hash>.json`. With a `live`
+ // provider, requests without a fixture are forwarded to it and the response is recorded.
+ class ReplayChatProvider {
+     constructor({ fixturesDir = LLM_FIXTURES_DIR, live = null } = {}) {
+         this.fixturesDir = fixturesDir;
+         this.live = live;
+         this.model = live ? live.model : 'replay';
+     }
+
+     async complete({ messages, tools, temperature }) {
+         const request = { messages: messages, tools: tools || [], temperature: temperature ?? null };
+         const key = fixtureKey(request);
+         const filePath = path.join(this.fixturesDir, 'chat', `${key}.json`);
+         const fixture = await readFixture(filePath);
+         if (fixture) return fixture.message;
+         if (!this.live) {
+             throw new Error(`No recorded chat response ${key} in ${this.fixturesDir}. Run once with LLM_RECORD=1 and a live model to record it.`);
+         }
+         const message = await this.live.complete({ messages, tools, temperature });
+         await writeFixture(filePath, { model: this.live.model, request: request, message: message });
+         return message;
+     }
+ }
+
+ // Replays recorded embeddings from `${fixturesDir}/embeddings/<hash>.json`, recording misses
+ // through `live` when one is given.
+ class ReplayEmbeddingProvider {
+     constructor({ fixturesDir = LLM_FIXTURES_DIR, live = null } = {}) {
+         this.fixturesDir = fixturesDir;
+         this.live = live;
+         this.model = live ? live.model : 'replay';
+     }
+
+     async embedQuery(text) {
+         const key = fixtureKey({ text: text });
+         const filePath = path.join(this.fixturesDir, 'embeddings', `${key}.json`);
+         const fixture = await readFixture(filePath);
+         if (fixture) return fixture.embedding;
+         if (!this.live) {
+             throw new Error(`No recorded embedding ${key} in ${this.fixturesDir}. Run once with LLM_RECORD=1 and a live model to record it.`);
+         }
+         const embedding = await this.live.embedQuery(text);
+         await writeFixture(filePath, { model: this.live.model, text: text, embedding: embedding });
+         return embedding;
+     }
+
+     async embedDocuments(texts) {
+         const embeddings = [];
+         for (const text of texts) embeddings.push(await this.embedQuery(text));
+         return embeddings;
+     }
+ }
+
+ // Picks the chat provider from configuration: LLM_PROVIDER=ollama (default), openai or replay.
+ // LLM_RECORD=1 wraps a live provider so that every response is also written as a fixture.
+ function createChatProvider({ type = LLM_PROVIDER, record = LLM_RECORD, fixturesDir = LLM_FIXTURES_DIR } = {}) {
+     let provider;
+     switch (type) {
+         case 'ollama': provider = new OllamaChatProvider(); break;
+         case 'openai': provider = new OpenAICompatibleChatProvider(); break;
+         case 'replay': return new ReplayChatProvider({ fixturesDir });
+         default: throw new Error(`Unknown LLM_PROVIDER '${type}'. Use 'ollama', 'openai' or 'replay'.`);
+     }
+     return record ? new ReplayChatProvider({ fixturesDir, live: provider }) : provider;
+ }
+
+ // Picks the embedding provider: EMBEDDING_PROVIDER=ollama (default), openai, hash or replay.
+ function createEmbeddingProvider({ type = EMBEDDING_PROVIDER, record = LLM_RECORD, fixturesDir = LLM_FIXTURES_DIR } = {}) {
+     let provider;
+     switch (type) {
+         case 'ollama': provider = new OllamaEmbeddingProvider(); break;
+         case 'openai': provider = new OpenAICompatibleEmbeddingProvider(); break;
+         case 'hash': return new HashEmbeddingProvider(); // Already deterministic, nothing to record
+         case 'replay': return new ReplayEmbeddingProvider({ fixturesDir });
+         default: throw new Error(`Unknown EMBEDDING_PROVIDER '${type}'. Use 'ollama', 'openai', 'hash' or 'replay'.`);
+     }
+     return record ? new ReplayEmbeddingProvider({ fixturesDir, live: provider }) : provider;
+ }
 
  // --- Tool Definition for the Tool Creator ---
  const TOOL_CREATION_TOOL_DEFINITION = {
@@ -31,10 +632,11 @@
                      description: 'A JSON schema object describing the parameters the new function will accept.',
                      properties: {
                          type: { type: 'string', enum: ['object'] },
-                         properties: { type: 'object' },
+                         properties: { type: 'object', additionalProperties: true },
                          required: { type: 'array', items: { type: 'string' } }
                      },
-                     required: ['type', 'properties']
+                     required: ['type', 'properties'],
+                     additionalProperties: true // Other JSON Schema keywords are fine
                  }
              },
              required: ['new_tool_name', 'new_tool_description', 'new_tool_parameters'],
@@ -55,7 +657,550 @@
      },
  };
 
- function generateToolCreationPrompt(name, description, parameters) {
+ // --- Tool Results ---
+ // A tool may return a plain string (the original contract; "Error: ..." means failure) or a
+ // structured result object:
+ //   { status: 'success' | 'warning' | 'error', message, created: [ids], affected: [ids], data }
+ // normalizeToolResult turns either form into the structured shape, formatToolResult turns a
+ // structured result back into the classic string for callers that only want text.
+ const TOOL_RESULT_STATUSES = ['success', 'warning', 'error'];
+
+ function normalizeToolResult(raw) {
+     if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+         const message = typeof raw.message === 'string' ? raw.message : '';
+         const status = TOOL_RESULT_STATUSES.includes(raw.status) ? raw.status
+             : message.startsWith('Error:') ? 'error'
+             : message.startsWith('Warning:') ? 'warning'
+             : 'success';
+         return {
+             status: status,
+             message: message || (status === 'error' ? 'Error: The tool failed without a message.' : 'Done.'),
+             created: Array.isArray(raw.created) ? raw.created.map(String) : [],
+             affected: Array.isArray(raw.affected) ? raw.affected.map(String) : [],
+             data: raw.data === undefined ? null : raw.data,
+         };
+     }
+
+     const message = typeof raw === 'string' ? raw : String(raw);
+     return {
+         status: message.startsWith('Error:') ? 'error' : message.startsWith('Warning:') ? 'warning' : 'success',
+         message: message,
+         created: [],
+         affected: [],
+         data: null,
+     };
+ }
+
+ function formatToolResult(result) {
+     const normalized = normalizeToolResult(result);
+     if (normalized.status === 'error' && !normalized.message.startsWith('Error:')) return `Error: ${normalized.message}`;
+     if (normalized.status === 'warning' && !normalized.message.startsWith('Warning:')) return `Warning: ${normalized.message}`;
+     return normalized.message;
+ }
+
+ // --- Argument Validation ---
+ // Validates `value` against a JSON Schema (type, enum, const, default, minimum/maximum,
+ // exclusiveMinimum/exclusiveMaximum, minLength/maxLength, pattern, items, minItems/maxItems,
+ // properties, required, additionalProperties) and returns { valid, value, errors }.
+ // The returned value is a copy with defaults applied, strings coerced to the declared type
+ // (clients and LLMs often send "3" or "true") and undeclared properties handled per policy.
+ // options.coerce: default true
+ // options.additionalProperties: 'allow' | 'strip' | 'reject' - used where the schema itself
+ //   does not set additionalProperties
+ function validateArgs(schema, value, options = {}) {
+     const settings = { coerce: true, additionalProperties: 'allow', ...options };
+     const errors = [];
+     const validated = validateValue(schema, value, '', settings, errors);
+     return { valid: errors.length === 0, value: validated, errors: errors };
+ }
+
+ function schemaTypeMatches(value, type) {
+     switch (type) {
+         case 'string': return typeof value === 'string';
+         case 'number': return typeof value === 'number' && Number.isFinite(value);
+         case 'integer': return Number.isInteger(value);
+         case 'boolean': return typeof value === 'boolean';
+         case 'null': return value === null;
+         case 'array': return Array.isArray(value);
+         case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+         default: return true; // Unknown types are not enforced
+     }
+ }
+
+ // Returns the coerced value, or undefined if `value` cannot safely become `type`.
+ function coerceToSchemaType(value, type) {
+     if (typeof value === 'number' || typeof value === 'boolean') {
+         return type === 'string' ? String(value) : undefined;
+     }
+     if (typeof value !== 'string') return undefined;
+     const text = value.trim();
+     switch (type) {
+         case 'integer':
+             return /^[-+]?\d+$/.test(text) ? Number(text) : undefined;
+         case 'number':
+             return text !== '' && Number.isFinite(Number(text)) ? Number(text) : undefined;
+         case 'boolean':
+             return text === 'true' ? true : text === 'false' ? false : undefined;
+         case 'null':
+             return text === 'null' ? null : undefined;
+         case 'object':
+         case 'array':
+             try {
+                 const parsed = JSON.parse(text);
+                 return schemaTypeMatches(parsed, type) ? parsed : undefined;
+             } catch (e) {
+                 return undefined;
+             }
+         default:
+             return undefined;
+     }
+ }
+
+ function describeActualValue(value) {
+     if (value === undefined) return 'nothing';
+     const text = JSON.stringify(value);
+     return text && text.length > 40 ? `${text.slice(0, 37)}...` : text;
+ }
+
+ function validateValue(schema, value, path, settings, errors) {
+     if (!schema || typeof schema !== 'object') return value;
+     const label = path || 'arguments';
+
+     if (schema.type) {
+         const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+         if (!types.some(type => schemaTypeMatches(value, type))) {
+             const coerced = settings.coerce
+                 ? types.map(type => coerceToSchemaType(value, type)).find((candidate, i) => candidate !== undefined && schemaTypeMatches(candidate, types[i]))
+                 : undefined;
+             if (coerced === undefined) {
+                 errors.push(`'${label}' must be ${types.map(t => (/^[aeiou]/.test(t) ? 'an ' : 'a ') + t).join(' or ')} (got ${describeActualValue(value)})`);
+                 return value;
+             }
+             value = coerced;
+         }
+     }
+
+     if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+         errors.push(`'${label}' must be ${JSON.stringify(schema.const)} (got ${describeActualValue(value)})`);
+     }
+     if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+         errors.push(`'${label}' must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')} (got ${describeActualValue(value)})`);
+     }
+
+     if (typeof value === 'number') {
+         if (typeof schema.minimum === 'number' && value < schema.minimum) errors.push(`'${label}' must be at least ${schema.minimum} (got ${value})`);
+         if (typeof schema.maximum === 'number' && value > schema.maximum) errors.push(`'${label}' must be at most ${schema.maximum} (got ${value})`);
+         if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) errors.push(`'${label}' must be greater than ${schema.exclusiveMinimum} (got ${value})`);
+         if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) errors.push(`'${label}' must be less than ${schema.exclusiveMaximum} (got ${value})`);
+     }
+
+     if (typeof value === 'string') {
+         if (typeof schema.minLength === 'number' && value.length < schema.minLength) errors.push(`'${label}' must be at least ${schema.minLength} characters long`);
+         if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) errors.push(`'${label}' must be at most ${schema.maxLength} characters long`);
+         if (typeof schema.pattern === 'string') {
+             try {
+                 if (!new RegExp(schema.pattern).test(value)) errors.push(`'${label}' must match the pattern ${schema.pattern}`);
+             } catch (e) {
+                 // An invalid pattern in a stored schema is not the caller's fault
+             }
+         }
+     }
+
+     if (Array.isArray(value)) {
+         if (typeof schema.minItems === 'number' && value.length < schema.minItems) errors.push(`'${label}' must have at least ${schema.minItems} items`);
+         if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) errors.push(`'${label}' must have at most ${schema.maxItems} items`);
+         if (schema.items && typeof schema.items === 'object') {
+             value = value.map((item, i) => validateValue(schema.items, item, `${label}[${i}]`, settings, errors));
+         }
+     }
+
+     if (schemaTypeMatches(value, 'object') && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+         const properties = schema.properties || {};
+         const required = schema.required || [];
+         const prefix = path ? `${path}.` : '';
+         const validated = {};
+
+         for (const [key, propertySchema] of Object.entries(properties)) {
+             let propertyValue = value[key];
+             if (propertyValue === undefined && propertySchema && propertySchema.default !== undefined) {
+                 propertyValue = JSON.parse(JSON.stringify(propertySchema.default));
+             }
+             if (propertyValue === undefined || (propertyValue === null && required.includes(key))) continue; // Reported below if required
+             validated[key] = validateValue(propertySchema, propertyValue, `${prefix}${key}`, settings, errors);
+         }
+         for (const key of required) {
+             if (validated[key] === undefined && (value[key] === undefined || value[key] === null)) {
+                 errors.push(`'${prefix}${key}' is required`);
+             }
+         }
+
+         const policy = schema.additionalProperties === false ? 'reject'
+             : schema.additionalProperties === true ? 'allow'
+             : typeof schema.additionalProperties === 'object' ? 'schema'
+             : settings.additionalProperties;
+         for (const key of Object.keys(value)) {
+             if (Object.prototype.hasOwnProperty.call(properties, key)) continue;
+             if (policy === 'allow') validated[key] = value[key];
+             else if (policy === 'schema') validated[key] = validateValue(schema.additionalProperties, value[key], `${prefix}${key}`, settings, errors);
+             else if (policy === 'reject') errors.push(`'${prefix}${key}' is not an allowed property`);
+             // 'strip': silently dropped
+         }
+         value = validated;
+     }
+
+     return value;
+ }
+
+ function formatValidationErrors(toolName, errors) {
+     return `Error: Invalid arguments for tool ${toolName}: ${errors.join('; ')}.`;
+ }
+
+ // Builds plausible arguments from a JSON schema, used to dry-run freshly generated tools.
+ function synthesizeSampleArgs(schema, key = 'value') {
+     if (!schema || typeof schema !== 'object') return `sample_${key}`;
+     if (schema.default !== undefined) return schema.default;
+     if (Array.isArray(schema.enum) && schema.enum.length > 0) return schema.enum[0];
+
+     switch (schema.type) {
+         case 'object': {
+             const sample = {};
+             for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+                 sample[name] = synthesizeSampleArgs(propertySchema, name);
+             }
+             return sample;
+         }
+         case 'array':
+             return schema.items ? [synthesizeSampleArgs(schema.items, key)] : [];
+         case 'integer':
+             return Math.ceil(schema.minimum ?? 1);
+         case 'number':
+             return schema.minimum ?? 1;
+         case 'boolean':
+             return true;
+         case 'string':
+         default:
+             return `sample_${key}`;
+     }
+ }
+
+ // --- Tool Resolution ---
+ // Helpers for callers that ask for a tool that does not exist (see resolveMissingTool).
+
+ // Text used to look up a tool by call shape; mirrors the "name: description" text tools are embedded with.
+ function describeToolCall(toolName, args) {
+     const argNames = Object.keys(args ?? {});
+     const words = toolName.replace(/[_-]+/g, ' ').trim();
+     return `${toolName}: ${words}${argNames.length ? ` (${argNames.join(', ')})` : ''}`;
+ }
+
+ // "soul_id", "soulId", "soulID" and "SOUL" all normalize to "soul". The "id" suffix is only dropped
+ // when it is a word of its own (camelCase or after a separator), so "valid" and "paid" stay whole.
+ function normalizeArgName(name) {
+     return String(name).replace(/(?<=[a-z0-9])I[dD]$|(?<=.)[_-](?:id|Id|ID)$/, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+ }
+
+ // Maps a call's arguments onto another tool's schema by name: exact names first, then names that
+ // only differ in case, separators or a separate "Id" suffix. Every argument has to find its own
+ // property, since values are never matched by position. Returns the remapped arguments, or null
+ // when an argument has no counterpart or the result does not satisfy the schema.
+ function remapArgsToSchema(args, schema) {
+     const names = Object.keys(schema?.properties || {});
+     const remapped = {};
+     for (const [key, value] of Object.entries(args ?? {})) {
+         const target = names.includes(key) ? key : names.find(name => normalizeArgName(name) === normalizeArgName(key));
+         if (!target || target in remapped) return null;
+         remapped[target] = value;
+     }
+     return validateArgs(schema, remapped).valid ? remapped : null;
+ }
+
+ // Builds a parameters schema from the values of a call, for tools created on demand.
+ function inferSchemaFromArgs(args) {
+     const properties = {};
+     for (const [key, value] of Object.entries(args ?? {})) {
+         properties[key] = { ...inferValueSchema(value), description: `The ${key.replace(/[_-]+/g, ' ')}.` };
+     }
+     return { type: 'object', properties: properties, required: Object.keys(properties) };
+ }
+
+ function inferValueSchema(value) {
+     if (Array.isArray(value)) {
+         return value.length > 0 ? { type: 'array', items: inferValueSchema(value[0]) } : { type: 'array' };
+     }
+     if (Number.isInteger(value)) return { type: 'integer' };
+     if (typeof value === 'number') return { type: 'number' };
+     if (typeof value === 'boolean') return { type: 'boolean' };
+     if (value && typeof value === 'object') return { type: 'object' };
+     return { type: 'string' };
+ }
+
+ // --- Static Code Analysis ---
+ // Generated code is parsed and inspected before it is stored. The sandbox already lacks most of
+ // these globals, but code that reaches for them is a sign of a confused or hostile generation,
+ // and a report kept with each revision lets operators audit what is in the registry.
+ // analyzeToolCode(code) returns { analyzer, analyzed_at, verdict, findings }: verdict is
+ // 'rejected' when any finding has severity 'reject', 'flagged' when there are only 'flag'
+ // findings, otherwise 'clean'. Findings are { rule, severity, message, line }.
+
+ const CODE_ANALYZER_VERSION = 2; // Bump when the rules change, so old reports can be told apart
+
+ // Free identifiers generated code may not reference: name -> [rule, what it gives access to]
+ const FORBIDDEN_GLOBALS = {
+     require: ['module-loading', 'module loading'],
+     module: ['module-loading', 'module loading'],
+     exports: ['module-loading', 'module loading'],
+     __dirname: ['filesystem', 'the filesystem'],
+     __filename: ['filesystem', 'the filesystem'],
+     process: ['process', 'the host process'],
+     globalThis: ['global-object', 'the global object'],
+     global: ['global-object', 'the global object'],
+     eval: ['dynamic-code', 'dynamic code evaluation'],
+     Function: ['dynamic-code', 'dynamic code evaluation'],
+     WebAssembly: ['dynamic-code', 'dynamic code evaluation'],
+     setTimeout: ['timers', 'timers'],
+     setInterval: ['timers', 'timers'],
+     setImmediate: ['timers', 'timers'],
+     queueMicrotask: ['timers', 'timers'],
+     fetch: ['network', 'the network'],
+     XMLHttpRequest: ['network', 'the network'],
+     WebSocket: ['network', 'the network'],
+     EventSource: ['network', 'the network'],
+     fs: ['filesystem', 'the filesystem'],
+     Deno: ['filesystem', 'the filesystem'],
+     Bun: ['filesystem', 'the filesystem'],
+     Atomics: ['shared-memory', 'shared memory and blocking the thread'],
+ };
+
+ // Built-in objects whose members generated code may read but never replace
+ const BUILTIN_GLOBALS = ['Object', 'Array', 'String', 'Number', 'Boolean', 'Symbol', 'JSON', 'Math', 'Date', 'RegExp', 'Error', 'Promise', 'Map', 'Set', 'Reflect'];
+
+ // Name of a member expression's property when it is static (`a.b` or `a['b']`), else null.
+ function staticPropertyName(member) {
+     if (!member.computed && member.property.type === 'Identifier') return member.property.name;
+     if (member.property.type === 'Literal' && typeof member.property.value === 'string') return member.property.value;
+     return null;
+ }
+
+ // Names bound by a declaration pattern (`a`, `{ a, b: [c] }`, `...d`, `e = 1`).
+ function patternNames(pattern, names = []) {
+     if (!pattern) return names;
+     switch (pattern.type) {
+         case 'Identifier': names.push(pattern.name); break;
+         case 'ObjectPattern': pattern.properties.forEach(property => patternNames(property.type === 'RestElement' ? property.argument : property.value, names)); break;
+         case 'ArrayPattern': pattern.elements.forEach(element => patternNames(element, names)); break;
+         case 'AssignmentPattern': patternNames(pattern.left, names); break;
+         case 'RestElement': patternNames(pattern.argument, names); break;
+     }
+     return names;
+ }
+
+ const isFunctionScope = node => node.type === 'Program' || /Function/.test(node.type);
+ const isBlockScope = node => isFunctionScope(node) || ['BlockStatement', 'StaticBlock', 'SwitchStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement'].includes(node.type);
+
+ // Maps each node that opens a scope (program, function, block, loop head, catch clause, class
+ // expression) to the names declared in it, so every reference is resolved against its own chain
+ // of enclosing scopes: a `process` declared in a helper does not hide the global one elsewhere.
+ function collectScopeDeclarations(ast) {
+     const scopes = new Map();
+     const declare = (scope, names) => {
+         if (!scopes.has(scope)) scopes.set(scope, new Set());
+         names.forEach(name => scopes.get(scope).add(name));
+     };
+     const nearest = (ancestors, test) => ancestors.slice(0, -1).reverse().find(test);
+     walk.ancestor(ast, {
+         VariableDeclaration(node, _state, ancestors) {
+             const scope = nearest(ancestors, node.kind === 'var' ? isFunctionScope : isBlockScope);
+             node.declarations.forEach(declarator => declare(scope, patternNames(declarator.id)));
+         },
+         Function(node, _state, ancestors) {
+             node.params.forEach(param => declare(node, patternNames(param)));
+             if (node.id) declare(node.type === 'FunctionDeclaration' ? nearest(ancestors, isBlockScope) : node, [node.id.name]);
+         },
+         Class(node, _state, ancestors) {
+             if (node.id) declare(node.type === 'ClassDeclaration' ? nearest(ancestors, isBlockScope) : node, [node.id.name]);
+         },
+         CatchClause(node) { declare(node, patternNames(node.param)); },
+     });
+     return scopes;
+ }
+
+ // True for tests like `true`, `1` or a missing `for (;;)` condition.
+ function isConstantlyTrue(test) {
+     if (!test) return true;
+     if (test.type === 'Literal') return Boolean(test.value);
+     if (test.type === 'UnaryExpression' && test.operator === '!' && test.argument.type === 'Literal') return !test.argument.value;
+     return false;
+ }
+
+ // Whether a loop body contains a break, return or throw that leaves the loop itself.
+ function loopHasExit(body) {
+     let exits = false;
+     const isFunction = node => /Function/.test(node.type);
+     const isBreakable = node => /While|For|Switch/.test(node.type);
+     walk.ancestor(body, {
+         BreakStatement(node, _state, ancestors) {
+             const enclosing = ancestors.slice(0, -1);
+             if (enclosing.some(isFunction)) return;
+             if (node.label || !enclosing.some(isBreakable)) exits = true;
+         },
+         ReturnStatement(_node, _state, ancestors) {
+             if (!ancestors.some(isFunction)) exits = true;
+         },
+         ThrowStatement(_node, _state, ancestors) {
+             if (!ancestors.some(isFunction)) exits = true;
+         },
+     });
+     return exits;
+ }
+
+ // The innermost object of a member chain (`a` in `a.b.c`), and whether the chain touches a prototype.
+ function describeMemberChain(node) {
+     let touchesPrototype = false;
+     while (node.type === 'MemberExpression') {
+         const property = staticPropertyName(node);
+         if (property === 'prototype' || property === '__proto__') touchesPrototype = true;
+         node = node.object;
+     }
+     return { root: node, touchesPrototype: touchesPrototype };
+ }
+
+ function analyzeToolCode(code) {
+     const findings = [];
+     const report = (rule, severity, message, node) => {
+         const line = node?.loc?.start.line ?? null;
+         if (!findings.some(f => f.rule === rule && f.message === message && f.line === line)) {
+             findings.push({ rule: rule, severity: severity, message: message, line: line });
+         }
+     };
+     const finish = () => ({
+         analyzer: CODE_ANALYZER_VERSION,
+         analyzed_at: new Date().toISOString(),
+         verdict: findings.some(f => f.severity === 'reject') ? 'rejected' : findings.length ? 'flagged' : 'clean',
+         findings: findings,
+     });
+
+     let ast;
+     try {
+         ast = acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'script', locations: true });
+     } catch (error) {
+         report('syntax', 'reject', `Code does not parse: ${error.message}`, null);
+         return finish();
+     }
+
+     // Names the code declares itself may shadow globals (a local `fetch` is not the network),
+     // but only where that declaration is in scope.
+     const scopes = collectScopeDeclarations(ast);
+     const isDeclared = (name, ancestors) => ancestors.some(scope => scopes.get(scope)?.has(name));
+     const toolFunctionName = ast.body[0]?.type === 'FunctionDeclaration' ? ast.body[0].id?.name : null;
+
+     const checkReference = (node, _state, ancestors) => {
+         const forbidden = Object.hasOwn(FORBIDDEN_GLOBALS, node.name) ? FORBIDDEN_GLOBALS[node.name] : null;
+         if (forbidden && !isDeclared(node.name, ancestors)) {
+             report(forbidden[0], 'reject', `Uses '${node.name}' (${forbidden[1]}).`, node);
+         }
+     };
+     const isBuiltin = (node, ancestors) => node.type === 'Identifier' && BUILTIN_GLOBALS.includes(node.name) && !isDeclared(node.name, ancestors);
+     const checkMutation = (target, node, ancestors) => {
+         if (target.type !== 'MemberExpression') return;
+         const { root, touchesPrototype } = describeMemberChain(target);
+         if (touchesPrototype || isBuiltin(root, ancestors)) {
+             report('prototype-tampering', 'reject', `Changes ${touchesPrototype ? 'a prototype' : `the built-in '${root.name}'`}.`, node);
+         }
+     };
+
+     walk.ancestor(ast, {
+         Identifier: checkReference,
+         VariablePattern: checkReference, // Assignment targets such as `process = ...`
+         ImportExpression(node) { report('module-loading', 'reject', 'Uses import() (module loading).', node); },
+         MemberExpression(node) {
+             const property = staticPropertyName(node);
+             if (property === '__proto__') report('prototype-tampering', 'reject', "Uses '__proto__'.", node);
+             if (property === 'constructor') report('constructor-access', 'flag', "Reads '.constructor', which can reach the Function constructor.", node);
+         },
+         AssignmentExpression(node, _state, ancestors) { checkMutation(node.left, node, ancestors); },
+         UpdateExpression(node, _state, ancestors) { checkMutation(node.argument, node, ancestors); },
+         UnaryExpression(node, _state, ancestors) { if (node.operator === 'delete') checkMutation(node.argument, node, ancestors); },
+         CallExpression(node, _state, ancestors) {
+             const callee = node.callee;
+             if (callee.type === 'Identifier' && callee.name === toolFunctionName) {
+                 report('recursion', 'flag', `Calls itself ('${callee.name}'); make sure the recursion ends.`, node);
+             }
+             if (callee.type !== 'MemberExpression') return;
+             const method = staticPropertyName(callee);
+             const owner = callee.object.type === 'Identifier' ? callee.object.name : null;
+             if (['setPrototypeOf', '__defineGetter__', '__defineSetter__'].includes(method)) {
+                 report('prototype-tampering', 'reject', `Calls '${method}'.`, node);
+             } else if ((owner === 'Object' || owner === 'Reflect') && ['defineProperty', 'defineProperties', 'assign'].includes(method) && node.arguments[0]) {
+                 const target = node.arguments[0];
+                 const { root, touchesPrototype } = target.type === 'MemberExpression' ? describeMemberChain(target) : { root: target, touchesPrototype: false };
+                 if (touchesPrototype || isBuiltin(root, ancestors)) {
+                     report('prototype-tampering', 'reject', `Calls '${owner}.${method}' on a prototype or built-in.`, node);
+                 }
+             }
+         },
+         WhileStatement(node) {
+             if (isConstantlyTrue(node.test) && !loopHasExit(node.body)) report('unbounded-loop', 'reject', 'Loops forever: the condition is always true and nothing leaves the loop.', node);
+         },
+         DoWhileStatement(node) {
+             if (isConstantlyTrue(node.test) && !loopHasExit(node.body)) report('unbounded-loop', 'reject', 'Loops forever: the condition is always true and nothing leaves the loop.', node);
+         },
+         ForStatement(node) {
+             if (isConstantlyTrue(node.test) && !loopHasExit(node.body)) report('unbounded-loop', 'reject', 'Loops forever: the condition is always true and nothing leaves the loop.', node);
+         },
+     });
+
+     return finish();
+ }
+
+ // "line 3: Uses 'process' (the host process). line 7: ..." for error messages and logs.
+ function describeAnalysisFindings(analysis, severity = null) {
+     return analysis.findings
+         .filter(finding => !severity || finding.severity === severity)
+         .map(finding => `${finding.line ? `line ${finding.line}: ` : ''}${finding.message}`)
+         .join(' ');
+ }
+
+ // --- Tool Journal ---
+ // Every call through executeTool is appended to a JSONL journal (see recordToolCall), which
+ // feeds the per-tool usage statistics and the fine-tuning export. A journal entry is
+ // { at, tool, version, args, result, success, duration_ms, soul, artifact, source, purpose }.
+
+ // Keeps entries matching filters { tools, since, until, success }; `at` is compared as a date.
+ function matchesJournalFilters(entry, { tools = null, since = null, until = null, success = null } = {}) {
+     if (tools && !tools.includes(entry.tool)) return false;
+     if (since && Date.parse(entry.at) < Date.parse(since)) return false;
+     if (until && Date.parse(entry.at) > Date.parse(until)) return false;
+     if (success !== null && success !== undefined && entry.success !== success) return false;
+     return true;
+ }
+
+ // Chat-format fine-tuning example of one journaled call: the caller's purpose, the tool call and its result.
+ function journalEntryToExample(entry, definition, systemPrompt) {
+     const callId = `call_${entry.tool}_${Date.parse(entry.at)}`;
+     return {
+         messages: [
+             { role: 'system', content: systemPrompt },
+             { role: 'user', content: entry.purpose || `Use ${entry.tool} with ${JSON.stringify(entry.args)}.` },
+             { role: 'assistant', content: null, tool_calls: [{ id: callId, type: 'function', function: { name: entry.tool, arguments: JSON.stringify(entry.args) } }] },
+             { role: 'tool', tool_call_id: callId, content: entry.result.message },
+             { role: 'assistant', content: entry.result.message },
+         ],
+         tools: definition ? [{ type: 'function', function: { name: definition.name, description: definition.description, parameters: definition.parameters } }] : [],
+     };
+ }
+
+ // Chat-format fine-tuning example of one generated revision: the generation prompt and the code that was kept.
+ function toolVersionToExample(version) {
+     return {
+         messages: [
+             { role: 'user', content: version.prompt },
+             { role: 'assistant', content: version.code },
+         ],
+     };
+ }
+
+ // callableTools: [{ name, description, parameters }] the new tool may call through invokeTool.
+ function generateToolCreationPrompt(name, description, parameters, worldApiDescription = '', callableTools = []) {
      // Basic validation for the parameters schema structure
      if (!parameters || typeof parameters !== 'object' || parameters.type !== 'object' || typeof parameters.properties !== 'object') {
           throw new Error("Invalid parameters schema provided for new tool creation.");
@@ -65,6 +1210,20 @@
          .map(([key, value]) => ` *   ${key} (${value.type}): ${value.description || 'No description'}`)
          .join('\n');
      const requiredParams = parameters.required || [];
+     const signature = worldApiDescription ? 'params, world' : 'params';
+     const worldInstructions = worldApiDescription ? `
+     **World API:**
+     The function is called with a second argument \`world\`, provided by the host application. It is the ONLY way to read or change the world; there is no other global state. All methods are synchronous and return plain JSON data. A method the tool is not allowed to use throws an error.
+     ${worldApiDescription}
+` : '';
+     const callableToolLines = callableTools
+         .map(tool => `     - ${tool.name}(${JSON.stringify(tool.parameters)}): ${tool.description}`)
+         .join('\n');
+     const callableInstructions = callableTools.length ? `
+     **Callable Tools:**
+     Existing tools can be called from the function with the global \`invokeTool(name, args)\`. It is synchronous and returns the tool's result object \`{ status, message, created, affected, data }\`; \`status\` is 'error' when the call failed or was refused, so check it. Call these instead of reimplementing what they do, and pass arguments exactly as their schemas describe:
+${callableToolLines}
+` : '';
 
      return `You are an expert JavaScript function generator. Your task is to create a JavaScript function based on the provided specification.
 
@@ -76,19 +1235,20 @@
      ${JSON.stringify(parameters, null, 2)}
      \`\`\`
      - Required Parameters: ${requiredParams.join(', ') || 'None'}
-
+${worldInstructions}${callableInstructions}
      **Instructions:**
      1.  Write a single, standalone JavaScript function named precisely \`${name}\`.
-     2.  The function MUST accept a single argument: an object named \`params\` containing the specified parameters (e.g., \`params.param1\`, \`params.param2\`).
+     2.  The function MUST accept an object named \`params\` as its first argument, containing the specified parameters (e.g., \`params.param1\`, \`params.param2\`).${worldApiDescription ? ' Its second argument is `world`.' : ''}
      3.  The function should perform the action described in the description.
-     4.  The function MUST return a single string indicating the result or outcome of the action (e.g., "Entity moved successfully.", "Error: Target location not found."). Do NOT return complex objects or boolean values directly, convert them to descriptive strings.
+     4.  The function MUST return a single string indicating the result or outcome of the action (e.g., "Entity moved successfully.", "Error: Target location not found."). Do NOT return arrays, numbers or boolean values directly, convert them to descriptive strings. The only other allowed return value is a result object \`{ status: 'success' | 'warning' | 'error', message: 'human readable text', created: [ids of new entities], affected: [ids of changed entities], data: { any extra JSON } }\`, for when the caller needs IDs or data.
      5.  Do NOT include any comments, explanations, or surrounding text outside the function definition itself.
      6.  Do NOT include markdown code block markers (\`\`\`javascript or \`\`\`) in your output.
      7.  Ensure the function handles potential errors gracefully and returns an informative error string starting with "Error: ".
+     8.  Do NOT use \`require\`, \`import()\`, \`process\`, \`eval\`, \`Function\`, timers, \`fetch\` or other network and filesystem access, and do NOT modify prototypes or built-in objects. Every loop must be able to end. Code that does is rejected.
 
      **Example Function Structure:**
      \`\`\`javascript
-     function example_tool_name(params) {
+     function example_tool_name(${signature}) {
        // Access parameters like params.param1, params.param2
        try {
          // ... function logic based on description ...
@@ -103,28 +1263,76 @@
      }
      \`\`\`
 
-     **Your Task:**
-     Generate *only* the JavaScript function code for \`${name}\` based *exactly* on the specification provided above.`;
+     **Your Task:**
+     Generate *only* the JavaScript function code for \`${name}(${signature})\` based *exactly* on the specification provided above.`;
+ }
+
+
+ // "(1 attempt)" or "(3 attempts; rejected: attempt 1: ...; attempt 2: ...)" for creation results.
+ function describeGenerationAttempts({ attempts, rejections }) {
+     if (attempts === 1) return '(1 attempt)';
+     return `(${attempts} attempts; rejected: ${rejections.map((reason, i) => `attempt ${i + 1}: ${reason}`).join('; ')})`;
+ }
+
+ // Versions collection metadata for a revision record (see storeToolVersion).
+ function versionMetadata(record) {
+     return {
+         name: record.name,
+         version: record.version,
+         description: record.description,
+         parameters_json: JSON.stringify(record.parameters),
+         code: record.code,
+         prompt: record.prompt || '',
+         model: record.model || '',
+         created_at: record.created_at,
+         trust: record.trust,
+         trust_reason: record.trust_reason || '',
+         analysis_json: record.analysis ? JSON.stringify(record.analysis) : '',
+     };
  }
 
+ // " Flagged for review: line 3: ..." for creation results when static analysis found something.
+ function describeAnalysisFlags(analysis) {
+     return analysis?.verdict === 'flagged' ? ` Flagged for review: ${describeAnalysisFindings(analysis)}` : '';
+ }
 
  class ToolCreationManager {
-     constructor() {
-         this.ollama = new OpenAI({
-             baseURL: `${OLLAMA_BASE_URL}/v1`,
-             apiKey: 'ollama', // Required by openai package, but not used by Ollama
-         });
-         // Use Langchain's OllamaEmbeddings as it's specifically designed for this
-         this.ollamaEmbeddings = new OllamaEmbeddings({
-             model: OLLAMA_EMBEDDING_MODEL,
-             baseUrl: OLLAMA_BASE_URL,
-         });
-         this.chromaClient = new ChromaClient({ path: CHROMA_URL });
+     // options.vectorStore: any store with getOrCreateCollection(name); defaults to createVectorStore()
+     // options.chatProvider / options.embeddingProvider: default to createChatProvider() / createEmbeddingProvider()
+     constructor(options = {}) {
+         this.chatProvider = options.chatProvider || createChatProvider();
+         this.embeddingProvider = options.embeddingProvider || createEmbeddingProvider();
+         this.vectorStore = options.vectorStore || createVectorStore({ embeddingFunction: this.embeddingProvider });
          this.collection = null;
+         this.versionsCollection = null;
          this.toolsCache = new Map(); // Cache for loaded tool code
+         this.executionTimeoutMs = TOOL_EXECUTION_TIMEOUT_MS;
+         this.executionMemoryMb = TOOL_EXECUTION_MEMORY_MB;
+         this.worldApiDescription = ''; // Host-provided description of the `world` argument, used in generation prompts
+         this.dryRunWorldFactory = null; // (toolName) => world object for dry runs; must not change real state
+         this.maxGenerationAttempts = TOOL_GENERATION_MAX_ATTEMPTS;
+         this.additionalPropertiesPolicy = TOOL_ARGS_ADDITIONAL_PROPERTIES; // For schemas that do not set additionalProperties
+         this.resolutionSimilarityThreshold = TOOL_RESOLUTION_SIMILARITY_THRESHOLD; // See resolveMissingTool
+         this.maxInvocationDepth = TOOL_INVOCATION_MAX_DEPTH; // See invokeNestedTool
+         this.maxInvocationCalls = TOOL_INVOCATION_MAX_CALLS;
+         this.journalPath = options.journalPath ?? TOOL_JOURNAL_PATH; // Falsy disables the journal
+         this.journalWrites = Promise.resolve(); // Appends are chained so entries keep their order
+         this.usageStats = new Map(); // tool name -> running statistics, see getToolUsageStats
          this.isDebug = true; // Enable debug logging
      }
 
+     // The host application describes the `world` object it passes to executeTool, so that
+     // generated code is written against it. The library itself knows nothing about the world.
+     setWorldApiDescription(description) {
+         this.worldApiDescription = description || '';
+     }
+
+     // Freshly generated code is dry-run before it is stored. Hosts that pass a `world` to
+     // executeTool should provide one here that behaves like the real API without side effects.
+     setDryRunWorldFactory(factory) {
+         this.dryRunWorldFactory = factory;
+     }
+
      debugLog(...args) {
          if (this.isDebug) {
              console.log('[DEBUG ToolManager]', ...args);
@@ -134,14 +1342,14 @@
      async initialize() {
          this.debugLog("Initializing ToolCreationManager...");
          try {
-             this.debugLog(`Attempting to get or create Chroma collection: ${TOOL_COLLECTION_NAME}`);
-             // Use Langchain embeddings class with Chroma client directly
-             this.collection = await this.chromaClient.getOrCreateCollection({
-                 name: TOOL_COLLECTION_NAME,
-                 embeddingFunction: this.ollamaEmbeddings // Pass the Langchain embedder instance
-             });
-             this.debugLog(`Chroma collection '${TOOL_COLLECTION_NAME}' ready.`);
+             this.debugLog(`Attempting to get or create collection: ${TOOL_COLLECTION_NAME} (${this.vectorStore.constructor.name})`);
+             this.collection = await this.vectorStore.getOrCreateCollection(TOOL_COLLECTION_NAME);
+             this.debugLog(`Collection '${TOOL_COLLECTION_NAME}' ready.`);
+             this.versionsCollection = await this.vectorStore.getOrCreateCollection(TOOL_VERSIONS_COLLECTION_NAME);
+             this.debugLog(`Collection '${TOOL_VERSIONS_COLLECTION_NAME}' ready.`);
              await this.ensureToolCreationTool();
+             await this.markUnreviewedTools();
+             await this.loadUsageStats();
              this.debugLog("ToolCreationManager initialized successfully.");
          } catch (error) {
              console.error("Error initializing ToolCreationManager:", error);
@@ -166,12 +1374,12 @@
                  return;
              }
          } catch (error) {
-             // Chroma client might throw if the collection is empty or ID not found
+             // Some stores (e.g. Chroma) might throw if the collection is empty or ID not found
              this.debugLog(`'${toolName}' not found or error checking existence: ${error.message}. Attempting to add.`);
          }
 
          try {
-             this.debugLog(`Adding '${toolName}' tool definition to Chroma DB...`);
+             this.debugLog(`Adding '${toolName}' tool definition to the vector store...`);
 
              // The 'code' for tool_creation is special - it calls this.createTool internally
              // This is a bit meta. We store a placeholder or indication it's built-in.
@@ -183,7 +1391,7 @@
              const parameters = TOOL_CREATION_TOOL_DEFINITION.function.parameters;
 
              // Use the embedding function directly if needed, or rely on collection's default
-             const embedding = await this.ollamaEmbeddings.embedQuery(`${toolName}: ${description}`);
+             const embedding = await this.embeddingProvider.embedQuery(`${toolName}: ${description}`);
 
              await this.collection.add({
                  ids: [toolName],
@@ -193,13 +1401,14 @@
                      description: description,
                      parameters_json: JSON.stringify(parameters), // Store schema as JSON string
                      code: toolCodePlaceholder, // Store the placeholder code
-                     is_internal: true // Flag for special handling
+                     is_internal: true, // Flag for special handling
+                     trust: 'internal',
                  }],
                  documents: [`Tool definition for ${toolName}: ${description}`] // Document for potential text search
              });
              this.debugLog(`'${toolName}' tool added successfully.`);
          } catch (addError) {
-             console.error(`Failed to add '${toolName}' tool to Chroma DB:`, addError);
+             console.error(`Failed to add '${toolName}' tool to the vector store:`, addError);
              throw addError; // Critical failure if we can't add the base tool
          }
      }
@@ -210,99 +1419,609 @@
          this.debugLog(`Attempting to create tool: ${newToolName}`);
 
          // 1. Validate Inputs (Basic)
-         if (!newToolName || !newToolDescription || !newToolParameters) {
+         const inputError = this.validateToolInputs(newToolName, newToolDescription, newToolParameters);
+         if (inputError) {
+             return inputError;
+         }
+
+         // Refuse early instead of spending an LLM call on a tool that cannot be stored
+         const existingBefore = await this.collection.get({ ids: [newToolName], limit: 1 });
+         if (existingBefore && existingBefore.ids && existingBefore.ids.length > 0) {
+             this.debugLog(`Tool '${newToolName}' already exists. Skipping creation.`);
+             return `Warning: Tool '${newToolName}' already existed. Creation skipped. Use updateTool or regenerateTool to change it.`;
+         }
+
+         // 2-4. Generate, sanitize and validate the code
+         let generated;
+         try {
+             generated = await this.generateToolCode(newToolName, newToolDescription, newToolParameters);
+         } catch (error) {
+             console.error(`Error during LLM code generation or validation for ${newToolName}:`, error);
+             return `Error: Failed to generate or validate code for tool ${newToolName}. ${error.message}`;
+         }
+
+         // 5. Store in the vector store as version 1
+         try {
+             this.debugLog(`Adding tool '${newToolName}' to the vector store...`);
+             // Re-check if it got created concurrently while the LLM was generating
+              const existing = await this.collection.get({ ids: [newToolName], limit: 1 });
+              if (existing && existing.ids && existing.ids.length > 0) {
+                  this.debugLog(`Tool '${newToolName}' already exists. Skipping add.`);
+                  return `Warning: Tool '${newToolName}' already existed. Creation skipped. Use updateTool or regenerateTool to change it.`;
+              }
+
+             const version = await this.storeToolVersion(newToolName, {
+                 description: newToolDescription,
+                 parameters: newToolParameters,
+                 code: generated.code,
+                 prompt: generated.prompt,
+                 model: generated.model,
+                 analysis: generated.analysis,
+             });
+             await this.activateToolVersion(version);
+
+             this.debugLog(`Tool '${newToolName}' added successfully to the vector store.`);
+             return `Successfully created tool: ${newToolName} ${describeGenerationAttempts(generated)}${describeAnalysisFlags(generated.analysis)}`;
+
+         } catch (dbError) {
+             console.error(`Error adding tool ${newToolName} to the vector store:`, dbError);
+             return `Error: Failed to store tool ${newToolName} in database. ${dbError.message}`;
+         }
+     }
+
+     // Returns an "Error: ..." string for unusable creation inputs, or null when they look fine.
+     validateToolInputs(name, description, parameters) {
+         if (!name || !description || !parameters) {
              return "Error: Missing required arguments for tool creation (name, description, parameters).";
          }
-         if (typeof newToolName !== 'string' || typeof newToolDescription !== 'string' || typeof newToolParameters !== 'object') {
+         if (typeof name !== 'string' || typeof description !== 'string' || typeof parameters !== 'object') {
              return "Error: Invalid argument types for tool creation.";
          }
           // Simple check for valid function name characters
-         if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(newToolName)) {
-            return `Error: Invalid tool name '${newToolName}'. Use snake_case with letters, numbers, and underscores, starting with a letter or underscore.`;
+         if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) {
+            return `Error: Invalid tool name '${name}'. Use snake_case with letters, numbers, and underscores, starting with a letter or underscore.`;
          }
+         return null;
+     }
 
-
+     // Asks the LLM for the function code and returns { code, prompt, model, attempts, rejections, analysis }.
+     // Each candidate is validated, statically analyzed (see analyzeToolCode) and dry-run; a rejected candidate is sent back to the model together
+     // with the reason, up to maxGenerationAttempts times. Throws when no attempt succeeds.
+     // `feedback` is appended to the prompt when regenerating (e.g. what was wrong with the last version).
+     async generateToolCode(name, description, parameters, feedback = '') {
          // 2. Generate Prompt for LLM
-         const prompt = generateToolCreationPrompt(newToolName, newToolDescription, newToolParameters);
-         this.debugLog(`Generated prompt for LLM for tool ${newToolName}`);
+         const callableTools = await this.getCallableTools(name, description);
+         let prompt = generateToolCreationPrompt(name, description, parameters, this.worldApiDescription, callableTools);
+         if (feedback) {
+             prompt += `\n\n     **Reviewer Feedback On The Previous Version:**\n     ${feedback}`;
+         }
+         this.debugLog(`Generated prompt for LLM for tool ${name}`);
          // console.log("--- LLM PROMPT ---", prompt, "--- END PROMPT ---"); // Keep for debugging if needed
 
-         let generatedCode = '';
-         try {
+         const messages = [{ role: 'user', content: prompt }];
+         const rejections = [];
+
+         for (let attempt = 1; attempt <= this.maxGenerationAttempts; attempt++) {
              // 3. Call LLM to generate code
-             this.debugLog(`Calling Ollama (${OLLAMA_MODEL}) to generate function code...`);
-             const response = await this.ollama.chat.completions.create({
-                 model: OLLAMA_MODEL,
-                 messages: [{ role: 'user', content: prompt }],
+             this.debugLog(`Calling ${this.chatProvider.constructor.name} (${this.chatProvider.model}) to generate function code (attempt ${attempt}/${this.maxGenerationAttempts})...`);
+             const message = await this.chatProvider.complete({
+                 messages: messages,
                  temperature: 0.2, // Lower temperature for more deterministic code gen
              });
 
-             generatedCode = response.choices[0]?.message?.content?.trim() || '';
-             this.debugLog(`Received LLM response for ${newToolName}. Length: ${generatedCode.length}`);
-             // console.log("--- LLM RAW RESPONSE ---", generatedCode, "--- END RAW RESPONSE ---"); // Keep for debugging
+             const rawCode = message?.content?.trim() || '';
+             this.debugLog(`Received LLM response for ${name}. Length: ${rawCode.length}`);
+             // console.log("--- LLM RAW RESPONSE ---", rawCode, "--- END RAW RESPONSE ---"); // Keep for debugging
+
+             try {
+                 if (!rawCode) {
+                     throw new Error("LLM returned empty code.");
+                 }
 
-             if (!generatedCode) {
-                 throw new Error("LLM returned empty code.");
+                 // 4. Sanitize, validate and dry-run the candidate
+                 const generatedCode = this.sanitizeGeneratedCode(rawCode, name);
+                 this.debugLog(`Sanitized code for ${name}:`, generatedCode);
+                 this.validateToolCode(name, generatedCode);
+                 const analysis = this.analyzeCode(name, generatedCode);
+                 await this.dryRunToolCode(name, generatedCode, parameters);
+
+                 return { code: generatedCode, prompt: prompt, model: this.chatProvider.model, attempts: attempt, rejections: rejections, analysis: analysis };
+             } catch (rejection) {
+                 const reason = rejection.message.split('\n')[0];
+                 rejections.push(reason);
+                 this.debugLog(`Attempt ${attempt} for ${name} rejected: ${reason}`);
+                 messages.push({ role: 'assistant', content: rawCode });
+                 messages.push({
+                     role: 'user',
+                     content: `The function above was rejected: ${reason}\nFix the problem and reply with the complete corrected function \`${name}\` only, following all the original instructions.`
+                 });
              }
+         }
 
-             // 4. Sanitize and Validate Generated Code
-             generatedCode = this.sanitizeGeneratedCode(generatedCode, newToolName);
-             this.debugLog(`Sanitized code for ${newToolName}:`, generatedCode);
+         throw new Error(`Gave up after ${rejections.length} attempts. ${rejections.map((reason, i) => `Attempt ${i + 1}: ${reason}`).join(' ')}`);
+     }
+
+     // Registry tools relevant to a tool being generated, for its prompt: RAG results without the
+     // tool creation tool and the tool itself (see getAvailableTools).
+     async getCallableTools(name, description) {
+         const tools = await this.getAvailableTools(`${name}: ${description}`, CALLABLE_TOOLS_IN_PROMPT + 1);
+         return tools
+             .filter(tool => tool.name !== TOOL_CREATION_TOOL_DEFINITION.function.name && tool.name !== name)
+             .slice(0, CALLABLE_TOOLS_IN_PROMPT);
+     }
+
+     // Runs the candidate once with arguments synthesized from its schema, against the host's
+     // dry-run world. invokeTool calls are answered with a warning instead of running other tools. Throws if it crashes, times out, runs out of memory or returns a non-string.
+     // A returned "Error: ..." string is fine: the sample arguments are not real IDs.
+     async dryRunToolCode(name, code, parameters) {
+         const sampleArgs = synthesizeSampleArgs(parameters);
+         const world = this.dryRunWorldFactory ? this.dryRunWorldFactory(name) : {};
+         this.debugLog(`Dry-running ${name} with`, sampleArgs);
+
+         const invoke = (toolName) => ({
+             status: 'warning', message: `Warning: invokeTool('${toolName}') does not run during dry runs.`, created: [], affected: [], data: null,
+         });
+         const outcome = await this.executeInSandbox(name, code, sampleArgs, world, {}, invoke);
+         if (outcome.status !== 'ok') {
+             throw new Error(`Dry run with ${JSON.stringify(sampleArgs)} failed (${outcome.status}): ${outcome.message}`);
+         }
+         const isResultObject = outcome.returnType === 'object' && typeof outcome.value.message === 'string';
+         if (outcome.returnType !== 'string' && !isResultObject) {
+             throw new Error(`Dry run with ${JSON.stringify(sampleArgs)} returned ${outcome.returnType} instead of a string or result object.`);
+         }
+         this.debugLog(`Dry run of ${name} passed: ${formatToolResult(outcome.value)}`);
+     }
+
+     // Returns the static analysis report of the code, or throws when the analysis rejects it.
+     analyzeCode(name, code) {
+         const analysis = analyzeToolCode(code);
+         this.debugLog(`Static analysis of ${name}: ${analysis.verdict}${analysis.findings.length ? ` (${describeAnalysisFindings(analysis)})` : ''}`);
+         if (analysis.verdict === 'rejected') {
+             throw new Error(`Static analysis rejected the code: ${describeAnalysisFindings(analysis, 'reject')}`);
+         }
+         return analysis;
+     }
+
+     // Throws if the code does not define `name` with the expected signature or does not parse.
+     validateToolCode(name, code) {
+         // Basic validation: Does it look like a function definition?
+          const signaturePattern = new RegExp(`^(async\\s+)?function\\s+${name}\\s*\\(\\s*params\\s*(,\\s*world\\s*)?\\)`);
+          if (!signaturePattern.test(code)) {
+              throw new Error(`Generated code does not start with the expected function signature 'function ${name}(params[, world]) {...}' or 'async function ${name}(params[, world]) {...}'. Got: ${code.substring(0,100)}...`);
+          }
+         // Compile (without running) to catch syntax errors early
+         try {
+             new vm.Script(code, { filename: `${name}.js` }); // This doesn't execute, just parses
+             this.debugLog(`Syntax validation passed for ${name}.`);
+         } catch (syntaxError) {
+             throw new Error(`Generated code has syntax errors: ${syntaxError.message}\nCode:\n${code}`);
+         }
+     }
 
-             // Basic validation: Does it look like a function definition?
-              if (!generatedCode.startsWith(`function ${newToolName}(params)`) && !generatedCode.startsWith(`async function ${newToolName}(params)`)) {
-                  throw new Error(`Generated code does not start with the expected function signature 'function ${newToolName}(params) {...}' or 'async function ${newToolName}(params) {...}'. Got: ${generatedCode.substring(0,100)}...`);
-              }
-             // Try creating a function object to catch syntax errors early
-             try {
-                 new Function('params', generatedCode); // This doesn't execute, just parses
-                 this.debugLog(`Syntax validation passed for ${newToolName}.`);
-             } catch (syntaxError) {
-                 throw new Error(`Generated code has syntax errors: ${syntaxError.message}\nCode:\n${generatedCode}`);
-             }
 
+     // --- Tool Versioning ---
+     // The main collection holds the *active* revision of each tool under the tool name, so lookups
+     // (and artifacts linked by linkedToolName) are unaffected by upgrades. Every revision is also
+     // kept in the versions collection, which is what rollbacks and reviews read from.
 
+     // Returns all stored revisions of a tool, oldest first:
+     // [{ id, name, version, description, parameters, code, prompt, model, created_at, trust, trust_reason, analysis, active }]
+     async getToolVersions(toolName) {
+         const results = await this.versionsCollection.get({
+             where: { name: toolName },
+             include: ["metadatas"]
+         });
+         const active = await this.collection.get({ ids: [toolName], include: ["metadatas"] });
+         const activeVersion = active?.metadatas?.[0]?.version;
+
+         return (results?.metadatas || [])
+             .map((metadata, i) => ({
+                 id: results.ids[i],
+                 name: metadata.name,
+                 version: metadata.version,
+                 description: metadata.description,
+                 parameters: JSON.parse(metadata.parameters_json),
+                 code: metadata.code,
+                 prompt: metadata.prompt || null,
+                 model: metadata.model || null,
+                 created_at: metadata.created_at,
+                 trust: metadata.trust || 'pending', // Stored before trust levels existed: never reviewed
+                 trust_reason: metadata.trust_reason || '',
+                 analysis: metadata.analysis_json ? JSON.parse(metadata.analysis_json) : null, // null until scanned, see rescanTool
+                 active: metadata.version === activeVersion,
+             }))
+             .sort((a, b) => a.version - b.version);
+     }
+
+     // Stores a new revision (not yet active) and returns it. New code is 'pending' until approved.
+     async storeToolVersion(toolName, { description, parameters, code, prompt = null, model = null, trust = 'pending', trust_reason = '', analysis = null }) {
+         const versions = await this.getToolVersions(toolName);
+         const version = versions.length > 0 ? versions[versions.length - 1].version + 1 : 1;
+         const record = {
+             id: `${toolName}@v${version}`,
+             name: toolName,
+             version: version,
+             description: description,
+             parameters: parameters,
+             code: code,
+             prompt: prompt,
+             model: model,
+             created_at: new Date().toISOString(),
+             trust: trust,
+             trust_reason: trust_reason,
+             analysis: analysis,
+         };
+
+         const embedding = await this.embeddingProvider.embedQuery(`${toolName}: ${description}`);
+         await this.versionsCollection.add({
+             ids: [record.id],
+             embeddings: [embedding],
+             metadatas: [versionMetadata(record)],
+             documents: [`Tool definition for ${toolName} (v${version}): ${description}`]
+         });
+         this.debugLog(`Stored version ${version} of tool '${toolName}'.`);
+         return record;
+     }
+
+     // Makes a stored revision the one that executeTool and RAG queries see.
+     async activateToolVersion(record) {
+         const embedding = await this.embeddingProvider.embedQuery(`${record.name}: ${record.description}`);
+         await this.collection.upsert({
+             ids: [record.name],
+             embeddings: [embedding],
+             metadatas: [{
+                 name: record.name,
+                 description: record.description,
+                 parameters_json: JSON.stringify(record.parameters),
+                 code: record.code,
+                 is_internal: false,
+                 version: record.version,
+                 trust: record.trust,
+                 trust_reason: record.trust_reason || '',
+                 analysis_json: record.analysis ? JSON.stringify(record.analysis) : '',
+             }],
+             documents: [`Tool definition for ${record.name}: ${record.description}`]
+         });
+         this.toolsCache.delete(record.name);
+         this.debugLog(`Tool '${record.name}' now runs version ${record.version}.`);
+     }
+
+     // Tools created before versioning existed have no history; record their current state as v1.
+     async ensureVersionHistory(toolName) {
+         const versions = await this.getToolVersions(toolName);
+         if (versions.length > 0) return versions;
+
+         const current = await this.getToolDefinition(toolName);
+         if (!current) return [];
+         const record = await this.storeToolVersion(toolName, current);
+         await this.activateToolVersion(record);
+         return [ { ...record, active: true } ];
+     }
+
+     // Looks up the active definition of a tool that may be changed (exists and is not internal).
+     async getUpdatableTool(toolName) {
+         const current = await this.getToolDefinition(toolName);
+         if (!current) {
+             throw new Error(`Tool '${toolName}' not found.`);
+         }
+         if (current.is_internal) {
+             throw new Error(`Internal tool '${toolName}' cannot be changed.`);
+         }
+         await this.ensureVersionHistory(toolName);
+         return current;
+     }
+
+     // Stores and activates a new revision from explicit changes (e.g. a hand-fixed `code`).
+     // changes: { description?, parameters?, code? } - missing fields are taken from the active version.
+     async updateTool(toolName, changes = {}) {
+         this.debugLog(`Attempting to update tool: ${toolName}`);
+         try {
+             const current = await this.getUpdatableTool(toolName);
+             const description = changes.description ?? current.description;
+             const parameters = changes.parameters ?? current.parameters;
+             const inputError = this.validateToolInputs(toolName, description, parameters);
+             if (inputError) return inputError;
+
+             const code = changes.code !== undefined ? this.sanitizeGeneratedCode(changes.code, toolName) : current.code;
+             this.validateToolCode(toolName, code);
+             const analysis = this.analyzeCode(toolName, code);
+
+             const record = await this.storeToolVersion(toolName, { description, parameters, code, analysis });
+             await this.activateToolVersion(record);
+             return `Successfully updated tool: ${toolName} (now version ${record.version})${describeAnalysisFlags(analysis)}`;
          } catch (error) {
-             console.error(`Error during LLM code generation or validation for ${newToolName}:`, error);
-             return `Error: Failed to generate or validate code for tool ${newToolName}. ${error.message}`;
+             console.error(`Error updating tool ${toolName}:`, error);
+             return `Error: Failed to update tool ${toolName}. ${error.message}`;
          }
+     }
 
-         // 5. Store in ChromaDB
+     // Asks the LLM for a fresh implementation and activates it as a new revision.
+     // options: { description?, parameters?, feedback? } - description/parameters default to the active version.
+     async regenerateTool(toolName, options = {}) {
+         this.debugLog(`Attempting to regenerate tool: ${toolName}`);
          try {
-             this.debugLog(`Adding tool '${newToolName}' to Chroma DB...`);
-             // Re-check if it somehow got created concurrently (less likely in Node.js single thread but good practice)
-              const existing = await this.collection.get({ ids: [newToolName], limit: 1 });
-              if (existing && existing.ids && existing.ids.length > 0) {
-                  this.debugLog(`Tool '${newToolName}' already exists. Skipping add.`);
-                  // Optionally update it here if needed
-                  return `Warning: Tool '${newToolName}' already existed. Creation skipped.`;
-              }
+             const current = await this.getUpdatableTool(toolName);
+             const description = options.description ?? current.description;
+             const parameters = options.parameters ?? current.parameters;
+             const inputError = this.validateToolInputs(toolName, description, parameters);
+             if (inputError) return inputError;
+
+             const generated = await this.generateToolCode(toolName, description, parameters, options.feedback);
+             const record = await this.storeToolVersion(toolName, {
+                 description,
+                 parameters,
+                 code: generated.code,
+                 prompt: generated.prompt,
+                 model: generated.model,
+                 analysis: generated.analysis,
+             });
+             await this.activateToolVersion(record);
+             return `Successfully regenerated tool: ${toolName} (now version ${record.version}) ${describeGenerationAttempts(generated)}${describeAnalysisFlags(generated.analysis)}`;
+         } catch (error) {
+             console.error(`Error regenerating tool ${toolName}:`, error);
+             return `Error: Failed to regenerate tool ${toolName}. ${error.message}`;
+         }
+     }
 
+     // Re-activates an earlier revision. Later revisions stay in the history.
+     async rollbackTool(toolName, version) {
+         this.debugLog(`Attempting to roll back tool ${toolName} to version ${version}`);
+         try {
+             await this.getUpdatableTool(toolName);
+             const versions = await this.getToolVersions(toolName);
+             const target = versions.find(v => v.version === Number(version));
+             if (!target) {
+                 return `Error: Tool '${toolName}' has no version ${version}. Known versions: ${versions.map(v => v.version).join(', ')}.`;
+             }
+             await this.activateToolVersion(target);
+             return `Successfully rolled back tool: ${toolName} (now version ${target.version})`;
+         } catch (error) {
+             console.error(`Error rolling back tool ${toolName}:`, error);
+             return `Error: Failed to roll back tool ${toolName}. ${error.message}`;
+         }
+     }
 
-             const embedding = await this.ollamaEmbeddings.embedQuery(`${newToolName}: ${newToolDescription}`);
+     // --- Tool Trust ---
+     // Every revision carries a trust level (TOOL_TRUST_LEVELS). Generated, updated and regenerated
+     // code lands as 'pending'; an operator approves or quarantines the active revision after
+     // reading it. The level belongs to the revision, so rolling back to an approved revision
+     // makes the tool approved again. Callers decide what may run with options.allowedTrust.
+
+     // Active tools at one trust level: [{ name, description, version, trust, trust_reason, verdict }],
+     // where verdict is the static analysis verdict (null if the revision was never scanned).
+     async listToolsByTrust(trust) {
+         const results = await this.collection.get({ where: { trust: trust }, include: ["metadatas"] });
+         return (results?.metadatas || []).map(metadata => ({
+             name: metadata.name,
+             description: metadata.description,
+             version: metadata.version || 1,
+             trust: metadata.trust,
+             trust_reason: metadata.trust_reason || '',
+             verdict: metadata.analysis_json ? JSON.parse(metadata.analysis_json).verdict : null,
+         }));
+     }
 
-             await this.collection.add({
-                 ids: [newToolName],
-                 embeddings: [embedding],
-                 metadatas: [{
-                     name: newToolName,
-                     description: newToolDescription,
-                     parameters_json: JSON.stringify(newToolParameters),
-                     code: generatedCode, // Store the sanitized, validated code
-                     is_internal: false
-                 }],
-                 documents: [`Tool definition for ${newToolName}: ${newToolDescription}`]
+     // Sets the trust level of the active revision; returns a result string.
+     async setToolTrust(toolName, trust, reason = '') {
+         this.debugLog(`Setting trust of tool ${toolName} to ${trust}`);
+         if (!TOOL_TRUST_LEVELS.includes(trust) || trust === 'internal') {
+             return `Error: Trust level must be one of approved, pending, quarantined (got '${trust}').`;
+         }
+         try {
+             await this.getUpdatableTool(toolName);
+             const active = (await this.getToolVersions(toolName)).find(v => v.active);
+             const record = { ...active, trust: trust, trust_reason: String(reason || '') };
+             await this.versionsCollection.update({ ids: [record.id], metadatas: [versionMetadata(record)] });
+             await this.activateToolVersion(record);
+             return `Successfully set tool ${toolName} (version ${record.version}) to ${trust}${record.trust_reason ? `: ${record.trust_reason}` : '.'}`;
+         } catch (error) {
+             console.error(`Error setting trust of tool ${toolName}:`, error);
+             return `Error: Failed to set trust of tool ${toolName}. ${error.message}`;
+         }
+     }
+
+     // Entries stored before trust levels existed carry none. They are marked 'pending' so they
+     // show up in the approval queue (listToolsByTrust) instead of running unreviewed; returns
+     // the names of the tools marked.
+     async markUnreviewedTools() {
+         const marked = [];
+         for (const collection of [this.collection, this.versionsCollection]) {
+             const results = await collection.get({ include: ["metadatas"] });
+             const ids = [];
+             const metadatas = [];
+             (results?.metadatas || []).forEach((metadata, i) => {
+                 if (!metadata || metadata.trust || metadata.is_internal) return;
+                 ids.push(results.ids[i]);
+                 metadatas.push({ ...metadata, trust: 'pending', trust_reason: 'Stored before tools needed approval' });
+                 if (collection === this.collection) marked.push(metadata.name);
              });
+             if (ids.length > 0) await collection.update({ ids: ids, metadatas: metadatas });
+         }
+         marked.forEach(name => this.toolsCache.delete(name));
+         if (marked.length > 0) this.debugLog(`Marked ${marked.length} tool(s) stored before trust levels as pending: ${marked.join(', ')}`);
+         return marked;
+     }
+
+     async approveTool(toolName, reason = '') {
+         return this.setToolTrust(toolName, 'approved', reason);
+     }
 
-             this.debugLog(`Tool '${newToolName}' added successfully to Chroma DB.`);
-             this.toolsCache.delete(newToolName); // Invalidate cache if it existed
+     // Quarantined tools never run, whatever the caller allows; a reason is required.
+     async rejectTool(toolName, reason) {
+         if (!reason || !String(reason).trim()) {
+             return `Error: A reason is required to reject tool ${toolName}.`;
+         }
+         return this.setToolTrust(toolName, 'quarantined', reason);
+     }
 
-             return `Successfully created tool: ${newToolName}`;
+     // --- Tool Journal ---
+     // executeTool journals every call it makes. Callers describe who is calling through
+     // options.caller: { soul, artifact, source, purpose } (all optional; purpose is a short text
+     // that becomes the user message of the call's fine-tuning example).
 
-         } catch (dbError) {
-             console.error(`Error adding tool ${newToolName} to ChromaDB:`, dbError);
-             return `Error: Failed to store tool ${newToolName} in database. ${dbError.message}`;
+     // Journal entries matching filters { tools, since, until, success }, oldest first.
+     async readJournal(filters = {}) {
+         if (!this.journalPath) return [];
+         let text;
+         try {
+             text = await fs.readFile(this.journalPath, 'utf-8');
+         } catch (error) {
+             if (error.code === 'ENOENT') return [];
+             throw error;
+         }
+         const entries = [];
+         for (const line of text.split('\n')) {
+             if (!line.trim()) continue;
+             try {
+                 const entry = JSON.parse(line);
+                 if (matchesJournalFilters(entry, filters)) entries.push(entry);
+             } catch (error) {
+                 console.error(`Skipping unreadable line in tool journal ${this.journalPath}: ${error.message}`);
+             }
+         }
+         return entries;
+     }
+
+     async loadUsageStats() {
+         this.usageStats.clear();
+         const entries = await this.readJournal();
+         entries.forEach(entry => this.countToolCall(entry));
+         this.debugLog(`Loaded usage statistics of ${this.usageStats.size} tool(s) from ${entries.length} journaled call(s).`);
+     }
+
+     countToolCall(entry) {
+         if (!this.usageStats.has(entry.tool)) {
+             this.usageStats.set(entry.tool, {
+                 tool: entry.tool, calls: 0, successes: 0, warnings: 0, errors: 0, total_duration_ms: 0, max_duration_ms: 0,
+                 first_called_at: entry.at, last_called_at: entry.at, versions: {}, souls: new Set(),
+             });
+         }
+         const stats = this.usageStats.get(entry.tool);
+         stats.calls++;
+         if (entry.result.status === 'success') stats.successes++;
+         else if (entry.result.status === 'warning') stats.warnings++;
+         else stats.errors++;
+         stats.total_duration_ms += entry.duration_ms;
+         stats.max_duration_ms = Math.max(stats.max_duration_ms, entry.duration_ms);
+         stats.last_called_at = entry.at;
+         const version = String(entry.version ?? 'unknown');
+         stats.versions[version] = stats.versions[version] || { calls: 0, errors: 0 };
+         stats.versions[version].calls++;
+         if (!entry.success) stats.versions[version].errors++;
+         if (entry.soul) stats.souls.add(entry.soul);
+     }
+
+     // Counts the call and appends it to the journal; a failing write is logged, never thrown.
+     recordToolCall(entry) {
+         this.countToolCall(entry);
+         if (!this.journalPath) return Promise.resolve();
+         this.journalWrites = this.journalWrites
+             .then(async () => {
+                 await fs.mkdir(path.dirname(this.journalPath), { recursive: true });
+                 await fs.appendFile(this.journalPath, JSON.stringify(entry) + '\n');
+             })
+             .catch(error => console.error(`Failed to write tool journal ${this.journalPath}:`, error));
+         return this.journalWrites;
+     }
+
+     // Usage statistics of one tool (null if it was never called), or of every journaled tool
+     // (most called first) without a name:
+     // { tool, calls, successes, warnings, errors, success_rate, average_duration_ms, max_duration_ms,
+     //   first_called_at, last_called_at, versions: { [version]: { calls, errors } }, souls }
+     getToolUsageStats(toolName = null) {
+         const describe = ({ total_duration_ms, souls, ...stats }) => ({
+             ...stats,
+             success_rate: stats.calls ? (stats.successes + stats.warnings) / stats.calls : 0,
+             average_duration_ms: stats.calls ? Math.round(total_duration_ms / stats.calls) : 0,
+             souls: souls.size, // Distinct calling souls
+         });
+         if (toolName) {
+             const stats = this.usageStats.get(toolName);
+             return stats ? describe(stats) : null;
+         }
+         return [...this.usageStats.values()].map(describe).sort((a, b) => b.calls - a.calls);
+     }
+
+     // Writes a chat-format JSONL fine-tuning dataset to outputPath and returns
+     // { path, examples, generations, calls }. Two kinds of examples are written:
+     // - generations: the prompt a stored revision was generated from, answered with its code;
+     // - calls: journaled tool calls as a tool-calling conversation (see journalEntryToExample).
+     // filters: { tools, since, until, success, include: ['generations', 'calls'], systemPrompt }.
+     // Calls are filtered by their own time and outcome; a revision by its creation time, and it
+     // counts as successful when it is not quarantined and at least one of its journaled calls succeeded.
+     async exportFineTuningDataset(outputPath, filters = {}) {
+         const { include = ['generations', 'calls'], systemPrompt = FINE_TUNING_SYSTEM_PROMPT, ...journalFilters } = filters;
+         const lines = [];
+         let generations = 0;
+         let calls = 0;
+
+         if (include.includes('generations')) {
+             const toolCalls = await this.readJournal({ tools: journalFilters.tools });
+             const results = await this.collection.get({ include: ["metadatas"] });
+             const toolNames = (results?.metadatas || [])
+                 .filter(metadata => !metadata.is_internal)
+                 .map(metadata => metadata.name)
+                 .filter(name => !journalFilters.tools || journalFilters.tools.includes(name));
+             for (const toolName of toolNames) {
+                 for (const version of await this.getToolVersions(toolName)) {
+                     if (!version.prompt) continue; // Written by hand, not generated
+                     const succeeded = version.trust !== 'quarantined'
+                         && toolCalls.some(entry => entry.tool === toolName && entry.version === version.version && entry.success);
+                     if (!matchesJournalFilters({ tool: toolName, at: version.created_at, success: succeeded }, journalFilters)) continue;
+                     lines.push(JSON.stringify(toolVersionToExample(version)));
+                     generations++;
+                 }
+             }
+         }
+
+         if (include.includes('calls')) {
+             for (const entry of await this.readJournal(journalFilters)) {
+                 if (entry.tool === TOOL_CREATION_TOOL_DEFINITION.function.name) continue; // Covered by the generation examples
+                 const definition = await this.getToolDefinition(entry.tool);
+                 lines.push(JSON.stringify(journalEntryToExample(entry, definition, systemPrompt)));
+                 calls++;
+             }
+         }
+
+         await fs.mkdir(path.dirname(outputPath), { recursive: true });
+         await fs.writeFile(outputPath, lines.map(line => line + '\n').join(''));
+         this.debugLog(`Exported ${lines.length} fine-tuning example(s) to ${outputPath}.`);
+         return { path: outputPath, examples: lines.length, generations: generations, calls: calls };
+     }
+
+     // --- Code Audits ---
+     // Tools stored before static analysis existed (or under older rules) have no or a stale report.
+     // A rescan analyzes the active revision again and stores the report with it; it reports what
+     // it finds and leaves the trust level alone, so operators decide what to quarantine.
+
+     // Rescans one tool and returns { name, version, trust, analysis }; throws for unknown or internal tools.
+     async rescanTool(toolName) {
+         await this.getUpdatableTool(toolName);
+         const active = (await this.getToolVersions(toolName)).find(v => v.active);
+         const record = { ...active, analysis: analyzeToolCode(active.code) };
+         await this.versionsCollection.update({ ids: [record.id], metadatas: [versionMetadata(record)] });
+         await this.activateToolVersion(record);
+         this.debugLog(`Rescanned ${toolName} (version ${record.version}): ${record.analysis.verdict}`);
+         return { name: toolName, version: record.version, trust: record.trust, analysis: record.analysis };
+     }
+
+     // Rescans every non-internal tool, or only `toolNames`. Returns one entry per tool, as
+     // rescanTool, with { name, error } for tools that could not be scanned.
+     async rescanTools(toolNames = null) {
+         if (!toolNames) {
+             const results = await this.collection.get({ include: ["metadatas"] });
+             toolNames = (results?.metadatas || []).filter(metadata => !metadata.is_internal).map(metadata => metadata.name);
+         }
+         const reports = [];
+         for (const toolName of toolNames) {
+             try {
+                 reports.push(await this.rescanTool(toolName));
+             } catch (error) {
+                 console.error(`Error rescanning tool ${toolName}:`, error);
+                 reports.push({ name: toolName, error: error.message });
+             }
          }
+         return reports;
      }
 
       sanitizeGeneratedCode(code, functionName) {
@@ -334,6 +2053,9 @@
 
      // --- Tool Retrieval ---
      async getToolDefinition(toolName) {
+         if (this.toolsCache.has(toolName)) {
+             return this.toolsCache.get(toolName);
+         }
          this.debugLog(`Retrieving definition for tool: ${toolName}`);
          try {
              const results = await this.collection.get({
@@ -352,15 +2074,22 @@
                   return null;
              }
 
-             return {
+             const definition = {
                  name: metadata.name,
                  description: metadata.description,
                  parameters: JSON.parse(metadata.parameters_json), // Parse the schema back into an object
                  code: metadata.code,
-                 is_internal: metadata.is_internal || false
+                 is_internal: metadata.is_internal || false,
+                 version: metadata.version || 1,
+                 // Entries stored before trust levels existed were never reviewed (see markUnreviewedTools)
+                 trust: metadata.trust || (metadata.is_internal ? 'internal' : 'pending'),
+                 trust_reason: metadata.trust_reason || '',
+                 analysis: metadata.analysis_json ? JSON.parse(metadata.analysis_json) : null,
              };
+             this.toolsCache.set(toolName, definition);
+             return definition;
          } catch (error) {
-             console.error(`Error retrieving tool ${toolName} from ChromaDB:`, error);
+             console.error(`Error retrieving tool ${toolName} from the vector store:`, error);
              return null;
          }
      }
@@ -368,7 +2097,7 @@
      async getAvailableTools(contextQuery, count = 5) {
          this.debugLog(`Querying for tools relevant to context: "${contextQuery}" (max ${count})`);
          try {
-             const queryEmbedding = await this.ollamaEmbeddings.embedQuery(contextQuery);
+             const queryEmbedding = await this.embeddingProvider.embedQuery(contextQuery);
 
              const results = await this.collection.query({
                  queryEmbeddings: [queryEmbedding],
@@ -395,6 +2124,9 @@
                      }
 
                      const metadata = results.metadatas[0][i];
+                     if (metadata?.trust === 'quarantined') {
+                         continue; // Rejected code is not worth offering
+                     }
                      if (metadata && metadata.name && metadata.description && metadata.parameters_json) {
                           try {
                             availableTools.push({
@@ -416,14 +2148,207 @@
              return availableTools;
 
          } catch (error) {
-             console.error("Error querying ChromaDB for available tools:", error);
+             console.error("Error querying the vector store for available tools:", error);
              return [TOOL_CREATION_TOOL_DEFINITION.function]; // Return only the base tool on error
          }
      }
 
 
+     // Stands in for a tool that does not exist. The call's name and argument names are embedded and
+     // compared with the registry: at or above resolutionSimilarityThreshold the closest tool is used,
+     // provided every argument maps onto its schema by name (see remapArgsToSchema). Otherwise a new
+     // tool is generated from the call via createTool, with a schema inferred from the argument values.
+     // Returns { requested, toolName, args, similarity, remapped, created } or an "Error: ..." string.
+     async resolveMissingTool(toolName, args) {
+         let closest = null;
+         try {
+             const queryEmbedding = await this.embeddingProvider.embedQuery(describeToolCall(toolName, args));
+             const results = await this.collection.query({
+                 queryEmbeddings: [queryEmbedding],
+                 nResults: 5,
+                 include: ["metadatas", "embeddings"] // Similarity is computed here, whatever distance the store uses
+             });
+             (results?.ids?.[0] || []).forEach((id, i) => {
+                 const metadata = results.metadatas?.[0]?.[i];
+                 const embedding = results.embeddings?.[0]?.[i];
+                 if (!metadata || metadata.is_internal || metadata.trust === 'quarantined' || !embedding) return;
+                 const similarity = cosineSimilarity(queryEmbedding, Array.from(embedding));
+                 if (!closest || similarity > closest.similarity) closest = { id, similarity };
+             });
+         } catch (error) {
+             console.error(`Error searching the vector store for a stand-in for '${toolName}':`, error);
+             return `Error: Tool '${toolName}' not found, and no replacement could be looked up. ${error.message}`;
+         }
+
+         if (closest && closest.similarity >= this.resolutionSimilarityThreshold) {
+             const definition = await this.getToolDefinition(closest.id);
+             const remapped = definition ? remapArgsToSchema(args, definition.parameters) : null;
+             if (remapped) {
+                 this.debugLog(`Resolved unknown tool '${toolName}' to '${closest.id}' (similarity ${closest.similarity.toFixed(3)}).`);
+                 return { requested: toolName, toolName: closest.id, args: remapped, similarity: closest.similarity, remapped: Object.keys(remapped).some(key => !(key in args)), created: false };
+             }
+             this.debugLog(`Closest tool '${closest.id}' for unknown tool '${toolName}' does not take its arguments.`);
+         }
+
+         const argNames = Object.keys(args);
+         const description = `${toolName.replace(/[_-]+/g, ' ')}. Created on demand for a call with ${argNames.length ? `the arguments ${argNames.join(', ')}` : 'no arguments'}.`;
+         this.debugLog(`No close match for unknown tool '${toolName}' (best similarity ${closest ? closest.similarity.toFixed(3) : 'n/a'}). Creating it.`);
+         const creation = await this.createTool(toolName, description, inferSchemaFromArgs(args));
+         if (creation.startsWith('Error:')) {
+             return `Error: Tool '${toolName}' not found, and creating it failed. ${creation.replace(/^Error:\s*/, '')}`;
+         }
+         return { requested: toolName, toolName: toolName, args: args, similarity: closest?.similarity ?? 0, remapped: false, created: true };
+     }
+
+
+     // --- Agent Loop ---
+     // One decision round of an LLM agent: retrieves the tools relevant to `contextText` via RAG,
+     // lets the chat model answer with OpenAI-style tool calls and runs them through executeTool,
+     // feeding results back until the model stops calling tools or the call budget is spent.
+     // options:
+     //   systemPrompt       - instructions for the agent
+     //   maxCalls           - max tool executions in this cycle (default 3)
+     //   toolCount          - how many tools to retrieve from RAG (default 5)
+     //   getExecuteOptions  - (toolName) => options passed to executeTool (e.g. { world, resolution })
+     //   runCall            - (toolName, args, executeOptions) => result string; replaces the direct
+     //                        executeTool call, e.g. to queue calls on the caller's own schedule
+     //   onEvent            - (event) => void, receives every decision for debugging
+     async runAgentCycle(contextText, options = {}) {
+         const {
+             systemPrompt = 'You are an autonomous agent. Use the available tools to act on the context you are given.',
+             maxCalls = 3,
+             toolCount = 5,
+             getExecuteOptions = () => ({}),
+             runCall = (toolName, args, executeOptions) => this.executeTool(toolName, args, executeOptions),
+             onEvent = () => {},
+         } = options;
+
+         this.debugLog(`Starting agent cycle (budget: ${maxCalls} calls)`);
+         let tools = await this.getAvailableTools(contextText, toolCount);
+         onEvent({ type: 'tools', tools: tools.map(t => t.name) });
+
+         const messages = [
+             { role: 'system', content: systemPrompt },
+             { role: 'user', content: contextText },
+         ];
+         const executed = [];
+
+         while (executed.length < maxCalls) {
+             let message;
+             try {
+                 message = await this.chatProvider.complete({
+                     messages: messages,
+                     tools: tools.map(tool => ({ type: 'function', function: tool })),
+                     temperature: 0.7,
+                 });
+             } catch (error) {
+                 console.error("Error calling the chat model during agent cycle:", error);
+                 onEvent({ type: 'error', message: error.message });
+                 break;
+             }
+
+             if (!message) break;
+             messages.push(message);
+
+             const toolCalls = message.tool_calls || [];
+             if (toolCalls.length === 0) {
+                 onEvent({ type: 'reply', content: message.content || '' });
+                 break;
+             }
+
+             for (const call of toolCalls) {
+                 const name = call.function?.name;
+                 let result;
+                 if (executed.length >= maxCalls) {
+                     result = 'Error: Tool call budget for this cycle is exhausted.';
+                     onEvent({ type: 'skipped', name, reason: 'budget' });
+                 } else {
+                     let args = {};
+                     try {
+                         args = call.function?.arguments ? JSON.parse(call.function.arguments) : {};
+                     } catch (parseError) {
+                         result = `Error: Arguments for ${name} are not valid JSON. ${parseError.message}`;
+                     }
+                     let resolution = null;
+                     if (result === undefined) {
+                         onEvent({ type: 'call', name, args });
+                         result = await runCall(name, args, {
+                             ...getExecuteOptions(name),
+                             onResolution: (resolved) => {
+                                 resolution = resolved;
+                                 onEvent({ type: 'resolved', name, ...resolved });
+                             },
+                         });
+                     }
+                     executed.push({ name, args, result });
+                     onEvent({ type: 'result', name, result });
+
+                     // A freshly created tool should be usable in the rest of this cycle.
+                     if ((name === TOOL_CREATION_TOOL_DEFINITION.function.name && !result.startsWith('Error:')) || resolution?.created) {
+                         tools = await this.getAvailableTools(contextText, toolCount);
+                     }
+                 }
+                 messages.push({ role: 'tool', tool_call_id: call.id, content: result });
+             }
+         }
+
+         this.debugLog(`Agent cycle finished after ${executed.length} tool calls.`);
+         return executed;
+     }
+
+     // Validates arguments for a tool against its schema without running it.
+     // Returns { valid, value, errors } (see validateArgs), or null if the tool is unknown.
+     async validateToolArguments(toolName, args) {
+         const schema = toolName === TOOL_CREATION_TOOL_DEFINITION.function.name
+             ? TOOL_CREATION_TOOL_DEFINITION.function.parameters
+             : (await this.getToolDefinition(toolName))?.parameters;
+         if (!schema) return null;
+         return validateArgs(schema, args ?? {}, { additionalProperties: this.additionalPropertiesPolicy });
+     }
+
     // --- Tool Execution ---
-    async executeTool(toolName, args) {
+    // Both entry points take the same arguments:
+    // options.world: object of host functions exposed to the tool as its `world` argument.
+    // options.worldFor: (toolName) => world, used instead of options.world so that a resolved call
+    //   gets the world of the tool that actually runs.
+    // options.resolution: 'strict' (default) fails on unknown tool names; 'lenient' resolves them
+    //   with resolveMissingTool and reports how through options.onResolution(resolution).
+    // options.seed: unsigned 32-bit integer that seeds Math.random inside the sandbox.
+    // options.now: time in ms that `new Date()` and `Date.now()` return inside the sandbox
+    //   (default: the real time), so replayed calls see the same clock.
+    // options.allowedTrust: trust levels that may run (see Tool Trust); default: all but 'quarantined'.
+    // options.deadline: Date.now() by which the call must have finished, if sooner than its timeout.
+
+    // Returns the classic result string ("Error: ..." on failure).
+    async executeTool(toolName, args, options = {}) {
+        return formatToolResult(await this.executeToolStructured(toolName, args, options));
+    }
+
+    // Returns { status, message, created, affected, data } whatever the tool returned, and journals the call.
+    async executeToolStructured(toolName, args, options = {}) {
+        const startedAt = Date.now();
+        const call = { tool: toolName, version: null, args: args ?? {} }; // runTool reports what actually ran
+        const result = normalizeToolResult(await this.runTool(toolName, args, { ...options, onRun: (ran) => Object.assign(call, ran) }));
+        if (result.status === 'error') {
+            console.error(`Tool '${toolName}' reported an error: ${result.message}`);
+        }
+        const caller = options.caller || {};
+        await this.recordToolCall({
+            at: new Date(startedAt).toISOString(),
+            ...call,
+            result: result,
+            success: result.status !== 'error',
+            duration_ms: Date.now() - startedAt,
+            soul: caller.soul ?? null,
+            artifact: caller.artifact ?? null,
+            source: caller.source ?? null,
+            purpose: caller.purpose ?? null,
+        });
+        return result;
+    }
+
+    // Runs a tool and returns its raw result (string or result object).
+    async runTool(toolName, args, options = {}) {
         this.debugLog(`Attempting to execute tool: ${toolName} with args:`, args);
 
         // Special case: tool_creation is internal
@@ -431,16 +2356,11 @@
             this.debugLog(`Executing internal tool: ${toolName}`);
             try {
                 // Validate args against the known schema for tool_creation
-                 const required = TOOL_CREATION_TOOL_DEFINITION.function.parameters.required;
-                 for (const param of required) {
-                     if (args[param] === undefined || args[param] === null) {
-                         throw new Error(`Missing required parameter '${param}' for tool_creation.`);
-                     }
-                 }
-                 // Add more specific type checks if needed based on schema
-                if(typeof args.new_tool_name !== 'string' || typeof args.new_tool_description !== 'string' || typeof args.new_tool_parameters !== 'object'){
-                     throw new Error("Invalid parameter types for tool_creation.");
+                const validation = await this.validateToolArguments(toolName, args);
+                if (!validation.valid) {
+                    return formatValidationErrors(toolName, validation.errors);
                 }
+                args = validation.value;
 
                 return await this.createTool(
                     args.new_tool_name,
@@ -454,7 +2374,18 @@
         }
 
         // Retrieve tool definition (including code) from DB
-        const toolDefinition = await this.getToolDefinition(toolName);
+        let toolDefinition = await this.getToolDefinition(toolName);
+
+        if (!toolDefinition && options.resolution === 'lenient') {
+            const resolution = await this.resolveMissingTool(toolName, args ?? {});
+            if (typeof resolution === 'string') {
+                return resolution;
+            }
+            options.onResolution?.(resolution);
+            toolName = resolution.toolName;
+            args = resolution.args;
+            toolDefinition = await this.getToolDefinition(toolName);
+        }
 
         if (!toolDefinition) {
             return `Error: Tool '${toolName}' not found or definition is corrupted.`;
@@ -466,76 +2397,269 @@
              return `Error: Cannot execute internal tool '${toolName}' directly.`;
          }
 
+        const allowedTrust = (options.allowedTrust || TOOL_TRUST_LEVELS).filter(trust => trust !== 'quarantined');
+        if (!allowedTrust.includes(toolDefinition.trust)) {
+            const reason = toolDefinition.trust_reason ? ` (${toolDefinition.trust_reason})` : '';
+            return toolDefinition.trust === 'pending'
+                ? `Error: Tool '${toolName}' is waiting for approval and cannot run yet.`
+                : `Error: Tool '${toolName}' is ${toolDefinition.trust}${reason} and cannot run.`;
+        }
+
         const { code: toolCode, parameters: schema } = toolDefinition;
 
         if (!toolCode || typeof toolCode !== 'string') {
             return `Error: Invalid or missing code for tool '${toolName}'.`;
         }
 
-        // --- Dynamic Function Execution ---
+        // --- Sandboxed Execution ---
         try {
             this.debugLog(`Preparing to execute code for tool: ${toolName}`);
-            // Validate args against schema before execution (basic check)
-             if (schema && schema.required) {
-                 for (const param of schema.required) {
-                     if (args[param] === undefined || args[param] === null) {
-                         throw new Error(`Missing required parameter '${param}' for tool ${toolName}.`);
-                     }
-                 }
-             }
-            // Add more parameter validation based on schema types if needed
-
-            // Create the function dynamically IN A CONTROLLED SCOPE
-            // The 'use strict' helps catch common errors.
-            // We wrap the retrieved code inside another function to control its scope and execution.
-            const functionWrapper = new Function('params', `
-                'use strict';
-                try {
-                    // Define the function using the code retrieved from DB
-                    ${toolCode}
-
-                    // Check if the function was actually defined
-                    if (typeof ${toolName} !== 'function') {
-                        throw new Error('Tool code did not define function "${toolName}".');
-                    }
-
-                    // Execute the defined function with the provided parameters
-                     const result = ${toolName}(params);
-
-                    // Ensure the result is a string as per the contract
-                    if (typeof result !== 'string') {
-                         console.warn("Tool ${toolName} did not return a string. Converting result:", result);
-                         return String(result); // Attempt conversion
-                     }
-
-                    return result;
+            // Validate (and coerce) args against the stored schema before execution
+            const validation = validateArgs(schema, args ?? {}, { additionalProperties: this.additionalPropertiesPolicy });
+            if (!validation.valid) {
+                return formatValidationErrors(toolName, validation.errors);
+            }
+            args = validation.value;
 
-                } catch (executionError) {
-                    console.error('Error during dynamic execution of tool "${toolName}":', executionError);
-                     // Return a formatted error string that the calling logic can recognize
-                    return \`Error: Execution failed for tool ${toolName}: \${executionError.message}\`;
-                }
-            `);
+            // The stored name ends up inside the sandbox script, so it must be a plain identifier.
+            if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(toolName)) {
+                throw new Error(`Invalid tool name '${toolName}'.`);
+            }
 
-            this.debugLog(`Executing function wrapper for ${toolName}...`);
-            const result = functionWrapper(args); // Pass the arguments object
+            this.debugLog(`Executing tool ${toolName} in sandbox...`);
+            options.onRun?.({ tool: toolName, version: toolDefinition.version, args: args });
+            const world = options.worldFor ? options.worldFor(toolName) : options.world;
+            const invocation = {
+                chain: [...(options.invocation?.chain || []), toolName],
+                budget: options.invocation?.budget || { used: 0, max: this.maxInvocationCalls },
+            };
+            const invoke = (name, invokeArgs, deadline) => this.invokeNestedTool(name, invokeArgs, { ...options, deadline: deadline }, invocation);
+            const result = await this.runInSandbox(toolName, toolCode, args, world, { seed: options.seed, now: options.now }, invoke, options.deadline);
             this.debugLog(`Execution result for ${toolName}:`, result);
 
-             // Check if the result indicates an error occurred *inside* the tool's try-catch
-             if (typeof result === 'string' && result.startsWith('Error:')) {
-                 console.error(`Tool '${toolName}' reported an internal error: ${result}`);
-                 // Propagate the error string
-             }
-
-            return result; // Return the string result (or error string)
+            return result; // Return the string or result object (errors are normalized by the caller)
 
         } catch (wrapperError) {
-            // This catches errors in creating the Function object itself (e.g., syntax errors in toolCode)
-            // or errors *outside* the inner try-catch within the generated function.
-            console.error(`Error creating or executing wrapper for tool '${toolName}':`, wrapperError);
-             return `Error: Failed to execute tool ${toolName}. Malformed code or unexpected runtime error. ${wrapperError.message}`;
+            // This catches argument validation failures and errors while starting the sandbox.
+            console.error(`Error preparing or executing tool '${toolName}':`, wrapperError);
+             return `Error: Failed to execute tool ${toolName}. ${wrapperError.message}`;
         }
     }
+
+     // Runs one tool call in the sandbox and returns what the tool returned (string or result object);
+     // timeouts, memory exhaustion and crashes become "Error: ..." strings.
+     async runInSandbox(toolName, toolCode, args, world = {}, clock = {}, invoke = null, deadline = null) {
+         const outcome = await this.executeInSandbox(toolName, toolCode, args, world, clock, invoke, deadline);
+         switch (outcome.status) {
+             case 'ok': return outcome.value;
+             case 'timeout': return `Error: Tool '${toolName}' timed out after ${outcome.timeoutMs}ms.`;
+             case 'memory': return `Error: Tool '${toolName}' exceeded memory limit of ${this.executionMemoryMb}MB.`;
+             case 'crash': return `Error: Sandbox for tool ${toolName} exited unexpectedly. ${outcome.message}`;
+             default: return `Error: Execution failed for tool ${toolName}: ${outcome.message}`;
+         }
+     }
+
+     // --- Tool Composition ---
+     // Tool code can call other registry tools with invokeTool(name, args). The call goes back to
+     // the host and through executeTool like any other: arguments are validated, trust is checked,
+     // the callee gets its own world (options.worldFor) and the call is journaled. A call that would
+     // nest deeper than maxInvocationDepth, re-enter a tool already on the chain, or exceed the
+     // budget of maxInvocationCalls per top-level call is refused with an error result. Nested
+     // calls run while the caller waits, so they only get the time the caller has left: a callee
+     // is stopped before its caller would give up on it, and never outlives the caller's call.
+
+     // Runs a tool on behalf of the tool at the end of invocation.chain; resolves with a normalized result.
+     async invokeNestedTool(toolName, args, options, invocation) {
+         const caller = invocation.chain[invocation.chain.length - 1];
+         const refuse = (message) => normalizeToolResult(`Error: ${message}`);
+         if (typeof toolName !== 'string' || !toolName) {
+             return refuse(`invokeTool needs a tool name.`);
+         }
+         if (toolName === TOOL_CREATION_TOOL_DEFINITION.function.name) {
+             return refuse(`Tools cannot create other tools through invokeTool.`);
+         }
+         if (invocation.chain.includes(toolName)) {
+             return refuse(`Calling '${toolName}' from '${caller}' would be a cycle (${[...invocation.chain, toolName].join(' -> ')}).`);
+         }
+         if (invocation.chain.length > this.maxInvocationDepth) {
+             return refuse(`Calling '${toolName}' from '${caller}' would nest tools more than ${this.maxInvocationDepth} deep.`);
+         }
+         if (invocation.budget.used >= invocation.budget.max) {
+             return refuse(`'${caller}' cannot call '${toolName}': the budget of ${invocation.budget.max} nested tool calls is used up.`);
+         }
+         // Room for the callee's backstop timer and the answer, before the caller stops waiting
+         const deadline = options.deadline - 2 * SANDBOX_TIMER_SLACK_MS;
+         if (deadline <= Date.now()) {
+             return refuse(`'${caller}' has no time left to call '${toolName}'.`);
+         }
+         invocation.budget.used++;
+         this.debugLog(`[tool:${caller}] invokeTool('${toolName}') (${invocation.budget.used}/${invocation.budget.max})`);
+
+         return this.executeToolStructured(toolName, args, {
+             world: options.world,
+             worldFor: options.worldFor,
+             allowedTrust: options.allowedTrust,
+             // Each nested call gets its own deterministic random stream
+             seed: typeof options.seed === 'number' ? (options.seed + Math.imul(invocation.budget.used, 0x9E3779B9)) >>> 0 : undefined,
+             now: options.now,
+             deadline: deadline,
+             invocation: invocation,
+             caller: { ...options.caller, source: `tool:${caller}` },
+         });
+     }
+
+     // Runs one tool call in a dedicated worker thread (see sandboxWorkerMain) and resolves with
+     // { status: 'ok', value, returnType } or { status: 'error' | 'timeout' | 'memory' | 'crash', message }
+     // (timeouts also carry the timeoutMs that ran out).
+     // clock: { seed, now }, both optional: what Math.random and Date inside the sandbox are pinned to.
+     // invoke(name, args, deadline) answers invokeTool calls from the tool (see invokeNestedTool), with
+     // this call's deadline; without it they fail. `deadline` shortens the timeout to end by then.
+     executeInSandbox(toolName, toolCode, args, world = {}, clock = {}, invoke = null, deadline = null) {
+         const { seed, now } = clock;
+         const timeoutMs = Math.max(1, Math.min(this.executionTimeoutMs, deadline === null ? Infinity : deadline - Date.now()));
+         const memoryMb = this.executionMemoryMb;
+         const worldMethods = Object.keys(world || {}).filter((key) => typeof world[key] === 'function');
+         const sharedBuffer = new SharedArrayBuffer(8 + WORLD_CALL_BUFFER_BYTES);
+
+         return new Promise((resolve) => {
+             let argsJson;
+             try {
+                 argsJson = JSON.stringify(args ?? {});
+             } catch (serializeError) {
+                 resolve({ status: 'error', message: `Arguments are not serializable. ${serializeError.message}` });
+                 return;
+             }
+             const callDeadline = Date.now() + timeoutMs;
+
+             const worker = new Worker(SANDBOX_WORKER_SOURCE, {
+                 eval: true,
+                 workerData: { toolName, toolCode, argsJson, timeoutMs, deadline: callDeadline, worldMethods, sharedBuffer, seed, now },
+                 env: {}, // Do not expose the server's environment variables
+                 resourceLimits: {
+                     maxOldGenerationSizeMb: memoryMb,
+                     maxYoungGenerationSizeMb: Math.max(4, Math.floor(memoryMb / 4)),
+                     stackSizeMb: 4,
+                 },
+             });
+
+             let settled = false;
+             const finish = (result) => {
+                 if (settled) return;
+                 settled = true;
+                 clearTimeout(timer);
+                 worker.terminate().catch(() => {});
+                 resolve(result);
+             };
+
+             // The vm timeout only covers synchronous code; this one also catches everything else.
+             const timer = setTimeout(() => {
+                 finish({ status: 'timeout', message: `Timed out after ${timeoutMs}ms.`, timeoutMs: timeoutMs });
+             }, timeoutMs + SANDBOX_TIMER_SLACK_MS);
+
+             worker.on('message', (message) => {
+                 switch (message.type) {
+                     case 'log':
+                         this.debugLog(`[tool:${toolName}] ${message.level}:`, message.text);
+                         break;
+                     case 'call':
+                         this.handleWorldCall(toolName, world, worldMethods, sharedBuffer, message);
+                         break;
+                     case 'invoke':
+                         this.handleToolInvocation(toolName, invoke, callDeadline, sharedBuffer, message);
+                         break;
+                     case 'result':
+                         finish({ status: 'ok', value: message.value, returnType: message.returnType });
+                         break;
+                     case 'timeout':
+                         finish({ status: 'timeout', message: `Timed out after ${timeoutMs}ms.`, timeoutMs: timeoutMs });
+                         break;
+                     case 'error':
+                         finish({ status: 'error', message: message.message });
+                         break;
+                 }
+             });
+             worker.on('error', (error) => {
+                 if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+                     finish({ status: 'memory', message: `Exceeded memory limit of ${memoryMb}MB.` });
+                 } else {
+                     finish({ status: 'error', message: error.message });
+                 }
+             });
+             worker.on('exit', (code) => {
+                 finish({ status: 'crash', message: `Worker exited with code ${code}.` });
+             });
+         });
+     }
+
+     // Answers a world.<method>(...) call from the sandbox and wakes the blocked worker.
+     async handleWorldCall(toolName, world, worldMethods, sharedBuffer, message) {
+         let response;
+         try {
+             if (!worldMethods.includes(message.method)) {
+                 throw new Error(`world.${message.method} is not available.`);
+             }
+             const callArgs = JSON.parse(message.argsJson);
+             this.debugLog(`[tool:${toolName}] world.${message.method}(${message.argsJson.slice(1, -1)})`);
+             const value = await world[message.method](...callArgs);
+             response = JSON.stringify({ value: value === undefined ? null : value });
+         } catch (error) {
+             response = JSON.stringify({ error: error?.message || String(error) });
+         }
+         this.answerSandbox(sharedBuffer, message.id, response, `world.${message.method} returned too much data.`);
+     }
+
+     // Answers an invokeTool(name, args) call from the sandbox and wakes the blocked worker.
+     async handleToolInvocation(toolName, invoke, deadline, sharedBuffer, message) {
+         let response;
+         try {
+             if (!invoke) {
+                 throw new Error(`invokeTool is not available here.`);
+             }
+             const invokeArgs = JSON.parse(message.argsJson);
+             const value = await invoke(message.toolName, invokeArgs, deadline);
+             response = JSON.stringify({ value: value });
+         } catch (error) {
+             response = JSON.stringify({ error: error?.message || String(error) });
+         }
+         this.answerSandbox(sharedBuffer, message.id, response, `invokeTool('${message.toolName}') returned too much data.`);
+     }
+
+     // Writes the JSON response to request `id` into the shared buffer and wakes the worker waiting for
+     // it. A late answer, to a request the worker gave up on, is dropped so it cannot pass for the next one.
+     answerSandbox(sharedBuffer, id, response, tooLargeMessage) {
+         const header = new Int32Array(sharedBuffer, 0, 2);
+         if (Atomics.load(header, 0) !== id) return;
+         let bytes = new TextEncoder().encode(response);
+         if (bytes.length > WORLD_CALL_BUFFER_BYTES) {
+             bytes = new TextEncoder().encode(JSON.stringify({ error: tooLargeMessage }));
+         }
+         new Uint8Array(sharedBuffer, 8).set(bytes);
+         header[1] = bytes.length;
+         if (Atomics.compareExchange(header, 0, id, -id) === id) {
+             Atomics.notify(header, 0);
+         }
+     }
  }
 
- export { ToolCreationManager, TOOL_CREATION_TOOL_DEFINITION };
+ export {
+     ToolCreationManager,
+     OllamaChatProvider,
+     OpenAICompatibleChatProvider,
+     ReplayChatProvider,
+     OllamaEmbeddingProvider,
+     OpenAICompatibleEmbeddingProvider,
+     HashEmbeddingProvider,
+     ReplayEmbeddingProvider,
+     createChatProvider,
+     createEmbeddingProvider,
+     ChromaVectorStore,
+     FileVectorStore,
+     createVectorStore,
+     TOOL_CREATION_TOOL_DEFINITION,
+     validateArgs,
+     formatValidationErrors,
+     normalizeToolResult,
+     formatToolResult,
+     TOOL_TRUST_LEVELS,
+     analyzeToolCode,
+ };